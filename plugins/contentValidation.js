@@ -0,0 +1,30 @@
+/**
+ * Content Validation
+ * Build-time check of every book's metadata and sections against the schema
+ * (see src/data/contentSchema.js). Used by the markdown-book plugin so
+ * `vite build` fails on invalid content.
+ *
+ * In dev the same check runs in the browser and is shown in the
+ * ContentErrorOverlay instead.
+ */
+
+import { validateLibrary as validateBooks, formatContentError } from '../src/data/contentSchema.js';
+import { findPhotoNumbers } from './imageManifest.js';
+
+/**
+ * Validate every book
+ * @param {Array} books - Books produced by the markdown-book plugin
+ * @param {Object} options
+ * @param {string} options.assetsDir - Absolute path to the photo assets
+ * @returns {string|null} - Error report, or null when the content is valid
+ */
+export function validateLibrary(books, { assetsDir }) {
+  const errors = validateBooks(books, {
+    photoNumbers: findPhotoNumbers(assetsDir),
+  });
+
+  if (errors.length === 0) return null;
+
+  return `book content has ${errors.length} schema error(s):\n` +
+    errors.map(error => `  - ${formatContentError(error)}`).join('\n');
+}
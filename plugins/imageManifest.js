@@ -0,0 +1,157 @@
+/**
+ * Image Manifest Plugin
+ * Discovers the photos in src/assets and serves them as the
+ * `virtual:images` module (imported by src/data/images.js).
+ *
+ * Photos are files named `photo-<number>~<size>.<ext>`: one number per
+ * photo, one file per rendition (`photo-2~256.jpg`, `photo-2~1500.webp`,
+ * `photo-2~1500.avif`, …). Adding a photo means dropping its files in the
+ * directory; the manifest records each file's format and intrinsic size
+ * (read from its header, since `~<size>` names the longer edge) so the
+ * app can build `srcset`s.
+ *
+ * Module shape:
+ *
+ *   { [number]: { width, height, formats, placeholder, color,
+ *                 files: [{ src, format, width, height }] } }
+ *
+ * `width`/`height` are those of the largest rendition; `files` are sorted
+ * by width. `placeholder` (tiny PNG data URI) and `color` (`#rrggbb`) are
+ * generated from the smallest JPEG rendition (see imagePlaceholder.js), or
+ * null when the photo has no JPEG rendition.
+ */
+
+import { readdirSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import { readImageSize } from './imageSize.js';
+import { createPlaceholder } from './imagePlaceholder.js';
+
+const VIRTUAL_ID = 'virtual:images';
+const RESOLVED_VIRTUAL_ID = '\0' + VIRTUAL_ID;
+
+// photo-<number>~<size>.<ext>
+export const PHOTO_FILE_PATTERN = /^photo-(\d+)~\d+\.(jpe?g|png|webp|avif)$/;
+
+class ImageManifestError extends Error {
+  constructor(file, message) {
+    super(`${file}: ${message}`);
+    this.name = 'ImageManifestError';
+    this.file = file;
+  }
+}
+
+/**
+ * Scan the asset directory for photo renditions
+ * @param {string} assetsDir - Absolute path to src/assets
+ * @returns {Array<{ number: number, file: string, format: string, width: number, height: number }>}
+ * @throws {ImageManifestError} - When a file's header cannot be read
+ */
+export function scanPhotos(assetsDir) {
+  return readdirSync(assetsDir)
+    .filter(file => PHOTO_FILE_PATTERN.test(file))
+    .sort()
+    .map(file => {
+      const number = Number(file.match(PHOTO_FILE_PATTERN)[1]);
+      const size = readImageSize(readFileSync(path.join(assetsDir, file)));
+      if (!size) throw new ImageManifestError(file, 'not a readable JPEG, PNG, WebP or AVIF image');
+      return { number, file, ...size };
+    });
+}
+
+/**
+ * Collect photo numbers from the asset directory
+ * @param {string} assetsDir - Absolute path to src/assets
+ * @returns {Array<number>}
+ */
+export function findPhotoNumbers(assetsDir) {
+  const numbers = new Set();
+  readdirSync(assetsDir).forEach(file => {
+    const match = file.match(PHOTO_FILE_PATTERN);
+    if (match) numbers.add(Number(match[1]));
+  });
+  return [...numbers];
+}
+
+/**
+ * Generate the `virtual:images` module: one import per file (so Vite
+ * fingerprints and serves it) and the manifest referencing them
+ */
+function generateModule(assetsDir, renditions) {
+  const imports = [];
+  const photos = new Map();
+
+  renditions.forEach((rendition, i) => {
+    const name = `file${i}`;
+    imports.push(`import ${name} from ${JSON.stringify(path.join(assetsDir, rendition.file))};`);
+
+    if (!photos.has(rendition.number)) photos.set(rendition.number, []);
+    photos.get(rendition.number).push({ name, ...rendition });
+  });
+
+  const entries = [...photos].map(([number, files]) => {
+    files.sort((a, b) => a.width - b.width);
+    const largest = files[files.length - 1];
+    const formats = [...new Set(files.map(file => file.format))];
+    const smallestJpeg = files.find(file => file.format === 'jpeg');
+    const { placeholder = null, color = null } =
+      (smallestJpeg && createPlaceholder(readFileSync(path.join(assetsDir, smallestJpeg.file)), smallestJpeg.file)) || {};
+    const fileList = files
+      .map(file => `{ src: ${file.name}, format: ${JSON.stringify(file.format)}, width: ${file.width}, height: ${file.height} }`)
+      .join(',\n      ');
+
+    return `  ${number}: {
+    width: ${largest.width},
+    height: ${largest.height},
+    formats: ${JSON.stringify(formats)},
+    placeholder: ${JSON.stringify(placeholder)},
+    color: ${JSON.stringify(color)},
+    files: [
+      ${fileList},
+    ],
+  },`;
+  });
+
+  return `${imports.join('\n')}\n\nexport default {\n${entries.join('\n')}\n};\n`;
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.assetsDir - Absolute path to the photo assets
+ */
+export default function imageManifest({ assetsDir }) {
+  return {
+    name: 'image-manifest',
+
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_VIRTUAL_ID : null;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_VIRTUAL_ID) return null;
+
+      let renditions;
+      try {
+        renditions = scanPhotos(assetsDir);
+      } catch (error) {
+        if (error instanceof ImageManifestError) this.error(error.message);
+        throw error;
+      }
+
+      return generateModule(assetsDir, renditions);
+    },
+
+    configureServer(server) {
+      // Rebuild the manifest when a photo is added, replaced or removed
+      const reload = (file) => {
+        if (path.dirname(file) !== assetsDir || !PHOTO_FILE_PATTERN.test(path.basename(file))) return;
+        const module = server.moduleGraph.getModuleById(RESOLVED_VIRTUAL_ID);
+        if (module) server.reloadModule(module);
+      };
+
+      server.watcher.add(assetsDir);
+      server.watcher.on('add', reload);
+      server.watcher.on('change', reload);
+      server.watcher.on('unlink', reload);
+    },
+  };
+}
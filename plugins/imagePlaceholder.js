@@ -0,0 +1,447 @@
+/**
+ * Image Placeholder
+ * Generates the blur-up placeholder and dominant color of a photo from a
+ * JPEG rendition, at build time and without image libraries.
+ *
+ * Only the DC coefficient of each 8×8 block is decoded: it is the block's
+ * average color, so the result is the photo at 1/8 scale. That is then
+ * box-filtered down to at most PLACEHOLDER_SIZE pixels and written as a
+ * tiny PNG data URI; the app scales it up behind a CSS blur.
+ *
+ * Handles baseline and progressive Huffman JPEGs (grayscale or YCbCr, any
+ * chroma subsampling, restart intervals). Anything else, and any file that
+ * fails to decode, gets a neutral gray placeholder with a warning: a photo
+ * never breaks the build.
+ */
+
+import { Buffer } from 'node:buffer';
+import { deflateSync } from 'node:zlib';
+
+// Longer edge of the generated placeholder, in pixels
+const PLACEHOLDER_SIZE = 16;
+
+// Fill of the placeholder of photos that cannot be decoded (RGB)
+const NEUTRAL_COLOR = [0x80, 0x80, 0x80];
+
+const MARKER = {
+  SOF0: 0xc0, // baseline
+  SOF1: 0xc1, // extended sequential
+  SOF2: 0xc2, // progressive
+  DHT: 0xc4,
+  SOI: 0xd8,
+  EOI: 0xd9,
+  SOS: 0xda,
+  DQT: 0xdb,
+  DRI: 0xdd,
+};
+
+// Frames we cannot decode (lossless, hierarchical, arithmetic coding)
+const UNSUPPORTED_FRAMES = new Set([0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+const isRestartMarker = (marker) => marker >= 0xd0 && marker <= 0xd7;
+
+/**
+ * Build a canonical Huffman decoding table (JPEG spec F.2.2.3)
+ * @param {Uint8Array} counts - Number of codes of each length 1…16
+ * @param {Uint8Array} symbols - Symbols in code order
+ */
+function buildHuffmanTable(counts, symbols) {
+  const maxCode = new Int32Array(17).fill(-1);
+  const valueOffset = new Int32Array(17);
+  let code = 0;
+  let index = 0;
+
+  for (let length = 1; length <= 16; length++) {
+    const count = counts[length - 1];
+    if (count > 0) {
+      valueOffset[length] = index - code;
+      code += count;
+      index += count;
+      maxCode[length] = code - 1;
+    }
+    code <<= 1;
+  }
+
+  return { maxCode, valueOffset, symbols };
+}
+
+/**
+ * Bit reader over entropy-coded data (skips 0xFF00 byte stuffing)
+ */
+function createBitReader(data) {
+  let position = 0;
+  let bits = 0;
+  let bitCount = 0;
+
+  const readBit = () => {
+    if (bitCount === 0) {
+      if (position >= data.length) throw new Error('unexpected end of scan data');
+      bits = data[position++];
+      if (bits === 0xff) position++; // stuffed zero byte
+      bitCount = 8;
+    }
+    bitCount -= 1;
+    return (bits >> bitCount) & 1;
+  };
+
+  const receive = (length) => {
+    let value = 0;
+    for (let i = 0; i < length; i++) value = (value << 1) | readBit();
+    return value;
+  };
+
+  return {
+    receive,
+
+    // Signed value of `length` bits (JPEG spec F.2.2.1)
+    receiveExtend(length) {
+      if (length === 0) return 0;
+      const value = receive(length);
+      return value < 1 << (length - 1) ? value - (1 << length) + 1 : value;
+    },
+
+    decode(table) {
+      let code = 0;
+      for (let length = 1; length <= 16; length++) {
+        code = (code << 1) | readBit();
+        if (code <= table.maxCode[length]) return table.symbols[table.valueOffset[length] + code];
+      }
+      throw new Error('invalid Huffman code');
+    },
+
+    // Skip to the byte after the next RSTn marker
+    restart() {
+      bitCount = 0;
+      while (position + 1 < data.length && !(data[position] === 0xff && isRestartMarker(data[position + 1]))) {
+        position++;
+      }
+      position += 2;
+    },
+  };
+}
+
+// End of the entropy-coded data that starts at `offset` (the next real marker)
+function findScanEnd(buffer, offset) {
+  let position = offset;
+  while (position + 1 < buffer.length) {
+    if (buffer[position] === 0xff) {
+      const next = buffer[position + 1];
+      if (next !== 0 && !isRestartMarker(next) && next !== 0xff) return position;
+    }
+    position++;
+  }
+  return buffer.length;
+}
+
+/**
+ * Decode the DC coefficients of one scan into `component.dc`
+ */
+function decodeDcScan(frame, scan, data, restartInterval) {
+  const reader = createBitReader(data);
+  const components = scan.components;
+  const single = components.length === 1;
+
+  // Non-interleaved scans walk one component's blocks; interleaved scans walk MCUs
+  const mcusPerLine = single ? components[0].blocksPerLine : frame.mcusPerLine;
+  const mcusPerColumn = single ? components[0].blocksPerColumn : frame.mcusPerColumn;
+  const mcuCount = mcusPerLine * mcusPerColumn;
+
+  const decodeBlock = (component, row, column) => {
+    const size = reader.decode(component.dcTable);
+    component.prediction += reader.receiveExtend(size);
+    component.dc[row * component.paddedBlocksPerLine + column] = component.prediction << scan.low;
+
+    if (scan.end > 0) {
+      // Baseline: skip the block's AC coefficients
+      for (let k = 1; k < 64; k++) {
+        const symbol = reader.decode(component.acTable);
+        const run = symbol >> 4;
+        const length = symbol & 15;
+        if (length === 0) {
+          if (run !== 15) break;
+          k += 15;
+        } else {
+          reader.receive(length);
+          k += run;
+        }
+      }
+    }
+  };
+
+  components.forEach(component => { component.prediction = 0; });
+
+  for (let mcu = 0; mcu < mcuCount; mcu++) {
+    if (restartInterval && mcu > 0 && mcu % restartInterval === 0) {
+      reader.restart();
+      components.forEach(component => { component.prediction = 0; });
+    }
+
+    const mcuRow = Math.floor(mcu / mcusPerLine);
+    const mcuColumn = mcu % mcusPerLine;
+
+    if (single) {
+      decodeBlock(components[0], mcuRow, mcuColumn);
+    } else {
+      components.forEach(component => {
+        for (let v = 0; v < component.v; v++) {
+          for (let h = 0; h < component.h; h++) {
+            decodeBlock(component, mcuRow * component.v + v, mcuColumn * component.h + h);
+          }
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Decode a JPEG at 1/8 scale (one pixel per 8×8 block)
+ * @param {Buffer} buffer - JPEG file
+ * @returns {{ width: number, height: number, pixels: Uint8Array }|null} - RGB pixels
+ */
+function decodeDcImage(buffer) {
+  if (buffer[0] !== 0xff || buffer[1] !== MARKER.SOI) return null;
+
+  const quantTables = [];
+  const dcTables = [];
+  const acTables = [];
+  let frame = null;
+  let restartInterval = 0;
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    if (marker === MARKER.EOI) break;
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const start = offset + 4;
+    const end = offset + 2 + length;
+
+    if (marker === MARKER.DQT) {
+      for (let p = start; p < end;) {
+        const precision = buffer[p] >> 4;
+        quantTables[buffer[p] & 15] = precision ? buffer.readUInt16BE(p + 1) : buffer[p + 1];
+        p += 1 + 64 * (precision ? 2 : 1);
+      }
+    } else if (marker === MARKER.DHT) {
+      for (let p = start; p < end;) {
+        const counts = buffer.subarray(p + 1, p + 17);
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        const table = buildHuffmanTable(counts, buffer.subarray(p + 17, p + 17 + total));
+        (buffer[p] >> 4 ? acTables : dcTables)[buffer[p] & 15] = table;
+        p += 17 + total;
+      }
+    } else if (marker === MARKER.DRI) {
+      restartInterval = buffer.readUInt16BE(start);
+    } else if (marker === MARKER.SOF0 || marker === MARKER.SOF1 || marker === MARKER.SOF2) {
+      const height = buffer.readUInt16BE(start + 1);
+      const width = buffer.readUInt16BE(start + 3);
+      const count = buffer[start + 5];
+      if (count !== 1 && count !== 3) return null; // CMYK and friends
+
+      const components = [];
+      for (let i = 0; i < count; i++) {
+        const p = start + 6 + i * 3;
+        components.push({ id: buffer[p], h: buffer[p + 1] >> 4, v: buffer[p + 1] & 15, quantTable: buffer[p + 2] });
+      }
+
+      const maxH = Math.max(...components.map(component => component.h));
+      const maxV = Math.max(...components.map(component => component.v));
+      const mcusPerLine = Math.ceil(width / (8 * maxH));
+      const mcusPerColumn = Math.ceil(height / (8 * maxV));
+
+      components.forEach(component => {
+        component.blocksPerLine = Math.ceil(Math.ceil((width * component.h) / maxH) / 8);
+        component.blocksPerColumn = Math.ceil(Math.ceil((height * component.v) / maxV) / 8);
+        component.paddedBlocksPerLine = mcusPerLine * component.h;
+        component.dc = new Int32Array(component.paddedBlocksPerLine * mcusPerColumn * component.v);
+      });
+
+      frame = { width, height, maxH, maxV, mcusPerLine, mcusPerColumn, components };
+    } else if (UNSUPPORTED_FRAMES.has(marker)) {
+      return null;
+    } else if (marker === MARKER.SOS) {
+      if (!frame) return null;
+
+      const count = buffer[start];
+      const components = [];
+      for (let i = 0; i < count; i++) {
+        const p = start + 1 + i * 2;
+        const component = frame.components.find(candidate => candidate.id === buffer[p]);
+        if (!component) return null;
+        component.dcTable = dcTables[buffer[p + 1] >> 4];
+        component.acTable = acTables[buffer[p + 1] & 15];
+        components.push(component);
+      }
+      const p = start + 1 + count * 2;
+      const scan = { components, begin: buffer[p], end: buffer[p + 1], high: buffer[p + 2] >> 4, low: buffer[p + 2] & 15 };
+
+      const dataEnd = findScanEnd(buffer, end);
+      // Baseline scans, and the first DC scan of progressive images
+      if (scan.begin === 0 && scan.high === 0) {
+        decodeDcScan(frame, scan, buffer.subarray(end, dataEnd), restartInterval);
+      }
+      offset = dataEnd;
+      continue;
+    }
+
+    offset = end;
+  }
+
+  if (!frame) return null;
+
+  // One pixel per full-resolution 8×8 block; subsampled planes are stretched
+  const width = Math.ceil(frame.width / 8);
+  const height = Math.ceil(frame.height / 8);
+  const pixels = new Uint8Array(width * height * 3);
+  const planes = frame.components.map(component => ({
+    component,
+    scale: quantTables[component.quantTable] ?? 1,
+  }));
+  const clamp = (value) => Math.max(0, Math.min(255, Math.round(value)));
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const samples = planes.map(({ component, scale }) => {
+        const row = Math.floor((y * component.v) / frame.maxV);
+        const column = Math.floor((x * component.h) / frame.maxH);
+        return (component.dc[row * component.paddedBlocksPerLine + column] * scale) / 8 + 128;
+      });
+
+      const i = (y * width + x) * 3;
+      if (samples.length === 1) {
+        pixels[i] = pixels[i + 1] = pixels[i + 2] = clamp(samples[0]);
+      } else {
+        const [luma, cb, cr] = samples;
+        pixels[i] = clamp(luma + 1.402 * (cr - 128));
+        pixels[i + 1] = clamp(luma - 0.344136 * (cb - 128) - 0.714136 * (cr - 128));
+        pixels[i + 2] = clamp(luma + 1.772 * (cb - 128));
+      }
+    }
+  }
+
+  return { width, height, pixels };
+}
+
+// Box-filter an RGB image down so its longer edge is at most `size`
+function shrink(image, size) {
+  const scale = Math.max(image.width, image.height) / size;
+  if (scale <= 1) return image;
+
+  const width = Math.max(1, Math.round(image.width / scale));
+  const height = Math.max(1, Math.round(image.height / scale));
+  const pixels = new Uint8Array(width * height * 3);
+
+  for (let y = 0; y < height; y++) {
+    const top = Math.floor((y * image.height) / height);
+    const bottom = Math.max(top + 1, Math.floor(((y + 1) * image.height) / height));
+    for (let x = 0; x < width; x++) {
+      const left = Math.floor((x * image.width) / width);
+      const right = Math.max(left + 1, Math.floor(((x + 1) * image.width) / width));
+      const sum = [0, 0, 0];
+      for (let sy = top; sy < bottom; sy++) {
+        for (let sx = left; sx < right; sx++) {
+          const i = (sy * image.width + sx) * 3;
+          sum[0] += image.pixels[i];
+          sum[1] += image.pixels[i + 1];
+          sum[2] += image.pixels[i + 2];
+        }
+      }
+      const area = (bottom - top) * (right - left);
+      const o = (y * width + x) * 3;
+      pixels[o] = Math.round(sum[0] / area);
+      pixels[o + 1] = Math.round(sum[1] / area);
+      pixels[o + 2] = Math.round(sum[2] / area);
+    }
+  }
+
+  return { width, height, pixels };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// Encode an RGB image as a PNG
+function encodePng({ width, height, pixels }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // RGB
+
+  // Each row starts with filter type 0 (none)
+  const rows = Buffer.alloc(height * (width * 3 + 1));
+  for (let y = 0; y < height; y++) {
+    rows[y * (width * 3 + 1)] = 0;
+    Buffer.from(pixels.buffer, pixels.byteOffset + y * width * 3, width * 3).copy(rows, y * (width * 3 + 1) + 1);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', deflateSync(rows, { level: 9 })),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// Average color as #rrggbb
+function averageColor({ pixels }) {
+  const sum = [0, 0, 0];
+  for (let i = 0; i < pixels.length; i += 3) {
+    sum[0] += pixels[i];
+    sum[1] += pixels[i + 1];
+    sum[2] += pixels[i + 2];
+  }
+  const count = pixels.length / 3;
+  return '#' + sum.map(total => Math.round(total / count).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Generate the placeholder and dominant color of a JPEG
+ * @param {Buffer} buffer - JPEG file (the smallest rendition is plenty)
+ * @param {string} [name] - File name, for the warning
+ * @returns {{ placeholder: string, color: string }} - PNG data URI and `#rrggbb`;
+ *   a neutral gray one for JPEGs this decoder cannot read
+ */
+export function createPlaceholder(buffer, name = 'JPEG') {
+  let image = null;
+  let reason = 'unsupported JPEG variant';
+  try {
+    image = decodeDcImage(buffer);
+  } catch (error) {
+    // Damaged or truncated data (including reads past the end of the buffer)
+    reason = error.message;
+  }
+  if (!image) {
+    console.warn(`⚠️ No placeholder for ${name} (${reason}), using a neutral one`);
+    image = { width: 1, height: 1, pixels: Uint8Array.from(NEUTRAL_COLOR) };
+  }
+
+  const small = shrink(image, PLACEHOLDER_SIZE);
+  return {
+    placeholder: `data:image/png;base64,${encodePng(small).toString('base64')}`,
+    color: averageColor(small),
+  };
+}
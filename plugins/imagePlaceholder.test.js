@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import { readFileSync } from 'node:fs';
+import { createPlaceholder } from './imagePlaceholder.js';
+
+const progressive = readFileSync(new URL('./fixtures/progressive.jpg', import.meta.url));
+
+const NEUTRAL = '#808080';
+const PNG_DATA_URI = /^data:image\/png;base64,/;
+
+test('decodes a progressive JPEG', () => {
+  const { placeholder, color } = createPlaceholder(progressive);
+
+  assert.match(placeholder, PNG_DATA_URI);
+  assert.match(color, /^#[0-9a-f]{6}$/);
+  assert.notEqual(color, NEUTRAL);
+});
+
+test('falls back to a neutral placeholder on a truncated JPEG', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  // Cut inside the frame header
+  const frame = progressive.indexOf(Buffer.from([0xff, 0xc2]));
+  const { placeholder, color } = createPlaceholder(progressive.subarray(0, frame + 6));
+
+  assert.match(placeholder, PNG_DATA_URI);
+  assert.equal(color, NEUTRAL);
+  assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test('falls back to a neutral placeholder on data that is not a JPEG', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const { placeholder, color } = createPlaceholder(Buffer.from('not a jpeg'));
+
+  assert.match(placeholder, PNG_DATA_URI);
+  assert.equal(color, NEUTRAL);
+});
@@ -0,0 +1,115 @@
+/**
+ * Image Size
+ * Reads the format and intrinsic dimensions from the header of a JPEG,
+ * PNG, WebP or AVIF file, without decoding it. Used by the image-manifest
+ * plugin at build time.
+ */
+
+// JPEG start-of-frame markers (all but DHT, JPG and DAC carry the frame size)
+const JPEG_SOF_MARKERS = new Set([
+  0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf,
+]);
+
+// ISO BMFF boxes on the path to the AVIF image size
+const AVIF_SIZE_PATH = ['meta', 'iprp', 'ipco'];
+// Full boxes start with a version/flags word before their children
+const FULL_BOXES = new Set(['meta']);
+
+function readJpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset += 1; // fill byte
+      continue;
+    }
+    if (JPEG_SOF_MARKERS.has(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function readWebpSize(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+
+  if (chunk === 'VP8 ') {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    const [b0, b1, b2, b3] = buffer.subarray(21, 25);
+    return {
+      width: 1 + (((b1 & 0x3f) << 8) | b0),
+      height: 1 + (((b3 & 0x0f) << 10) | (b2 << 2) | ((b1 & 0xc0) >> 6)),
+    };
+  }
+  if (chunk === 'VP8X') {
+    return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+  }
+  return null;
+}
+
+// Child boxes of [start, end) as { type, start, end } (start = first byte after the header)
+function readBoxes(buffer, start, end) {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    const size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const boxEnd = size === 0 ? end : offset + size;
+    if (size !== 0 && size < 8) break;
+    boxes.push({ type, start: offset + 8, end: Math.min(boxEnd, end) });
+    offset = boxEnd;
+  }
+  return boxes;
+}
+
+function readAvifSize(buffer) {
+  let container = { start: 0, end: buffer.length };
+  for (const type of AVIF_SIZE_PATH) {
+    const box = readBoxes(buffer, container.start, container.end).find(child => child.type === type);
+    if (!box) return null;
+    container = FULL_BOXES.has(type) ? { start: box.start + 4, end: box.end } : box;
+  }
+
+  // `ispe` per image item (alpha planes, grid tiles…); the largest is the image itself
+  const sizes = readBoxes(buffer, container.start, container.end)
+    .filter(box => box.type === 'ispe')
+    .map(box => ({ width: buffer.readUInt32BE(box.start + 4), height: buffer.readUInt32BE(box.start + 8) }));
+  if (sizes.length === 0) return null;
+  return sizes.reduce((largest, size) => (size.width * size.height > largest.width * largest.height ? size : largest));
+}
+
+/**
+ * Read the format and size of an image
+ * @param {Buffer} buffer - File contents (the header is enough)
+ * @returns {{ format: 'jpeg'|'png'|'webp'|'avif', width: number, height: number }|null}
+ *   null when the format is unknown or the header is damaged
+ */
+export function readImageSize(buffer) {
+  let format = null;
+  let size = null;
+
+  try {
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+      format = 'jpeg';
+      size = readJpegSize(buffer);
+    } else if (buffer.toString('ascii', 1, 4) === 'PNG') {
+      format = 'png';
+      size = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    } else if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+      format = 'webp';
+      size = readWebpSize(buffer);
+    } else if (buffer.toString('ascii', 4, 8) === 'ftyp' && /^avi[fs]$/.test(buffer.toString('ascii', 8, 12))) {
+      format = 'avif';
+      size = readAvifSize(buffer);
+    }
+  } catch {
+    // Truncated header: reads past the end of the buffer throw a RangeError
+    return null;
+  }
+
+  return size && size.width > 0 && size.height > 0 ? { format, ...size } : null;
+}
@@ -0,0 +1,500 @@
+/**
+ * Markdown Book Plugin
+ * Builds the book library from src/content/ and serves it as the
+ * `virtual:books` module (imported by src/data/content.js).
+ *
+ * Each subdirectory is one book; its name is the book's URL slug
+ * (`/book/<slug>`). A book directory holds:
+ *
+ * - `book.yaml` — book metadata (title, subtitle, coverPhoto, palette, order,
+ *   locale of the section text, default `en`)
+ * - one Markdown file per section, ordered by file name (`01-cover.md`, `02-…`).
+ *   The section id defaults to the file name without its number prefix.
+ * - optional translations in locale subdirectories (`de/`, `fr/`, …): section
+ *   files with the same names replace the text of the original section (its
+ *   front-matter fields are kept unless the translation sets them), and an
+ *   optional `book.yaml` translates `title`, `subtitle` and `chapterLabels`
+ *   (`{ original chapter: translated label }`). Untranslated sections fall
+ *   back to the original.
+ *
+ * File format:
+ *
+ *   ---
+ *   type: text            # cover | quote | text | title | image | part | email | media
+ *   chapter: Preface      # any other section field (sticky, gray, images, …)
+ *   ---
+ *   # Title               (consecutive `#` lines form a multi-line title)
+ *   ## Subtitle           (single `subtitle`, used by cover/title/part)
+ *   ### Subtitle          (each one is appended to `subtitles`)
+ *
+ *   ::: narration
+ *   Editor's narration paragraphs.
+ *   :::
+ *
+ *   ::: quoted            (email sections: one block per earlier message,
+ *   From: Woz              newest first, appended to `thread`; header
+ *   Date: 1983-06-14       lines come first, then the body paragraphs)
+ *
+ *   Quoted paragraphs.
+ *   :::
+ *
+ *   ::: signature         (email sections: lines kept as written)
+ *   Sent from my iPad
+ *   :::
+ *
+ *   Body paragraphs, separated by blank lines. Lines inside a paragraph
+ *   are joined with a space, or with a line break when the line ends
+ *   in `\`. Inline markup (*emphasis*, links, ✂, [editorial] …) is kept
+ *   as written and parsed at render time (src/data/richText.js).
+ *
+ * Media sections (`type: media`) pair a file in the book directory
+ * (`media: { file: media/talk.mp3, poster: 12 }`) with its transcript:
+ * each body paragraph starts with the time it is spoken at,
+ *
+ *   @0:00 First paragraph of the transcript…
+ *   @1:02:03 A paragraph an hour in.
+ *
+ * which the plugin moves into the section's `timestamps` (seconds, one per
+ * paragraph). Media files are imported as assets and exported as
+ * `mediaUrls` (`{ "<slug>/<file>": url }`).
+ *
+ * A line starting with `\#`, `\:` or `\@` is taken literally (`\# 1` → `# 1`);
+ * other backslashes are inline-markup escapes and are kept.
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import { parse as parseYaml } from 'yaml';
+import { validateLibrary } from './contentValidation.js';
+import { TIMESTAMP_PATTERN, parseTimestamp, getMediaKind } from '../src/data/media.js';
+
+const VIRTUAL_ID = 'virtual:books';
+const RESOLVED_VIRTUAL_ID = '\0' + VIRTUAL_ID;
+
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const FILE_PREFIX_PATTERN = /^\d+[-_]/;
+const CONTAINERS = ['narration', 'quoted', 'signature'];
+const EMAIL_HEADER_PATTERN = /^(from|to|cc|date|subject):\s*(.*)$/i;
+const BOOK_META_FILE = 'book.yaml';
+const LOCALE_DIR_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+const TRANSLATION_META_FIELDS = ['title', 'subtitle', 'chapterLabels'];
+
+// Fields produced from the Markdown body; front-matter must not set them too
+const BODY_FIELDS = ['title', 'subtitle', 'subtitles', 'narration', 'paragraphs', 'timestamps', 'thread', 'signature'];
+
+class MarkdownBookError extends Error {
+  constructor(file, line, message) {
+    super(`${file}${line ? `:${line}` : ''}: ${message}`);
+    this.name = 'MarkdownBookError';
+    this.file = file;
+    this.line = line;
+  }
+}
+
+/**
+ * Parse the Markdown body of a section
+ * @param {string} body - Markdown without front-matter
+ * @param {string} file - File name (for error messages)
+ * @param {number} lineOffset - Lines taken by the front-matter
+ * @returns {Object} - Body fields (title, subtitle, subtitles, narration, paragraphs,
+ *   timestamps, thread, signature)
+ */
+function parseBody(body, file, lineOffset) {
+  const fields = {};
+  let paragraph = [];
+  let container = null;
+  let containerLine = 0;
+  let titleClosed = false;
+  let message = null; // current `::: quoted` message
+  let headersOpen = false;
+  let paragraphTime = null; // timestamp of the current paragraph
+  const times = []; // one entry per body paragraph
+
+  const flush = () => {
+    if (paragraph.length === 0) return;
+    // A trailing `\` is a hard line break
+    const text = paragraph.reduce((joined, line) => (
+      joined.endsWith('\\') && !joined.endsWith('\\\\')
+        ? `${joined.slice(0, -1)}\n${line}`
+        : `${joined} ${line}`
+    ));
+    if (container === 'quoted') {
+      message.paragraphs.push(text);
+    } else {
+      const target = container || 'paragraphs';
+      (fields[target] = fields[target] || []).push(text);
+      if (target === 'paragraphs') times.push(paragraphTime);
+    }
+    paragraph = [];
+    paragraphTime = null;
+  };
+
+  body.split(/\r?\n/).forEach((rawLine, i) => {
+    const lineNumber = lineOffset + i + 1;
+    const line = rawLine.trim();
+    const fail = (message) => { throw new MarkdownBookError(file, lineNumber, message); };
+
+    if (line === '') {
+      flush();
+      headersOpen = false;
+      if (fields.title) titleClosed = true;
+      return;
+    }
+
+    // Containers (::: narration … :::)
+    if (line.startsWith(':::')) {
+      flush();
+      const name = line.slice(3).trim();
+      if (name === '') {
+        if (!container) fail('closing ":::" without an open block');
+        container = null;
+      } else {
+        if (container) fail(`"::: ${name}" opened inside "::: ${container}"`);
+        if (!CONTAINERS.includes(name)) fail(`unknown block "::: ${name}" (expected: ${CONTAINERS.join(', ')})`);
+        container = name;
+        containerLine = lineNumber;
+        if (name === 'quoted') {
+          message = { paragraphs: [] };
+          (fields.thread = fields.thread || []).push(message);
+          headersOpen = true;
+        }
+      }
+      return;
+    }
+
+    // Email blocks: header lines of a quoted message, signature lines
+    if (container === 'quoted' && headersOpen) {
+      const header = line.match(EMAIL_HEADER_PATTERN);
+      if (header) {
+        const [, name, value] = header;
+        const key = name.toLowerCase();
+        if (key in message) fail(`duplicate "${name}:" header`);
+        message[key] = key === 'to' || key === 'cc'
+          ? value.split(',').map(recipient => recipient.trim()).filter(Boolean)
+          : value.trim();
+        return;
+      }
+      headersOpen = false;
+    }
+    if (container === 'signature') {
+      (fields.signature = fields.signature || []).push(line);
+      return;
+    }
+
+    // Headings
+    const heading = line.match(/^(#{1,3})\s+(.*)$/);
+    if (heading) {
+      flush();
+      if (container) fail(`headings are not allowed inside "::: ${container}"`);
+      const [, hashes, text] = heading;
+
+      if (hashes === '#') {
+        if (titleClosed) fail('title must be written as consecutive "#" lines');
+        fields.title = fields.title ? `${fields.title}\n${text}` : text;
+      } else {
+        titleClosed = titleClosed || Boolean(fields.title);
+        if (hashes === '##') {
+          if (fields.subtitle !== undefined) fail('only one "##" subtitle is allowed');
+          fields.subtitle = text;
+        } else {
+          (fields.subtitles = fields.subtitles || []).push(text);
+        }
+      }
+      return;
+    }
+
+    if (fields.title) titleClosed = true;
+
+    // Transcript timestamp (`@0:42 `) at the start of a paragraph
+    const timestamp = paragraph.length === 0 && line.match(TIMESTAMP_PATTERN);
+    if (timestamp) {
+      if (container) fail(`timestamps are not allowed inside "::: ${container}"`);
+      paragraphTime = parseTimestamp(timestamp[1]);
+      paragraph.push(line.slice(timestamp[0].length));
+      return;
+    }
+
+    paragraph.push(/^\\[#:@]/.test(line) ? line.slice(1) : line);
+  });
+
+  flush();
+
+  if (container) {
+    throw new MarkdownBookError(file, containerLine, `"::: ${container}" is never closed`);
+  }
+
+  // Paragraphs without a timestamp keep a null entry (reported by the schema)
+  if (times.some(time => time !== null)) fields.timestamps = times;
+
+  return fields;
+}
+
+/**
+ * Parse one section file
+ * @param {string} source - File contents
+ * @param {string} file - File name, e.g. `06-preface.md`
+ * @returns {Object} - Section object in the content.js shape
+ */
+export function parseSectionMarkdown(source, file) {
+  let frontMatter = {};
+  let body = source;
+  let lineOffset = 0;
+
+  const match = source.match(FRONT_MATTER_PATTERN);
+  if (match) {
+    try {
+      frontMatter = parseYaml(match[1]) || {};
+    } catch (error) {
+      throw new MarkdownBookError(file, 0, `invalid front-matter: ${error.message}`);
+    }
+    if (typeof frontMatter !== 'object' || Array.isArray(frontMatter)) {
+      throw new MarkdownBookError(file, 0, 'front-matter must be a set of "key: value" fields');
+    }
+    body = source.slice(match[0].length);
+    lineOffset = match[0].split('\n').length - 1;
+  }
+
+  BODY_FIELDS.forEach(field => {
+    if (field in frontMatter) {
+      throw new MarkdownBookError(file, 0, `"${field}" comes from the Markdown body, not the front-matter`);
+    }
+  });
+
+  const id = frontMatter.id || path.basename(file, '.md').replace(FILE_PREFIX_PATTERN, '');
+
+  return {
+    ...frontMatter,
+    id,
+    ...parseBody(body, file, lineOffset),
+  };
+}
+
+/**
+ * Read every section file in a directory
+ * @param {string} dir - Absolute path to the directory
+ * @param {string} label - Directory label for error messages (`de/`)
+ * @returns {Array<{ file: string, section: Object }>} - In file-name order
+ */
+function readSectionFiles(dir, label = '') {
+  return readdirSync(dir)
+    .filter(file => file.endsWith('.md'))
+    .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }))
+    .map(file => ({
+      file,
+      section: parseSectionMarkdown(readFileSync(path.join(dir, file), 'utf8'), label + file),
+    }));
+}
+
+/**
+ * Read a book.yaml file
+ * @param {string} dir - Directory holding the file
+ * @param {string} metaFile - File label for error messages
+ * @param {boolean} required - Whether a missing file is an error
+ * @returns {Object|null}
+ */
+function readMeta(dir, metaFile, required) {
+  let meta;
+  try {
+    meta = parseYaml(readFileSync(path.join(dir, BOOK_META_FILE), 'utf8')) || {};
+  } catch (error) {
+    if (error.code === 'ENOENT' && !required) return null;
+    const reason = error.code === 'ENOENT' ? 'file is missing' : `invalid YAML: ${error.message}`;
+    throw new MarkdownBookError(metaFile, 0, reason);
+  }
+  if (typeof meta !== 'object' || Array.isArray(meta)) {
+    throw new MarkdownBookError(metaFile, 0, 'must be a set of "key: value" fields');
+  }
+  return meta;
+}
+
+/**
+ * Read one locale subdirectory and merge it over the original sections
+ * @param {string} localeDir - Absolute path, e.g. `<book>/de`
+ * @param {Array} originals - `{ file, section }` entries of the book
+ * @param {string} label - `<slug>/<locale>` for error messages
+ * @returns {Object} - { title?, subtitle?, chapterLabels?, sections }
+ */
+function loadTranslation(localeDir, originals, label) {
+  const locale = path.basename(localeDir);
+  const meta = readMeta(localeDir, `${label}/${BOOK_META_FILE}`, false) || {};
+
+  Object.keys(meta).forEach(field => {
+    if (!TRANSLATION_META_FIELDS.includes(field)) {
+      throw new MarkdownBookError(`${label}/${BOOK_META_FILE}`, 0,
+        `"${field}" cannot be translated (expected: ${TRANSLATION_META_FIELDS.join(', ')})`);
+    }
+  });
+
+  const translated = new Map(
+    readSectionFiles(localeDir, `${locale}/`).map(({ file, section }) => [file, section])
+  );
+  translated.forEach((_, file) => {
+    if (!originals.some(original => original.file === file)) {
+      throw new MarkdownBookError(`${label}/${file}`, 0, 'has no matching section file in the book');
+    }
+  });
+
+  const sections = originals.map(({ file, section }) => {
+    const translation = translated.get(file);
+    if (!translation) return section;
+
+    const base = { ...section };
+    BODY_FIELDS.forEach(field => delete base[field]);
+    return { ...base, ...translation, id: section.id, lang: locale };
+  });
+
+  return { ...meta, sections };
+}
+
+/**
+ * Check that the media files of a book's sections exist
+ * @param {string} bookDir - Absolute path to the book directory
+ * @param {Array} sections - Sections (original or translated)
+ * @param {string} label - Book label for error messages
+ */
+function checkMediaFiles(bookDir, sections, label) {
+  sections.forEach(section => {
+    const file = section.media && section.media.file;
+    if (typeof file !== 'string') return;
+
+    const absolute = path.resolve(bookDir, file);
+    const relative = path.relative(bookDir, absolute);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new MarkdownBookError(label, 0, `section "${section.id}": media file "${file}" is outside the book directory`);
+    }
+    if (!existsSync(absolute)) {
+      throw new MarkdownBookError(label, 0, `section "${section.id}": media file "${file}" not found`);
+    }
+  });
+}
+
+/**
+ * Generate the `virtual:books` module: one import per media file (so Vite
+ * fingerprints and serves it) and the library
+ * @param {string} contentDir - Absolute path to src/content
+ * @param {Array} books - Books from loadLibrary
+ * @returns {string}
+ */
+function generateModule(contentDir, books) {
+  const media = new Map(); // "<slug>/<file>" → import name
+
+  books.forEach(book => {
+    const translated = Object.values(book.translations || {}).map(translation => translation.sections);
+    [book.sections, ...translated].flat().forEach(section => {
+      const file = section.media && section.media.file;
+      const key = `${book.slug}/${file}`;
+      if (typeof file === 'string' && !media.has(key)) media.set(key, `media${media.size}`);
+    });
+  });
+
+  const imports = [...media].map(([key, name]) =>
+    `import ${name} from ${JSON.stringify(`${path.join(contentDir, key)}?url`)};`
+  );
+  const urls = [...media].map(([key, name]) => `  ${JSON.stringify(key)}: ${name},`);
+
+  return `${imports.join('\n')}\n\nexport const mediaUrls = {\n${urls.join('\n')}\n};\n\n` +
+    `export default ${JSON.stringify(books, null, 2)};\n`;
+}
+
+/**
+ * Read one book: its metadata, sections and translations
+ * @param {string} bookDir - Absolute path to the book directory
+ * @returns {Object} - { slug, ...metadata, sections, translations? }
+ */
+export function loadBook(bookDir) {
+  const slug = path.basename(bookDir);
+  const metaFile = `${slug}/${BOOK_META_FILE}`;
+  const meta = readMeta(bookDir, metaFile, true);
+
+  if ('slug' in meta || 'sections' in meta || 'translations' in meta) {
+    throw new MarkdownBookError(metaFile, 0, '"slug", "sections" and "translations" come from the directory, not book.yaml');
+  }
+
+  const originals = readSectionFiles(bookDir);
+  const book = { slug, ...meta, sections: originals.map(({ section }) => section) };
+  checkMediaFiles(bookDir, book.sections, slug);
+
+  const translations = {};
+  readdirSync(bookDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && LOCALE_DIR_PATTERN.test(entry.name))
+    .forEach(entry => {
+      const label = `${slug}/${entry.name}`;
+      translations[entry.name] = loadTranslation(path.join(bookDir, entry.name), originals, label);
+      checkMediaFiles(bookDir, translations[entry.name].sections, label);
+    });
+
+  if (Object.keys(translations).length > 0) {
+    book.translations = translations;
+  }
+
+  return book;
+}
+
+/**
+ * Read every book in the content directory
+ * @param {string} contentDir - Absolute path to src/content
+ * @returns {Array} - Books sorted by `order`, then slug
+ */
+export function loadLibrary(contentDir) {
+  return readdirSync(contentDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => loadBook(path.join(contentDir, entry.name)))
+    .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.slug.localeCompare(b.slug));
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.contentDir - Absolute path to the directory of book directories
+ * @param {string} options.assetsDir - Absolute path to the photo assets (build-time validation)
+ */
+export default function markdownBook({ contentDir, assetsDir }) {
+  let command = 'serve';
+
+  return {
+    name: 'markdown-book',
+
+    configResolved(config) {
+      command = config.command;
+    },
+
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_VIRTUAL_ID : null;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_VIRTUAL_ID) return null;
+
+      let books;
+      try {
+        books = loadLibrary(contentDir);
+      } catch (error) {
+        if (error instanceof MarkdownBookError) this.error(error.message);
+        throw error;
+      }
+
+      // Schema errors fail the build; in dev they show in the ContentErrorOverlay
+      if (command === 'build') {
+        const report = validateLibrary(books, { assetsDir });
+        if (report) this.error(report);
+      }
+
+      return generateModule(contentDir, books);
+    },
+
+    configureServer(server) {
+      // Hot-reload the library when a section, book.yaml or media file is added, edited or removed
+      const reload = (file) => {
+        const relative = path.relative(contentDir, file);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) return;
+        if (!file.endsWith('.md') && path.basename(file) !== BOOK_META_FILE && !getMediaKind(file)) return;
+        const module = server.moduleGraph.getModuleById(RESOLVED_VIRTUAL_ID);
+        if (module) server.reloadModule(module);
+      };
+
+      server.watcher.add(contentDir);
+      server.watcher.on('add', reload);
+      server.watcher.on('change', reload);
+      server.watcher.on('unlink', reload);
+    },
+  };
+}
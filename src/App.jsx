@@ -1,17 +1,54 @@
-import React from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import MainContent from './components/MainContent';
+import Library from './components/Library';
+import ContentErrorOverlay from './components/ContentErrorOverlay';
+import { getBook, getBooks } from './data/content';
+import useRoute, { localizePath, navigate } from './hooks/useRoute';
+import LocaleContext from './i18n/LocaleContext';
+import { getLocale, detectLocale, storeLocale } from './i18n/locales';
+import { translate } from './i18n/messages';
 import './App.css';
 
 /**
  * Main App Component
- * Clean structure based on index-clean.html
- * No animations - structure first approach
+ * Routes between the library (`/`) and a single book (`/book/:slug`),
+ * and provides the active locale (URL prefix, else detected)
  */
 function App() {
+  const route = useRoute();
+  const [detectedLocale, setDetectedLocale] = useState(detectLocale);
+  const locale = route.locale || detectedLocale;
+  const book = route.name === 'book' ? getBook(route.slug, locale) : null;
+
+  const localeValue = useMemo(() => ({
+    locale,
+    t: (key, params) => translate(locale, key, params),
+    setLocale: (code) => {
+      storeLocale(code);
+      setDetectedLocale(code);
+      // Keep the section fragment: the translated book opens at the same section
+      navigate(localizePath(window.location.pathname, code) + window.location.hash);
+    },
+  }), [locale]);
+
+  // Interface language and writing direction for the whole document
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = getLocale(locale).dir;
+  }, [locale]);
+
   return (
-    <div className="App">
-      <MainContent />
-    </div>
+    <LocaleContext.Provider value={localeValue}>
+      <div className="App">
+        {book ? (
+          // Keyed by slug and locale so switching re-initializes scroll state
+          <MainContent key={`${book.slug}:${locale}`} book={book} />
+        ) : (
+          <Library books={getBooks(locale)} missingSlug={route.name === 'book' ? route.slug : ''} />
+        )}
+        {import.meta.env.DEV && <ContentErrorOverlay />}
+      </div>
+    </LocaleContext.Provider>
   );
 }
 
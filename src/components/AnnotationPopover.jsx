@@ -0,0 +1,101 @@
+import React, { useEffect, useRef } from 'react';
+import { ANNOTATION_COLORS } from '../data/annotations';
+import useLocale from '../hooks/useLocale';
+import './AnnotationPopover.css';
+
+/**
+ * AnnotationPopover - Highlight toolbar and editor over the page
+ *
+ * - Without `annotation`: toolbar for the selected text (a swatch per
+ *   colour, "Note", "Quote card"); pressing its buttons keeps the selection
+ * - With `annotation`: its colour, note, a quote card of it and a delete
+ *   button; Escape or a press elsewhere closes it
+ * - `position` is in document coordinates ({ top, bottom, left } of the
+ *   text); the toolbar sits above the text, or below it on touch screens
+ *   where the system selection menu takes the space above
+ */
+const AnnotationPopover = ({ position, annotation, onColor, onNote, onNoteChange, onDelete, onClose, onQuoteCard }) => {
+  const { t } = useLocale();
+  const popoverRef = useRef(null);
+  const isEditor = Boolean(annotation);
+
+  useEffect(() => {
+    if (!isEditor) return undefined;
+    const handlePointerDown = (e) => {
+      if (!popoverRef.current.contains(e.target)) onClose();
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('pointerdown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('pointerdown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [isEditor, onClose]);
+
+  const below = isEditor || window.matchMedia('(pointer: coarse)').matches;
+  const style = {
+    top: below ? position.bottom : position.top,
+    left: Math.min(Math.max(position.left, 140), window.innerWidth - 140),
+  };
+
+  return (
+    <div
+      ref={popoverRef}
+      className={`annotation-popover ${below ? 'below' : 'above'} ${isEditor ? 'editor' : ''}`}
+      style={style}
+      role={isEditor ? 'dialog' : 'toolbar'}
+      aria-label={isEditor ? t('editHighlight') : t('highlight')}
+      // Keep the text selected while the toolbar is used
+      onMouseDown={isEditor ? undefined : (e) => e.preventDefault()}
+    >
+      <div className="annotation-colors">
+        {Object.entries(ANNOTATION_COLORS).map(([color, value]) => (
+          <button
+            key={color}
+            type="button"
+            className="annotation-swatch"
+            style={{ '--swatch': value }}
+            onClick={() => onColor(color)}
+            aria-label={t(`highlightColor.${color}`)}
+            aria-pressed={isEditor ? annotation.color === color : undefined}
+          />
+        ))}
+        {!isEditor && (
+          <button type="button" className="annotation-action" onClick={onNote}>
+            {t('addNote')}
+          </button>
+        )}
+        <button type="button" className="annotation-action" onClick={onQuoteCard}>
+          {t('quoteCard')}
+        </button>
+      </div>
+
+      {isEditor && (
+        <>
+          <textarea
+            className="annotation-note"
+            value={annotation.note}
+            onChange={(e) => onNoteChange(e.target.value)}
+            placeholder={t('notePlaceholder')}
+            aria-label={t('note')}
+            rows={3}
+            autoFocus
+          />
+          <div className="annotation-editor-actions">
+            <button type="button" className="annotation-action" onClick={onDelete}>
+              {t('deleteHighlight')}
+            </button>
+            <button type="button" className="annotation-action primary" onClick={onClose}>
+              {t('done')}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AnnotationPopover;
@@ -0,0 +1,55 @@
+import React, { useMemo, useState } from 'react';
+import library from 'virtual:books';
+import { PHOTO_NUMBERS } from '../data/images';
+import { validateLibrary } from '../data/contentSchema';
+import './ContentErrorOverlay.css';
+
+/**
+ * ContentErrorOverlay - Dev-only report of book content schema errors
+ *
+ * Validates every book on startup (and again on every HMR update of
+ * the book files) and lists each failure by book, section and field.
+ * Rendered only when `import.meta.env.DEV` is set; production builds
+ * are checked by the content-validation Vite plugin instead.
+ */
+const ContentErrorOverlay = () => {
+  const [dismissed, setDismissed] = useState(false);
+
+  const errors = useMemo(() => {
+    const found = validateLibrary(library, {
+      photoNumbers: PHOTO_NUMBERS,
+    });
+    if (found.length > 0) {
+      console.error(`❌ Book content has ${found.length} schema error(s)`, found);
+    }
+    return found;
+  }, []);
+
+  if (errors.length === 0 || dismissed) return null;
+
+  return (
+    <div className="content-error-overlay" role="alertdialog" aria-labelledby="content-error-title">
+      <div className="content-error-panel">
+        <header>
+          <h2 id="content-error-title">
+            {errors.length} content error{errors.length === 1 ? '' : 's'} in the book content
+          </h2>
+          <button onClick={() => setDismissed(true)} aria-label="Dismiss content errors">✕</button>
+        </header>
+        <ul>
+          {errors.map((error, i) => (
+            <li key={i}>
+              <span className="content-error-section">
+                {error.book}/{error.index < 0 ? 'book.yaml' : `#${error.index} ${error.sectionId ? `"${error.sectionId}"` : '(no id)'}`}
+              </span>
+              {error.field && <code className="content-error-field">{error.field}</code>}
+              <span className="content-error-message">{error.message}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default ContentErrorOverlay;
@@ -0,0 +1,82 @@
+import React, { useEffect, useRef, useState } from 'react';
+import TableOfContents from './TableOfContents';
+import useLocale from '../hooks/useLocale';
+import './ContentsPanel.css';
+
+/**
+ * ContentsPanel - Desktop table of contents
+ *
+ * - "Contents" button in the bottom corner (desktop only; the mobile menu
+ *   carries the same list)
+ * - Side panel in a modal `<dialog>`: Escape or a click beside it closes,
+ *   focus returns to the button
+ * - Choosing an entry closes the panel and calls `onSelect(index)`
+ */
+const ContentsPanel = ({ toc, current, read, onSelect }) => {
+  const { t } = useLocale();
+  const [isOpen, setIsOpen] = useState(false);
+  const dialogRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const dialog = dialogRef.current;
+    const opener = document.activeElement;
+    dialog.showModal();
+    dialog.querySelector('.toc-entry[aria-current]')?.scrollIntoView({ block: 'center' });
+    return () => {
+      dialog.close();
+      opener?.focus({ preventScroll: true });
+    };
+  }, [isOpen]);
+
+  const handleSelect = (index) => {
+    setIsOpen(false);
+    onSelect(index);
+  };
+
+  return (
+    <>
+      <button
+        type="button"
+        className="contents-toggle"
+        onClick={() => setIsOpen(true)}
+        aria-haspopup="dialog"
+        aria-expanded={isOpen}
+      >
+        {t('contents')}
+      </button>
+
+      {isOpen && (
+        <dialog
+          ref={dialogRef}
+          className="contents-panel"
+          aria-label={t('contents')}
+          onCancel={(e) => {
+            e.preventDefault();
+            setIsOpen(false);
+          }}
+          onClick={(e) => {
+            if (e.target === e.currentTarget) setIsOpen(false);
+          }}
+        >
+          <div className="contents-panel-inner">
+            <div className="contents-panel-header">
+              <h2>{t('contents')}</h2>
+              <button
+                type="button"
+                className="contents-panel-close"
+                onClick={() => setIsOpen(false)}
+                aria-label={t('closeContents')}
+              >
+                ×
+              </button>
+            </div>
+            <TableOfContents toc={toc} current={current} read={read} onSelect={handleSelect} />
+          </div>
+        </dialog>
+      )}
+    </>
+  );
+};
+
+export default ContentsPanel;
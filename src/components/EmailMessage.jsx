@@ -0,0 +1,100 @@
+import React from 'react';
+import Passage from './Passage';
+import useLocale from '../hooks/useLocale';
+import './EmailMessage.css';
+
+// Header rows in display order → UI message keys
+const HEADER_LABELS = {
+  from: 'emailFrom',
+  to: 'emailTo',
+  cc: 'emailCc',
+  date: 'emailDate',
+  subject: 'emailSubject',
+};
+
+/**
+ * Format an email date (`YYYY-MM-DD` or `YYYY-MM-DD HH:MM`) for a locale
+ * Times are shown as written, without time-zone conversion
+ */
+const formatEmailDate = (date, locale) => {
+  const [day, time] = date.split(/[ T]/);
+  const [year, month, dayOfMonth] = day.split('-').map(Number);
+  const [hours, minutes] = time ? time.split(':').map(Number) : [0, 0];
+  const options = time
+    ? { timeZone: 'UTC', dateStyle: 'long', timeStyle: 'short' }
+    : { timeZone: 'UTC', dateStyle: 'long' };
+
+  return new Intl.DateTimeFormat(locale, options)
+    .format(new Date(Date.UTC(year, month - 1, dayOfMonth, hours, minutes)));
+};
+
+/**
+ * EmailMessage - One email with its quoted thread
+ *
+ * - Header block (From, To, Cc, Date, Subject) with localized labels
+ * - Body paragraphs and signature lines, rendered through `renderText`
+ *   so inline markup and citations work as in other sections; with
+ *   `paragraphIds` the body paragraphs are linkable passages
+ * - Earlier messages (`thread`, newest first) nest as quoted replies
+ * - Colors follow the section theme (see EmailMessage.css)
+ */
+const EmailMessage = ({ message, thread = [], renderText, note = null, paragraphIds = null, quoted = false }) => {
+  const { locale, t } = useLocale();
+
+  const renderHeaderValue = (field, value) => {
+    if (field === 'date') {
+      return (
+        <>
+          <time dateTime={value.replace(' ', 'T')}>{formatEmailDate(value, locale)}</time>
+          {note}
+        </>
+      );
+    }
+    return Array.isArray(value) ? value.join(', ') : value;
+  };
+
+  return (
+    <article className={`email-message ${quoted ? 'quoted' : ''}`}>
+      <dl className="email-headers">
+        {Object.keys(HEADER_LABELS).filter(field => message[field]).map(field => (
+          <div key={field} className={`email-header email-header-${field}`}>
+            <dt>{t(HEADER_LABELS[field])}</dt>
+            <dd>{renderHeaderValue(field, message[field])}</dd>
+          </div>
+        ))}
+      </dl>
+
+      <div className="email-body">
+        {message.paragraphs.map((para, i) => (
+          paragraphIds
+            ? <Passage key={i} id={paragraphIds[i]}>{renderText(para)}</Passage>
+            : <p key={i}>{renderText(para)}</p>
+        ))}
+
+        {message.signature && (
+          <p className="email-signature">
+            {message.signature.map((line, i) => (
+              <React.Fragment key={i}>
+                {i > 0 && <br />}
+                {renderText(line)}
+              </React.Fragment>
+            ))}
+          </p>
+        )}
+      </div>
+
+      {thread.length > 0 && (
+        <blockquote className="email-thread">
+          <EmailMessage
+            message={thread[0]}
+            thread={thread.slice(1)}
+            renderText={renderText}
+            quoted
+          />
+        </blockquote>
+      )}
+    </article>
+  );
+};
+
+export default EmailMessage;
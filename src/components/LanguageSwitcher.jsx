@@ -0,0 +1,29 @@
+import React from 'react';
+import { LOCALES } from '../i18n/locales';
+import useLocale from '../hooks/useLocale';
+import './LanguageSwitcher.css';
+
+/**
+ * LanguageSwitcher - Locale picker
+ *
+ * Each language is listed in its own name; choosing one stores the
+ * preference and moves to the locale-prefixed URL.
+ */
+const LanguageSwitcher = ({ className = '' }) => {
+  const { locale, setLocale, t } = useLocale();
+
+  return (
+    <label className={`language-switcher ${className}`}>
+      <span className="language-switcher-label">{t('language')}</span>
+      <select value={locale} onChange={(e) => setLocale(e.target.value)}>
+        {Object.entries(LOCALES).map(([code, { name }]) => (
+          <option key={code} value={code} lang={code}>
+            {name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,68 @@
+import React, { useEffect } from 'react';
+import { bookPath, handleLinkClick } from '../hooks/useRoute';
+import useLocale from '../hooks/useLocale';
+import { quote } from '../i18n/typography';
+import LanguageSwitcher from './LanguageSwitcher';
+import Picture from './Picture';
+import './Library.css';
+
+/**
+ * Library - Landing page listing every book in the registry
+ *
+ * Each card links to `/book/:slug` with the book's cover photo,
+ * title, subtitle and its displayed chapters (books are localized by App).
+ */
+const Library = ({ books, missingSlug = '' }) => {
+  const { locale, t } = useLocale();
+
+  useEffect(() => {
+    document.title = `${t('library')} - Steve Jobs Archive`;
+    document.body.classList.remove('blue-bg', 'black-bg');
+    document.body.classList.add('light-bg');
+  }, [t]);
+
+  return (
+    <main className="library">
+      <header className="library-header">
+        <h1>Steve Jobs Archive</h1>
+        <p>{t('library')}</p>
+        <LanguageSwitcher />
+      </header>
+
+      {missingSlug && (
+        <p className="library-notice" role="status">
+          {t('missingBook', { slug: quote(missingSlug, locale) })}
+        </p>
+      )}
+
+      <ul className="library-books">
+        {books.map(book => {
+          const chapters = book.chapters.filter(chapter => chapter.display);
+
+          return (
+            <li key={book.slug}>
+              <a href={bookPath(book.slug, locale)} onClick={handleLinkClick} className="library-book">
+                <div className="library-book-cover">
+                  {book.coverPhoto && (
+                    <Picture photoNumber={book.coverPhoto} sizes="(max-width: 768px) 70vw, 240px" loading="lazy" />
+                  )}
+                </div>
+                <div className="library-book-text">
+                  <h2 lang={book.lang}>{book.title}</h2>
+                  {book.subtitle && <p className="library-book-subtitle" lang={book.lang}>{book.subtitle}</p>}
+                  {chapters.length > 0 && (
+                    <p className="library-book-chapters">
+                      {chapters.map(chapter => chapter.label).join(' · ')}
+                    </p>
+                  )}
+                </div>
+              </a>
+            </li>
+          );
+        })}
+      </ul>
+    </main>
+  );
+};
+
+export default Library;
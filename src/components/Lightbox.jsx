@@ -0,0 +1,297 @@
+import React, { useEffect, useRef, useState } from 'react';
+import Picture from './Picture';
+import { getLocale } from '../i18n/locales';
+import useLocale from '../hooks/useLocale';
+import './Lightbox.css';
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 4;
+const KEY_ZOOM_STEP = 1.5;
+const DOUBLE_TAP_ZOOM = 2.5;
+const WHEEL_ZOOM_SPEED = 0.002;
+// Horizontal travel (px) that turns a drag at 1× into a swipe
+const SWIPE_DISTANCE = 60;
+
+const UNZOOMED = { zoom: 1, x: 0, y: 0 };
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Zoom to `zoom` around a point (relative to the stage center),
+ * keeping the image inside the stage
+ */
+function zoomAround(view, zoom, point, stage) {
+  const nextZoom = clamp(zoom, MIN_ZOOM, MAX_ZOOM);
+  const ratio = nextZoom / view.zoom;
+  return constrain({
+    zoom: nextZoom,
+    x: point.x - (point.x - view.x) * ratio,
+    y: point.y - (point.y - view.y) * ratio,
+  }, stage);
+}
+
+// Limit panning so the zoomed image always covers the stage center
+function constrain(view, stage) {
+  const maxX = (stage.width * (view.zoom - 1)) / 2;
+  const maxY = (stage.height * (view.zoom - 1)) / 2;
+  return { zoom: view.zoom, x: clamp(view.x, -maxX, maxX), y: clamp(view.y, -maxY, maxY) };
+}
+
+// Pointer position relative to the stage center
+function stagePoint(stage, clientX, clientY) {
+  const rect = stage.getBoundingClientRect();
+  return { x: clientX - rect.left - rect.width / 2, y: clientY - rect.top - rect.height / 2 };
+}
+
+/**
+ * LightboxImage - One zoomable photo
+ * Keyed by image so zoom and pan reset when the photo changes
+ *
+ * - Wheel / pinch zoom around the pointer, double-tap toggles zoom
+ * - Drag pans when zoomed; at 1× a horizontal drag swipes (`onSwipe(±1)`)
+ */
+const LightboxImage = ({ image, zoomRequest, onSwipe }) => {
+  const stageRef = useRef(null);
+  const pointersRef = useRef(new Map());
+  const gestureRef = useRef(null);
+  const [view, setView] = useState(UNZOOMED);
+  const [dragging, setDragging] = useState(false);
+
+  // Keyboard zoom from the dialog (+ / - / 0)
+  useEffect(() => {
+    if (!zoomRequest) return;
+    setView(current => (zoomRequest.zoom === 1
+      ? UNZOOMED
+      : zoomAround(current, current.zoom * zoomRequest.zoom, { x: 0, y: 0 }, stageRef.current.getBoundingClientRect())));
+  }, [zoomRequest]);
+
+  // Wheel zoom (non-passive so the page does not scroll underneath)
+  useEffect(() => {
+    const stage = stageRef.current;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const point = stagePoint(stage, e.clientX, e.clientY);
+      setView(current => zoomAround(
+        current,
+        current.zoom * Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED),
+        point,
+        stage.getBoundingClientRect()
+      ));
+    };
+
+    stage.addEventListener('wheel', handleWheel, { passive: false });
+    return () => stage.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const startGesture = () => {
+    const pointers = [...pointersRef.current.values()];
+    const stage = stageRef.current;
+
+    if (pointers.length === 2) {
+      const [a, b] = pointers;
+      gestureRef.current = {
+        type: 'pinch',
+        distance: Math.hypot(a.x - b.x, a.y - b.y),
+        center: stagePoint(stage, (a.x + b.x) / 2, (a.y + b.y) / 2),
+        view,
+      };
+    } else if (pointers.length === 1) {
+      gestureRef.current = { type: 'drag', start: pointers[0], view };
+    } else {
+      gestureRef.current = null;
+    }
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    setDragging(true);
+    startGesture();
+  };
+
+  const handlePointerMove = (e) => {
+    const gesture = gestureRef.current;
+    if (!gesture || !pointersRef.current.has(e.pointerId)) return;
+
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const stage = stageRef.current.getBoundingClientRect();
+
+    if (gesture.type === 'pinch') {
+      const [a, b] = [...pointersRef.current.values()];
+      const distance = Math.hypot(a.x - b.x, a.y - b.y);
+      setView(zoomAround(gesture.view, gesture.view.zoom * (distance / gesture.distance), gesture.center, stage));
+      return;
+    }
+
+    const dx = e.clientX - gesture.start.x;
+    const dy = e.clientY - gesture.start.y;
+    if (gesture.view.zoom > 1) {
+      setView(constrain({ zoom: gesture.view.zoom, x: gesture.view.x + dx, y: gesture.view.y + dy }, stage));
+    } else {
+      // Follow the finger horizontally as swipe feedback
+      setView({ zoom: 1, x: dx, y: 0 });
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    const gesture = gestureRef.current;
+    pointersRef.current.delete(e.pointerId);
+
+    if (gesture?.type === 'drag' && gesture.view.zoom === 1) {
+      const dx = e.clientX - gesture.start.x;
+      const dy = e.clientY - gesture.start.y;
+      setView(UNZOOMED);
+      if (Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+        onSwipe(dx < 0 ? 1 : -1);
+      }
+    }
+
+    setDragging(pointersRef.current.size > 0);
+    startGesture();
+  };
+
+  const handleDoubleClick = (e) => {
+    const stage = stageRef.current;
+    setView(current => (current.zoom > 1
+      ? UNZOOMED
+      : zoomAround(current, DOUBLE_TAP_ZOOM, stagePoint(stage, e.clientX, e.clientY), stage.getBoundingClientRect())));
+  };
+
+  return (
+    <div
+      ref={stageRef}
+      className={`lightbox-stage ${view.zoom > 1 ? 'zoomed' : ''} ${dragging ? 'dragging' : ''}`}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      onDoubleClick={handleDoubleClick}
+    >
+      <Picture
+        photoNumber={image.photoNumber}
+        sizes="100vw"
+        alt={image.alt}
+        draggable={false}
+        style={{ transform: `translate(${view.x}px, ${view.y}px) scale(${view.zoom})` }}
+      />
+    </div>
+  );
+};
+
+/**
+ * Lightbox - Fullscreen viewer for the photos of an image section
+ *
+ * - Native modal <dialog>: focus stays inside, Escape closes,
+ *   focus returns to the enlarged image on close
+ * - `images` are `{ photoNumber, alt, caption, lang }`; captions are rendered nodes
+ * - ←/→ (mirrored in RTL) and swipe step through the section's photos
+ * - +/−/0, wheel, pinch and double-tap zoom
+ *
+ * The caller pauses section scrolling while it is open.
+ */
+const Lightbox = ({ images, index, onIndexChange, onClose }) => {
+  const { locale, t } = useLocale();
+  const dialogRef = useRef(null);
+  const [zoomRequest, setZoomRequest] = useState(null);
+  const image = images[index];
+  const count = images.length;
+  const isRtl = getLocale(locale).dir === 'rtl';
+
+  const step = (direction) => {
+    const next = index + direction;
+    if (next >= 0 && next < count) {
+      setZoomRequest(null);
+      onIndexChange(next);
+    }
+  };
+
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    const opener = document.activeElement;
+    dialog.showModal();
+    return () => {
+      dialog.close();
+      opener?.focus();
+    };
+  }, []);
+
+  const handleKeyDown = (e) => {
+    const forward = isRtl ? 'ArrowLeft' : 'ArrowRight';
+    const back = isRtl ? 'ArrowRight' : 'ArrowLeft';
+
+    if (e.key === forward) {
+      step(1);
+    } else if (e.key === back) {
+      step(-1);
+    } else if (e.key === '+' || e.key === '=') {
+      setZoomRequest({ zoom: KEY_ZOOM_STEP });
+    } else if (e.key === '-') {
+      setZoomRequest({ zoom: 1 / KEY_ZOOM_STEP });
+    } else if (e.key === '0') {
+      setZoomRequest({ zoom: 1 });
+    } else {
+      return;
+    }
+    e.preventDefault();
+  };
+
+  return (
+    <dialog
+      ref={dialogRef}
+      className="lightbox"
+      aria-label={image.alt}
+      onCancel={(e) => {
+        e.preventDefault();
+        onClose();
+      }}
+      onKeyDown={handleKeyDown}
+    >
+      <LightboxImage
+        key={index}
+        image={image}
+        zoomRequest={zoomRequest}
+        onSwipe={(direction) => step(isRtl ? -direction : direction)}
+      />
+
+      <button type="button" className="lightbox-close" onClick={onClose} aria-label={t('closeImage')}>
+        ×
+      </button>
+
+      {count > 1 && (
+        <>
+          <button
+            type="button"
+            className="lightbox-step lightbox-previous"
+            onClick={() => step(-1)}
+            disabled={index === 0}
+            aria-label={t('previousImage')}
+          >
+            ‹
+          </button>
+          <button
+            type="button"
+            className="lightbox-step lightbox-next"
+            onClick={() => step(1)}
+            disabled={index === count - 1}
+            aria-label={t('nextImage')}
+          >
+            ›
+          </button>
+        </>
+      )}
+
+      {(image.caption || count > 1) && (
+        <div className="lightbox-caption" lang={image.lang}>
+          {count > 1 && (
+            <span className="lightbox-position">
+              {t('imagePosition', { index: index + 1, count })}
+            </span>
+          )}
+          {image.caption}
+        </div>
+      )}
+    </dialog>
+  );
+};
+
+export default Lightbox;
@@ -1,36 +1,130 @@
-import React, { useRef, useState, useEffect } from 'react';
-import { sections, CHAPTER_LABELS } from '../data/content';
+import React, { useRef, useState, useEffect, useMemo } from 'react';
+import { PALETTE_KEYS } from '../data/contentSchema';
+import { noteId, describeSource } from '../data/sources';
+import { toPlainText } from '../data/richText';
+import { passageFragment } from '../data/permalinks';
+import { buildTableOfContents } from '../data/toc';
+import { DEFAULT_COLOR } from '../data/annotations';
+import { getChapterForSection } from '../data/chapters';
+import SCROLL_ANIMATION_CONFIG from '../config/scrollAnimationConfig';
 import Section from './Section';
 import PageContent from './PageContent';
 import ResponsiveImage from './ResponsiveImage';
-import NavigationClean from './NavigationClean';
+import Picture from './Picture';
 import ScrubScroller from './ScrubScroller';
+import PageStrip from './PageStrip';
 import MobileMenu from './MobileMenu';
+import LanguageSwitcher from './LanguageSwitcher';
+import ContentsPanel from './ContentsPanel';
+import SearchPanel from './SearchPanel';
+import ResumePrompt from './ResumePrompt';
+import AnnotationPopover from './AnnotationPopover';
+import NotebookPanel from './NotebookPanel';
+import QuoteCardDialog from './QuoteCardDialog';
+import SourceNote from './SourceNote';
+import RichText from './RichText';
+import EmailMessage from './EmailMessage';
+import Passage from './Passage';
+import MediaTranscript from './MediaTranscript';
+import Lightbox from './Lightbox';
+import MinimodeOverview from './MinimodeOverview';
 import { SPRING_PRESETS } from '../services/springPhysicsService';
 import scrollAnimationOrchestrator from '../services/scrollAnimationOrchestrator';
-import useSectionScroll from '../hooks/useSectionScroll';
+import useNavigation from '../hooks/useNavigation';
+import useSectionHistory from '../hooks/useSectionHistory';
+import useMinimode from '../hooks/useMinimode';
+import useReadSections from '../hooks/useReadSections';
+import useSearch from '../hooks/useSearch';
+import useReadingPosition from '../hooks/useReadingPosition';
+import useAnnotations from '../hooks/useAnnotations';
+import useLocale from '../hooks/useLocale';
 import './MainContent.css';
 
-// Import cover photo images
-import photo18_256 from '../assets/photo-18~256.jpg';
-import photo18_1500 from '../assets/photo-18~1500.jpg';
+// Palette keys (book.yaml) → CSS custom properties from design-tokens.css
+const PALETTE_PROPERTIES = {
+  gray: '--background-gray',
+  blue: '--background-blue',
+  black: '--background-black',
+  light: '--background-light-gray',
+};
 
 /**
- * MainContent - Renders all book sections based on content.js
+ * MainContent - Renders all sections of the active book
  * Converts section data to appropriate React components
  * Now with integrated scroll orchestration, scrub scroller, and spring physics
  */
-const MainContent = () => {
+const MainContent = ({ book }) => {
+  const { sections, chapters, sourceNotes = [] } = book;
+  const { locale, t } = useLocale();
   const mainRef = useRef(null);
   const [scrollProgress, setScrollProgress] = useState(0);
   const [scrubberProgress, setScrubberProgress] = useState(0);
   const [labelAnimations, setLabelAnimations] = useState([]);
+  const [chapterLayout, setChapterLayout] = useState([]);
   const [currentSection, setCurrentSection] = useState('');
   const [showSnapDebug, setShowSnapDebug] = useState(false); // Toggle with Alt+D
-  const [isOrchestratorReady, setIsOrchestratorReady] = useState(false);
+  const [lightbox, setLightbox] = useState(null); // { section, index } while open
+  const [quoteCard, setQuoteCard] = useState(null); // { text, lang, section, chapter } while open
+  
+  // Reader highlights and notes, listed in the notebook
+  const annotations = useAnnotations(mainRef, sections, book.slug);
+  const editedAnnotation = annotations.editing
+    && annotations.annotations.find(annotation => annotation.id === annotations.editing.id);
+  
+  // Dialogs that keep the keyboard and wheel to themselves
+  const isDialogOpen = lightbox !== null || quoteCard !== null || annotations.isNotebookOpen;
+  
+  // Full-text search: `/`, Ctrl/⌘+K or the search buttons
+  const search = useSearch(book.slug, locale, { paused: isDialogOpen });
   
-  // Enable intelligent section scrolling
-  useSectionScroll(true);
+  // Zoomed-out overview: pinch out, `o` or the tree icon
+  const { minimode, open: openMinimode, close: closeMinimode, applyTransform } = useMinimode(
+    mainRef, { paused: isDialogOpen || search.isOpen }
+  );
+  
+  // Section navigation and every scroll the app starts (wheel/keys go to the open dialog,
+  // overview, search or highlight editor)
+  const navigation = useNavigation(sections, {
+    paused: isDialogOpen || minimode !== null || search.isOpen || Boolean(editedAnnotation),
+  });
+  
+  // Book mode: sections as horizontal pages (spreads on wide screens), the
+  // page strip in place of the scrubber; back to the configured mode
+  const isBookMode = navigation.mode === 'book';
+  const toggleBookMode = () => {
+    navigation.setMode(isBookMode ? SCROLL_ANIMATION_CONFIG.navigation.mode : 'book');
+  };
+  
+  // Section in the URL fragment: deep links, back/forward between sections
+  useSectionHistory(sections);
+  
+  // Table of contents with read/unread state (data/toc.js)
+  const toc = useMemo(() => buildTableOfContents(sections, chapters), [sections, chapters]);
+  const { read, current } = useReadSections(sections, book.slug);
+  
+  // Saved reading position per book, offered as "Continue reading from …"
+  const { resume, continueReading, dismiss: dismissResume } = useReadingPosition(sections, chapters, book.slug);
+  
+  // Source notes by id (see data/sources.js)
+  const notesById = useMemo(
+    () => new Map(sourceNotes.map(note => [note.id, note])),
+    [sourceNotes]
+  );
+  
+  // Apply the book's title and palette while it is open
+  useEffect(() => {
+    const root = document.documentElement;
+    const palette = book.palette || {};
+    
+    document.title = `${book.title} - Steve Jobs Archive`;
+    PALETTE_KEYS.forEach(key => {
+      if (palette[key]) root.style.setProperty(PALETTE_PROPERTIES[key], palette[key]);
+    });
+    
+    return () => {
+      PALETTE_KEYS.forEach(key => root.style.removeProperty(PALETTE_PROPERTIES[key]));
+    };
+  }, [book]);
   
   // Initialize orchestrator
   useEffect(() => {
@@ -46,23 +140,22 @@ const MainContent = () => {
         onLabelUpdate: (animations) => {
           setLabelAnimations(animations);
         },
-        onContentTransformUpdate: (transform) => {
-          // Optional: Apply minimode transforms to main content
-          // For now, we'll skip this unless you want zoomed-out mode
+        onContentTransformUpdate: applyTransform,
+        onChapterLayoutUpdate: (layout) => {
+          setChapterLayout(layout);
         },
-      });
+      }, { chapters });
       
       scrollAnimationOrchestrator.start();
-      setIsOrchestratorReady(true);
       
       console.log('✅ Scroll Animation Orchestrator ready');
     }, 100);
     
     return () => {
       clearTimeout(initTimeout);
-      scrollAnimationOrchestrator.stop();
+      scrollAnimationOrchestrator.destroy();
     };
-  }, []);
+  }, [sections, chapters, applyTransform]);
   
   // Simple scroll tracking (backup for body background changes and current chapter)
   useEffect(() => {
@@ -102,9 +195,9 @@ const MainContent = () => {
     };
     
     window.addEventListener('scroll', handleScroll, { passive: true });
-    handleScroll(); // Initial call
+    handleScroll(); // Initial call, and after every page turn (book mode does not scroll)
     return () => window.removeEventListener('scroll', handleScroll);
-  }, []);
+  }, [navigation.activeIndex]);
   
   // Debug toggle (Alt+D)
   useEffect(() => {
@@ -119,15 +212,22 @@ const MainContent = () => {
   }, []);
   
   // Scroll to progress handler (for scrubber interaction)
-  const scrollToProgress = (progress) => {
-    if (isOrchestratorReady) {
-      // Use orchestrator's smooth spring-based scrolling
-      scrollAnimationOrchestrator.scrollToProgress(progress, true);
-    } else {
-      // Fallback to native smooth scroll
-      const docHeight = document.documentElement.scrollHeight - window.innerHeight;
-      window.scrollTo({ top: progress * docHeight, behavior: 'smooth' });
-    }
+  const scrollToProgress = (progress) => navigation.scrollToProgress(progress);
+  
+  // Jump to a section (table of contents)
+  const scrollToSection = (index) => navigation.scrollToSection(index);
+  
+  // Quote card of selected or highlighted text (anchors from useAnnotations)
+  const openQuoteCard = ({ text, sectionId }) => {
+    const index = sections.findIndex(section => section.id === sectionId);
+    const chapter = getChapterForSection(chapters, index);
+    setQuoteCard({
+      text,
+      lang: sections[index].lang,
+      section: sections[index],
+      chapter: chapter && chapter.display ? chapter.label : '',
+    });
+    annotations.closeEditor();
   };
   
   const handleSectionChange = (index, section) => {
@@ -151,17 +251,44 @@ const MainContent = () => {
         return renderImagePage(section);
       case 'part':
         return renderPartPage(section);
+      case 'email':
+        return renderEmailPage(section);
+      case 'media':
+        return renderMediaPage(section);
+      case 'sources':
+        return renderSourcesPage(section);
       default:
         return null;
     }
   };
   
+  // Section text with inline markup; `[^key]` citations become footnote markers
+  const renderText = (text, section) => (
+    <RichText
+      text={text}
+      renderNote={(key) => {
+        const note = notesById.get(noteId(section.id, key));
+        return note ? <SourceNote note={note} /> : null;
+      }}
+    />
+  );
+  
+  // Permalink fragment (and DOM id) of a subtitle, narration or paragraph
+  const passageId = (section, field, i) => passageFragment(section.id, section.passageIds[field][i]);
+  
+  // Marker for the section-level `source`
+  const renderSectionNote = (section) => {
+    const note = section.source && notesById.get(noteId(section.id));
+    return note ? <SourceNote note={note} /> : null;
+  };
+  
   const renderCoverPage = (section) => {
     return (
       <Section 
         key={section.id}
         id={section.id}
         chapter={section.chapter}
+        lang={section.lang}
         bookCover
         cover
         gray={section.gray}
@@ -172,9 +299,8 @@ const MainContent = () => {
         <PageContent>
           {section.coverPhoto && (
             <div className="cover-photo-inline">
-              <img 
-                src={photo18_1500}
-                srcSet={`${photo18_256} 256w, ${photo18_1500} 1500w`}
+              <Picture
+                photoNumber={section.coverPhoto}
                 sizes="(max-width: 768px) 240px, 320px"
                 alt="Steve Jobs"
                 loading="eager"
@@ -182,8 +308,8 @@ const MainContent = () => {
             </div>
           )}
           <div className="cover-text">
-            <h1>{section.title}</h1>
-            <h2>{section.subtitle}</h2>
+            <h1>{renderText(section.title, section)}</h1>
+            <h2>{renderText(section.subtitle, section)}</h2>
           </div>
         </PageContent>
       </Section>
@@ -196,14 +322,20 @@ const MainContent = () => {
         key={section.id}
         id={section.id}
         chapter={section.chapter}
+        lang={section.lang}
         gray={section.gray}
         verticalCenter={section.verticalCenter}
       >
         <PageContent>
           {section.paragraphs.map((para, i) => (
-            <p key={i} className={i === section.paragraphs.length - 1 ? 'quote-author' : ''}>
-              {para}
-            </p>
+            <Passage
+              key={i}
+              id={passageId(section, 'paragraphs', i)}
+              className={i === section.paragraphs.length - 1 ? 'quote-author' : ''}
+            >
+              {renderText(para, section)}
+              {i === section.paragraphs.length - 1 && renderSectionNote(section)}
+            </Passage>
           ))}
         </PageContent>
       </Section>
@@ -216,27 +348,28 @@ const MainContent = () => {
         key={section.id}
         id={section.id}
         chapter={section.chapter}
+        lang={section.lang}
         sticky={section.sticky}
         scrubber={section.scrubber}
       >
         <PageContent>
-          {section.title && <h1>{section.title.split('\n').map((line, i) => (
-            <React.Fragment key={i}>
-              {line}
-              {i < section.title.split('\n').length - 1 && <br />}
-            </React.Fragment>
-          ))}</h1>}
+          {section.title && <h1>{renderText(section.title, section)}{renderSectionNote(section)}</h1>}
           
           {section.subtitles && section.subtitles.map((subtitle, i) => (
-            <h3 key={i}>{subtitle}</h3>
+            <Passage as="h3" key={i} id={passageId(section, 'subtitles', i)}>{renderText(subtitle, section)}</Passage>
           ))}
           
           {section.narration && section.narration.map((para, i) => (
-            <p key={`narration-${i}`} className="narration">{para}</p>
+            <Passage key={`narration-${i}`} id={passageId(section, 'narration', i)} className="narration">
+              {renderText(para, section)}
+            </Passage>
           ))}
           
           {section.paragraphs && section.paragraphs.map((para, i) => (
-            <p key={i}>{para}</p>
+            <Passage key={i} id={passageId(section, 'paragraphs', i)}>
+              {renderText(para, section)}
+              {!section.title && i === section.paragraphs.length - 1 && renderSectionNote(section)}
+            </Passage>
           ))}
         </PageContent>
       </Section>
@@ -249,21 +382,15 @@ const MainContent = () => {
         key={section.id}
         id={section.id}
         chapter={section.chapter}
+        lang={section.lang}
         blue={section.blue}
         titlePage={section.titlePage}
       >
         <PageContent>
-          <h1>{section.title}</h1>
-          <h2>{section.subtitle}</h2>
+          <h1>{renderText(section.title, section)}{renderSectionNote(section)}</h1>
+          <h2>{renderText(section.subtitle, section)}</h2>
           {section.paragraphs && section.paragraphs.map((para, i) => (
-            <p key={i}>
-              {para.includes('✂') ? (
-                <>
-                  <mark className="snip">✂</mark>
-                  {para.replace('✂', '')}
-                </>
-              ) : para}
-            </p>
+            <Passage key={i} id={passageId(section, 'paragraphs', i)}>{renderText(para, section)}</Passage>
           ))}
         </PageContent>
       </Section>
@@ -271,23 +398,49 @@ const MainContent = () => {
   };
   
   const renderImagePage = (section) => {
+    const { gallery } = section;
+    
+    const renderImage = (img, i) => (
+      <ResponsiveImage
+        key={i}
+        photoNumber={img.photoNumber} // Add photoNumber to content.js images
+        alt={toPlainText(img.alt)}
+        caption={img.caption && renderText(img.caption, section)}
+        portrait={img.portrait}
+        onOpen={() => setLightbox({ section, index: i })}
+        openLabel={t('openImage')}
+      />
+    );
+    
+    // Pairs: two images per row, portrait images narrower than landscape ones
+    const renderGallery = () => {
+      if (gallery !== 'pairs') return section.images.map(renderImage);
+      
+      const rows = [];
+      for (let i = 0; i < section.images.length; i += 2) {
+        rows.push(
+          <div key={i} className="gallery-pair">
+            {section.images.slice(i, i + 2).map((img, j) => renderImage(img, i + j))}
+          </div>
+        );
+      }
+      return rows;
+    };
+    
     return (
       <Section 
         key={section.id}
         id={section.id}
         chapter={section.chapter}
+        lang={section.lang}
         black={section.black}
       >
         <PageContent>
-          {section.images && section.images.map((img, i) => (
-            <ResponsiveImage
-              key={i}
-              photoNumber={img.photoNumber} // Add photoNumber to content.js images
-              alt={img.alt}
-              caption={img.caption}
-              portrait={img.portrait}
-            />
-          ))}
+          {gallery ? (
+            <div className={`gallery gallery-${gallery}`}>{renderGallery()}</div>
+          ) : (
+            section.images.map(renderImage)
+          )}
         </PageContent>
       </Section>
     );
@@ -299,13 +452,126 @@ const MainContent = () => {
         key={section.id}
         id={section.id}
         chapter={section.chapter}
+        lang={section.lang}
+        blue={section.blue}
+        sticky={section.sticky}
+        scrubber={section.scrubber}
+      >
+        <PageContent>
+          <h1>{renderText(section.title, section)}{renderSectionNote(section)}</h1>
+          <h2>{renderText(section.subtitle, section)}</h2>
+        </PageContent>
+      </Section>
+    );
+  };
+  
+  const renderEmailPage = (section) => {
+    return (
+      <Section 
+        key={section.id}
+        id={section.id}
+        chapter={section.chapter}
+        lang={section.lang}
+        gray={section.gray}
         blue={section.blue}
+        black={section.black}
+        verticalCenter={section.verticalCenter}
+        sticky={section.sticky}
+        scrubber={section.scrubber}
+      >
+        <PageContent>
+          {section.title && <h1>{renderText(section.title, section)}</h1>}
+          
+          {section.subtitles && section.subtitles.map((subtitle, i) => (
+            <Passage as="h3" key={i} id={passageId(section, 'subtitles', i)}>{renderText(subtitle, section)}</Passage>
+          ))}
+          
+          {section.narration && section.narration.map((para, i) => (
+            <Passage key={`narration-${i}`} id={passageId(section, 'narration', i)} className="narration">
+              {renderText(para, section)}
+            </Passage>
+          ))}
+          
+          <EmailMessage
+            message={section}
+            thread={section.thread}
+            renderText={(text) => renderText(text, section)}
+            note={renderSectionNote(section)}
+            paragraphIds={section.paragraphs.map((para, i) => passageId(section, 'paragraphs', i))}
+          />
+        </PageContent>
+      </Section>
+    );
+  };
+  
+  const renderMediaPage = (section) => {
+    return (
+      <Section 
+        key={section.id}
+        id={section.id}
+        chapter={section.chapter}
+        lang={section.lang}
+        sticky={section.sticky}
+        scrubber={section.scrubber}
+      >
+        <PageContent>
+          {section.title && <h1>{renderText(section.title, section)}{renderSectionNote(section)}</h1>}
+          
+          {section.subtitles && section.subtitles.map((subtitle, i) => (
+            <Passage as="h3" key={i} id={passageId(section, 'subtitles', i)}>{renderText(subtitle, section)}</Passage>
+          ))}
+          
+          {section.narration && section.narration.map((para, i) => (
+            <Passage key={`narration-${i}`} id={passageId(section, 'narration', i)} className="narration">
+              {renderText(para, section)}
+            </Passage>
+          ))}
+          
+          <MediaTranscript
+            media={section.media}
+            paragraphs={section.paragraphs}
+            timestamps={section.timestamps}
+            paragraphIds={section.paragraphs.map((para, i) => passageId(section, 'paragraphs', i))}
+            renderText={(text) => renderText(text, section)}
+            note={!section.title && renderSectionNote(section)}
+          />
+        </PageContent>
+      </Section>
+    );
+  };
+  
+  // Generated list of every cited source (data/sources.js)
+  const renderSourcesPage = (section) => {
+    return (
+      <Section 
+        key={section.id}
+        id={section.id}
+        chapter={section.chapter}
+        lang={section.lang}
         sticky={section.sticky}
         scrubber={section.scrubber}
       >
         <PageContent>
-          <h1>{section.title}</h1>
-          <h2>{section.subtitle}</h2>
+          <h1>{t('sources')}</h1>
+          <ol className="sources-list">
+            {section.notes.map(note => (
+              <li key={note.id} id={`source-${note.id}`} value={note.number}>
+                <span className="sources-context" lang={note.lang}>{note.context}</span>
+                <span className="sources-details">{describeSource(note.source, locale)}</span>
+                {note.source.notes && (
+                  <span className="sources-notes" lang={note.lang}><RichText text={note.source.notes} /></span>
+                )}
+                <span className="sources-links">
+                  {note.source.url && (
+                    <a href={note.source.url} target="_blank" rel="noopener noreferrer">
+                      {t('originalSource')}
+                    </a>
+                  )}
+                  <a href={`#cite-${note.id}`} aria-label={t('backToText')}>↩</a>
+                </span>
+              </li>
+            ))}
+          </ol>
         </PageContent>
       </Section>
     );
@@ -313,27 +579,124 @@ const MainContent = () => {
   
   return (
     <>
-      {/* Desktop navigation - now with spring animations */}
-      <ScrubScroller 
-        scrollProgress={scrollProgress}
-        scrubberProgress={scrubberProgress}
-        labelAnimations={labelAnimations}
-        onScrollTo={scrollToProgress}
-        currentChapter={currentSection}
-        chapters={CHAPTER_LABELS}
-      />
+      {/* Desktop navigation - now with spring animations; pages in book mode */}
+      {isBookMode ? (
+        <PageStrip
+          sections={sections}
+          chapters={chapters}
+          pages={navigation.pages}
+          onSelect={scrollToSection}
+          onTurn={navigation.turn}
+        />
+      ) : (
+        <ScrubScroller 
+          scrollProgress={scrollProgress}
+          scrubberProgress={scrubberProgress}
+          labelAnimations={labelAnimations}
+          onScrollTo={scrollToProgress}
+          currentChapter={currentSection}
+          chapters={chapterLayout}
+        />
+      )}
       
       {/* Navigation with tree icon */}
       <MobileMenu
-        scrollProgress={scrollProgress}
-        onScrollTo={scrollToProgress}
-        currentChapter={currentSection}
+        scrollProgress={isBookMode ? navigation.activeIndex / Math.max(1, sections.length - 1) : scrollProgress}
+        onOverview={openMinimode}
+        onSearch={search.open}
+        onNotebook={annotations.openNotebook}
+        isBookMode={isBookMode}
+        onToggleBookMode={toggleBookMode}
+        toc={toc}
+        current={current}
+        read={read}
+        onSelect={scrollToSection}
+      />
+      
+      <LanguageSwitcher className="floating" />
+      
+      {/* Desktop table of contents */}
+      <ContentsPanel toc={toc} current={current} read={read} onSelect={scrollToSection} />
+      
+      <SearchPanel
+        isOpen={search.isOpen}
+        index={search.index}
+        slug={book.slug}
+        onOpen={search.open}
+        onClose={search.close}
+        onSelect={search.select}
+      />
+      
+      <NotebookPanel
+        isOpen={annotations.isNotebookOpen}
+        book={book}
+        annotations={annotations.annotations}
+        onOpen={annotations.openNotebook}
+        onClose={annotations.closeNotebook}
+        onGoTo={annotations.goTo}
+        onUpdate={annotations.update}
+        onRemove={annotations.remove}
       />
       
+      <button type="button" className="book-mode-toggle" onClick={toggleBookMode} aria-pressed={isBookMode}>
+        {t('bookView')}
+      </button>
+      
       {/* Main content - using native CSS scroll-snap + custom scroll handler */}
-      <main id="main" ref={mainRef}>
+      <main id="main" ref={mainRef} className={isBookMode ? 'book-mode' : undefined}>
         {sections.map((section, index) => renderSection(section, index))}
       </main>
+      
+      {annotations.selection && !editedAnnotation && (
+        <AnnotationPopover
+          position={annotations.selection.position}
+          onColor={(color) => annotations.create(color)}
+          onNote={() => annotations.create(DEFAULT_COLOR, { withNote: true })}
+          onQuoteCard={() => openQuoteCard(annotations.selection)}
+        />
+      )}
+      
+      {editedAnnotation && (
+        <AnnotationPopover
+          position={annotations.editing.position}
+          annotation={editedAnnotation}
+          onColor={(color) => annotations.update(editedAnnotation.id, { color })}
+          onNoteChange={(note) => annotations.update(editedAnnotation.id, { note })}
+          onDelete={() => annotations.remove(editedAnnotation.id)}
+          onClose={annotations.closeEditor}
+          onQuoteCard={() => openQuoteCard(editedAnnotation)}
+        />
+      )}
+      
+      {quoteCard && <QuoteCardDialog card={quoteCard} book={book} onClose={() => setQuoteCard(null)} />}
+      
+      {resume && (
+        <ResumePrompt label={resume.label} onContinue={continueReading} onDismiss={dismissResume} />
+      )}
+      
+      {lightbox && (
+        <Lightbox
+          images={lightbox.section.images.map(img => ({
+            photoNumber: img.photoNumber,
+            alt: toPlainText(img.alt),
+            caption: img.caption && renderText(img.caption, lightbox.section),
+            lang: lightbox.section.lang,
+          }))}
+          index={lightbox.index}
+          onIndexChange={(index) => setLightbox(current => ({ ...current, index }))}
+          onClose={() => setLightbox(null)}
+        />
+      )}
+      
+      {minimode && (
+        <MinimodeOverview
+          sections={sections}
+          chapters={chapters}
+          currentIndex={minimode.index}
+          onSelect={closeMinimode}
+          onClose={() => closeMinimode()}
+        />
+      )}
     </>
   );
 };
@@ -0,0 +1,173 @@
+import React, { useEffect, useRef, useState } from 'react';
+import imageMap, { getPictureSources } from '../data/images';
+import { findParagraphAt, formatTimestamp } from '../data/media';
+import Passage from './Passage';
+import useLocale from '../hooks/useLocale';
+import useNavigation from '../hooks/useNavigation';
+import './MediaTranscript.css';
+
+// Where the spoken paragraph is held while following playback, and where
+// the reader's paragraph is read from when seeking (fraction of viewport height)
+const READING_LINE = 0.35;
+
+// Scroll events this long after wheel, touch or key input come from the reader
+const USER_SCROLL_WINDOW = 800;
+
+// Seek once the reader's scroll settles
+const SCROLL_SETTLE_DELAY = 150;
+
+/**
+ * MediaTranscript - Audio or video player with its timed transcript
+ *
+ * - Sticky native player (controls, keyboard, captions stay the browser's)
+ * - Each paragraph has a timestamp button that plays from its start;
+ *   `note` (the section's source marker) follows the last paragraph;
+ *   paragraphs are linkable passages (`paragraphIds`)
+ * - Playback highlights the paragraph being spoken and, while the
+ *   transcript is on screen, scrolls it to the reading line (useNavigation)
+ * - Scrolling the transcript (wheel, touch, keys) seeks the media to the
+ *   paragraph at the reading line; scrolls the component starts itself are
+ *   ignored, so following playback never seeks
+ */
+const MediaTranscript = ({ media, paragraphs, timestamps, paragraphIds, renderText, note = null }) => {
+  const { t } = useLocale();
+  const { scrollToElement } = useNavigation();
+  const mediaRef = useRef(null);
+  const transcriptRef = useRef(null);
+  const paragraphRefs = useRef([]);
+  const activeRef = useRef(-1);
+  const userScrollUntilRef = useRef(0);
+  const [active, setActive] = useState(-1);
+
+  useEffect(() => {
+    const element = mediaRef.current;
+    const transcript = transcriptRef.current;
+    if (!element || !transcript) return;
+
+    let settleTimeout = null;
+
+    const activate = (index) => {
+      activeRef.current = index;
+      setActive(index);
+    };
+
+    const isOnScreen = () => {
+      const rect = transcript.getBoundingClientRect();
+      return rect.bottom > 0 && rect.top < window.innerHeight && rect.right > 0 && rect.left < window.innerWidth;
+    };
+
+    // Playback → highlighted paragraph → scroll position
+    const handleTimeUpdate = () => {
+      const index = findParagraphAt(timestamps, element.currentTime);
+      if (index === activeRef.current) return;
+      activate(index);
+
+      const paragraph = paragraphRefs.current[index];
+      if (!paragraph || element.paused || !isOnScreen() || Date.now() < userScrollUntilRef.current) return;
+
+      scrollToElement(paragraph, { offset: window.innerHeight * READING_LINE });
+    };
+
+    // Reader's scroll → paragraph at the reading line → playback position
+    const seekToReadingLine = () => {
+      const line = window.innerHeight * READING_LINE;
+      const rect = transcript.getBoundingClientRect();
+      if (rect.top > line || rect.bottom < line) return;
+
+      let index = 0;
+      paragraphRefs.current.forEach((paragraph, i) => {
+        if (paragraph && paragraph.getBoundingClientRect().top <= line) index = i;
+      });
+      if (index === activeRef.current) return;
+
+      activate(index);
+      element.currentTime = timestamps[index];
+    };
+
+    const handleUserInput = () => {
+      userScrollUntilRef.current = Date.now() + USER_SCROLL_WINDOW;
+    };
+
+    const handleScroll = () => {
+      if (Date.now() >= userScrollUntilRef.current) return;
+      clearTimeout(settleTimeout);
+      settleTimeout = setTimeout(seekToReadingLine, SCROLL_SETTLE_DELAY);
+    };
+
+    element.addEventListener('timeupdate', handleTimeUpdate);
+    element.addEventListener('seeked', handleTimeUpdate);
+    window.addEventListener('wheel', handleUserInput, { passive: true });
+    window.addEventListener('touchmove', handleUserInput, { passive: true });
+    window.addEventListener('keydown', handleUserInput);
+    // (captured, for the transcript's own page in book mode)
+    window.addEventListener('scroll', handleScroll, { capture: true, passive: true });
+
+    return () => {
+      element.removeEventListener('timeupdate', handleTimeUpdate);
+      element.removeEventListener('seeked', handleTimeUpdate);
+      window.removeEventListener('wheel', handleUserInput);
+      window.removeEventListener('touchmove', handleUserInput);
+      window.removeEventListener('keydown', handleUserInput);
+      window.removeEventListener('scroll', handleScroll, { capture: true });
+      clearTimeout(settleTimeout);
+    };
+  }, [timestamps, scrollToElement]);
+
+  const playFrom = (index) => {
+    const element = mediaRef.current;
+    element.currentTime = timestamps[index];
+    element.play().catch(error => {
+      // The position is set either way; the reader can press play
+      console.warn('⚠️ Playback did not start:', error.message);
+    });
+  };
+
+  const isVideo = media.kind === 'video';
+  const Player = isVideo ? 'video' : 'audio';
+  const poster = isVideo && media.poster && imageMap[media.poster]
+    ? getPictureSources(imageMap[media.poster]).src
+    : undefined;
+
+  return (
+    <div className={`media-transcript media-${media.kind}`}>
+      <div className="media-player">
+        <Player
+          ref={mediaRef}
+          src={media.src}
+          controls
+          preload="metadata"
+          {...(isVideo && { poster, playsInline: true })}
+        >
+          {t('mediaUnsupported')}
+        </Player>
+      </div>
+
+      <div className="media-paragraphs" ref={transcriptRef}>
+        {paragraphs.map((para, i) => {
+          const time = formatTimestamp(timestamps[i]);
+          return (
+            <Passage
+              key={i}
+              id={paragraphIds[i]}
+              ref={(paragraph) => { paragraphRefs.current[i] = paragraph; }}
+              className={i === active ? 'active' : ''}
+            >
+              <button
+                type="button"
+                className="media-timestamp"
+                onClick={() => playFrom(i)}
+                aria-label={t('playFrom', { time })}
+              >
+                <time dateTime={`PT${timestamps[i]}S`}>{time}</time>
+              </button>
+              {renderText(para)}
+              {i === paragraphs.length - 1 && note}
+            </Passage>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default MediaTranscript;
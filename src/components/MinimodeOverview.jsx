@@ -0,0 +1,148 @@
+import React, { useEffect, useRef } from 'react';
+import Picture from './Picture';
+import { toPlainText } from '../data/richText';
+import { pageTheme } from '../data/bookPages';
+import { getLocale } from '../i18n/locales';
+import useLocale from '../hooks/useLocale';
+import './MinimodeOverview.css';
+
+// Characters of text shown on a page card
+const SNIPPET_LENGTH = 90;
+
+const snippet = (text) => {
+  const plain = toPlainText(text).replace(/\s+/g, ' ').trim();
+  return plain.length > SNIPPET_LENGTH ? `${plain.slice(0, SNIPPET_LENGTH).trimEnd()}…` : plain;
+};
+
+/**
+ * MinimodeOverview - Page strip of the zoomed-out book
+ *
+ * - Every section as a card (cover photo, first image or opening text),
+ *   grouped under its chapter label
+ * - Opens on the section being read; arrow keys move between cards and the
+ *   wheel scrolls the strip sideways
+ * - Choosing a card calls `onSelect(index)`; Escape, the close button or a
+ *   click on the zoomed page calls `onClose()`
+ */
+const MinimodeOverview = ({ sections, chapters, currentIndex, onSelect, onClose }) => {
+  const { locale, t } = useLocale();
+  const dialogRef = useRef(null);
+  const stripRef = useRef(null);
+  const currentRef = useRef(null);
+  const isRtl = getLocale(locale).dir === 'rtl';
+
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    const opener = document.activeElement;
+    const overflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    dialog.showModal();
+    currentRef.current?.focus({ preventScroll: true });
+    currentRef.current?.scrollIntoView({ block: 'nearest', inline: 'center' });
+    return () => {
+      dialog.close();
+      document.body.style.overflow = overflow;
+      opener?.focus({ preventScroll: true });
+    };
+  }, []);
+
+  // Vertical wheel scrolls the strip along the reading direction
+  useEffect(() => {
+    const strip = stripRef.current;
+    const handleWheel = (e) => {
+      if (e.ctrlKey || Math.abs(e.deltaX) >= Math.abs(e.deltaY)) return;
+      e.preventDefault();
+      strip.scrollBy({ left: isRtl ? -e.deltaY : e.deltaY });
+    };
+    strip.addEventListener('wheel', handleWheel, { passive: false });
+    return () => strip.removeEventListener('wheel', handleWheel);
+  }, [isRtl]);
+
+  const handleKeyDown = (e) => {
+    const pages = [...stripRef.current.querySelectorAll('.minimode-page')];
+    const current = pages.indexOf(document.activeElement);
+    const forward = isRtl ? 'ArrowLeft' : 'ArrowRight';
+    const back = isRtl ? 'ArrowRight' : 'ArrowLeft';
+    let next;
+
+    if (e.key === forward) next = current + 1;
+    else if (e.key === back) next = current - 1;
+    else if (e.key === 'Home') next = 0;
+    else if (e.key === 'End') next = pages.length - 1;
+    else return;
+
+    e.preventDefault();
+    const page = pages[Math.min(Math.max(next, 0), pages.length - 1)];
+    page.focus({ preventScroll: true });
+    page.scrollIntoView({ block: 'nearest', inline: 'nearest', behavior: 'smooth' });
+  };
+
+  const renderPreview = (section) => {
+    if (section.type === 'cover' && section.coverPhoto) {
+      return <Picture photoNumber={section.coverPhoto} sizes="96px" alt="" loading="lazy" />;
+    }
+    if (section.type === 'image' && section.images.length > 0) {
+      return <Picture photoNumber={section.images[0].photoNumber} sizes="160px" alt="" loading="lazy" />;
+    }
+    if (section.type === 'sources') {
+      return <span className="minimode-page-text">{t('sources')}</span>;
+    }
+    const text = section.title || section.subject || section.paragraphs?.[0];
+    return text ? <span className="minimode-page-text" lang={section.lang}>{snippet(text)}</span> : null;
+  };
+
+  return (
+    <dialog
+      ref={dialogRef}
+      className="minimode"
+      aria-label={t('overview')}
+      onCancel={(e) => {
+        e.preventDefault();
+        onClose();
+      }}
+      onClick={(e) => {
+        // The backdrop (the zoomed page) goes back to reading
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div className="minimode-panel">
+        <button type="button" className="minimode-close" onClick={() => onClose()} aria-label={t('closeOverview')}>
+          ×
+        </button>
+
+        <ol ref={stripRef} className="minimode-strip" onKeyDown={handleKeyDown}>
+          {chapters.map(chapter => (
+            <li key={chapter.id} className="minimode-chapter">
+              <span className="minimode-chapter-label" aria-hidden={!chapter.display || undefined}>
+                {chapter.display ? chapter.label : '\u00a0'}
+              </span>
+              <ol className="minimode-pages">
+                {sections.slice(chapter.firstSectionIndex, chapter.lastSectionIndex + 1).map((section, i) => {
+                  const index = chapter.firstSectionIndex + i;
+                  const isCurrent = index === currentIndex;
+                  return (
+                    <li key={section.id}>
+                      <button
+                        type="button"
+                        ref={isCurrent ? currentRef : null}
+                        className={`minimode-page theme-${pageTheme(section)}`}
+                        aria-current={isCurrent ? 'page' : undefined}
+                        aria-label={`${index + 1}. ${snippet(section.title || section.subject || section.chapter || '')}`}
+                        onClick={() => onSelect(index)}
+                      >
+                        {renderPreview(section)}
+                        <span className="minimode-page-number" aria-hidden="true">{index + 1}</span>
+                      </button>
+                    </li>
+                  );
+                })}
+              </ol>
+            </li>
+          ))}
+        </ol>
+      </div>
+    </dialog>
+  );
+};
+
+export default MinimodeOverview;
@@ -1,20 +1,39 @@
 import React, { useState, useEffect } from 'react';
-import { CHAPTER_LABELS } from '../data/content';
+import LanguageSwitcher from './LanguageSwitcher';
+import TableOfContents from './TableOfContents';
+import useLocale from '../hooks/useLocale';
+import useNavigation from '../hooks/useNavigation';
 import './MobileMenu.css';
 
 /**
  * MobileMenu - Navigation icons and hamburger menu
  * 
  * Features:
- * - Tree icon in top-left (goes to top) - visible on all screens
+ * - Tree icon in top-left (opens the overview, or goes to top without one) - visible on all screens
  * - Hamburger icon on mobile (shows menu)
  * - Icons change color based on background (black on white/gray, white on blue)
  * - Full-screen menu overlay
- * - Chapter navigation
+ * - Table of contents (see TableOfContents); choosing an entry calls `onSelect(index)`
+ * - Search and notebook buttons (`onSearch`, `onNotebook`)
+ * - Book view switch (`isBookMode`, `onToggleBookMode`)
+ * - Localized labels and a language switcher
  */
-const MobileMenu = ({ scrollProgress, onScrollTo, currentChapter }) => {
+const MobileMenu = ({
+  scrollProgress,
+  onOverview,
+  onSearch,
+  onNotebook,
+  isBookMode = false,
+  onToggleBookMode,
+  toc = [],
+  current,
+  read,
+  onSelect,
+}) => {
   const [isOpen, setIsOpen] = useState(false);
   const [isOnBlue, setIsOnBlue] = useState(false);
+  const { t } = useLocale();
+  const { activeIndex, scrollToSection } = useNavigation();
 
   // Detect if user is on a blue section to change icon color
   useEffect(() => {
@@ -26,8 +45,8 @@ const MobileMenu = ({ scrollProgress, onScrollTo, currentChapter }) => {
       
       for (const section of sections) {
         const rect = section.getBoundingClientRect();
-        // Check if section is at the top of viewport
-        if (rect.top <= threshold && rect.bottom >= threshold) {
+        // Check if section is at the top of viewport (and on screen, in book mode)
+        if (rect.top <= threshold && rect.bottom >= threshold && rect.right > 0 && rect.left < window.innerWidth) {
           const isBlue = section.hasAttribute('data-blue');
           setIsOnBlue(isBlue);
           break;
@@ -38,7 +57,7 @@ const MobileMenu = ({ scrollProgress, onScrollTo, currentChapter }) => {
     checkBackground();
     window.addEventListener('scroll', checkBackground);
     return () => window.removeEventListener('scroll', checkBackground);
-  }, []);
+  }, [activeIndex]);
 
   const toggleMenu = () => {
     setIsOpen(!isOpen);
@@ -46,63 +65,80 @@ const MobileMenu = ({ scrollProgress, onScrollTo, currentChapter }) => {
     document.body.style.overflow = isOpen ? 'auto' : 'hidden';
   };
 
-  const handleChapterClick = (index) => {
-    const progress = index / (CHAPTER_LABELS.length - 1);
-    onScrollTo(progress);
+  const handleSelect = (index) => {
+    onSelect(index);
     setIsOpen(false);
     document.body.style.overflow = 'auto';
   };
 
-  const scrollToTop = () => {
-    window.scrollTo({ top: 0, behavior: 'smooth' });
+  // Close the menu, then open a panel
+  const openPanel = (open) => {
+    setIsOpen(false);
+    document.body.style.overflow = 'auto';
+    open();
   };
 
+  const scrollToTop = () => scrollToSection(0);
+
   return (
     <>
       {/* Tree icon - top left */}
       <button
         className={`mobile-tree-icon ${isOnBlue ? 'on-blue' : ''}`}
-        onClick={scrollToTop}
-        aria-label="Go to top"
+        onClick={onOverview || scrollToTop}
+        aria-label={onOverview ? t('overview') : t('goToTop')}
       >
-        <img src="/assets/treeIcon.svg" alt="Home" />
+        <img src="/assets/treeIcon.svg" alt={t('home')} />
       </button>
 
       {/* Hamburger icon - top right */}
       <button
         className={`mobile-hamburger ${isOnBlue ? 'on-blue' : ''}`}
         onClick={toggleMenu}
-        aria-label="Menu"
+        aria-label={t('menu')}
         aria-expanded={isOpen}
       >
-        <img src="/assets/hamburger.svg" alt="Menu" />
+        <img src="/assets/hamburger.svg" alt={t('menu')} />
       </button>
 
       {/* Full-screen menu overlay */}
       {isOpen && (
         <div className="mobile-menu-overlay" onClick={toggleMenu}>
           <div className="mobile-menu-content" onClick={(e) => e.stopPropagation()}>
-            <button className="close-button" onClick={toggleMenu} aria-label="Close menu">
+            <button className="close-button" onClick={toggleMenu} aria-label={t('closeMenu')}>
               ✕
             </button>
             
+            {onSearch && (
+              <button type="button" className="mobile-menu-search" onClick={() => openPanel(onSearch)}>
+                {t('search')}
+              </button>
+            )}
+
+            {onNotebook && (
+              <button type="button" className="mobile-menu-search mobile-menu-notebook" onClick={() => openPanel(onNotebook)}>
+                {t('notebook')}
+              </button>
+            )}
+
+            {onToggleBookMode && (
+              <button
+                type="button"
+                className="mobile-menu-search mobile-menu-book-mode"
+                onClick={() => openPanel(onToggleBookMode)}
+                aria-pressed={isBookMode}
+              >
+                {t('bookView')}
+              </button>
+            )}
+
             <nav className="mobile-menu-nav">
-              <h2>Chapters</h2>
-              <ul>
-                {CHAPTER_LABELS.filter(chapter => chapter.display).map((chapter, index) => (
-                  <li key={chapter.id}>
-                    <button
-                      onClick={() => handleChapterClick(chapter.id)}
-                      className={currentChapter === chapter.label ? 'active' : ''}
-                    >
-                      <span className="chapter-number">{String(chapter.id).padStart(2, '0')}</span>
-                      <span className="chapter-label">{chapter.label}</span>
-                    </button>
-                  </li>
-                ))}
-              </ul>
+              <h2>{t('contents')}</h2>
+              <TableOfContents toc={toc} current={current} read={read} onSelect={handleSelect} />
             </nav>
 
+            <LanguageSwitcher className="mobile-menu-language" />
+
             {/* Progress indicator */}
             <div className="mobile-progress">
               <div 
@@ -0,0 +1,137 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { ANNOTATION_COLORS, chapterHeading, groupByChapter, toJson, toMarkdown } from '../data/annotations';
+import { passageFragment } from '../data/permalinks';
+import useLocale from '../hooks/useLocale';
+import './NotebookPanel.css';
+
+// Offer text as a file download
+const download = (text, filename, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Deep link to an annotation's passage in this book
+const linkFor = (annotation) => (
+  `${window.location.origin}${window.location.pathname}#${passageFragment(annotation.sectionId, annotation.start.passageId)}`
+);
+
+/**
+ * NotebookPanel - The reader's highlights and notes for this book
+ *
+ * - "Notebook" button in the bottom corner (desktop; the mobile menu opens
+ *   it too)
+ * - Side panel in a modal `<dialog>`: highlights by chapter in reading
+ *   order, each with its note (editable in place), a link to its passage
+ *   and a delete button
+ * - Export as Markdown or JSON, with attribution and deep links
+ *   (data/annotations.js)
+ */
+const NotebookPanel = ({ isOpen, book, annotations, onOpen, onClose, onGoTo, onUpdate, onRemove }) => {
+  const { locale, t } = useLocale();
+  const dialogRef = useRef(null);
+
+  const groups = useMemo(
+    () => groupByChapter(annotations, book.sections, book.chapters),
+    [annotations, book]
+  );
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const dialog = dialogRef.current;
+    const opener = document.activeElement;
+    dialog.showModal();
+    return () => {
+      dialog.close();
+      opener?.focus({ preventScroll: true });
+    };
+  }, [isOpen]);
+
+  const handleExport = (format) => {
+    const options = { t, linkFor, exportedAt: new Date(), locale };
+    if (format === 'json') {
+      download(toJson(book, annotations, options), `${book.slug}-notes.json`, 'application/json');
+    } else {
+      download(toMarkdown(book, annotations, options), `${book.slug}-notes.md`, 'text/markdown');
+    }
+  };
+
+  return (
+    <>
+      <button type="button" className="notebook-toggle" onClick={onOpen} aria-haspopup="dialog" aria-expanded={isOpen}>
+        {t('notebook')}
+      </button>
+
+      {isOpen && (
+        <dialog
+          ref={dialogRef}
+          className="notebook-panel"
+          aria-label={t('notebook')}
+          onCancel={(e) => {
+            e.preventDefault();
+            onClose();
+          }}
+          onClick={(e) => {
+            if (e.target === e.currentTarget) onClose();
+          }}
+        >
+          <div className="notebook-panel-inner">
+            <div className="notebook-panel-header">
+              <h2>{t('notebook')}</h2>
+              <button type="button" className="notebook-panel-close" onClick={onClose} aria-label={t('closeNotebook')}>
+                ×
+              </button>
+            </div>
+
+            {annotations.length === 0 ? (
+              <p className="notebook-empty">{t('notebookEmpty')}</p>
+            ) : (
+              <>
+                <div className="notebook-export">
+                  <button type="button" onClick={() => handleExport('markdown')}>{t('exportMarkdown')}</button>
+                  <button type="button" onClick={() => handleExport('json')}>{t('exportJson')}</button>
+                </div>
+
+                {groups.map(group => (
+                  <section key={group.chapter ? group.chapter.id : 'missing'} className="notebook-chapter">
+                    <h3>{chapterHeading(group.chapter, t)}</h3>
+                    <ul>
+                      {group.annotations.map(annotation => (
+                        <li
+                          key={annotation.id}
+                          className="notebook-entry"
+                          style={{ '--annotation-color': ANNOTATION_COLORS[annotation.color] }}
+                        >
+                          <blockquote lang={annotation.lang}>{annotation.text}</blockquote>
+                          <textarea
+                            className="notebook-note"
+                            value={annotation.note}
+                            onChange={(e) => onUpdate(annotation.id, { note: e.target.value })}
+                            placeholder={t('notePlaceholder')}
+                            aria-label={t('note')}
+                            rows={annotation.note ? 3 : 1}
+                          />
+                          <div className="notebook-entry-actions">
+                            {group.chapter && (
+                              <button type="button" onClick={() => onGoTo(annotation)}>{t('goToHighlight')}</button>
+                            )}
+                            <button type="button" onClick={() => onRemove(annotation.id)}>{t('deleteHighlight')}</button>
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  </section>
+                ))}
+              </>
+            )}
+          </div>
+        </dialog>
+      )}
+    </>
+  );
+};
+
+export default NotebookPanel;
@@ -0,0 +1,82 @@
+import React from 'react';
+import { pageTheme } from '../data/bookPages';
+import useLocale from '../hooks/useLocale';
+import './PageStrip.css';
+
+/**
+ * PageStrip - Navigation of book mode, in place of the scrubber
+ *
+ * - One mark per page in its section's colour, grouped under the chapter
+ *   labels (chapters wide in proportion to their pages); the pages on
+ *   screen (`pages`, one or a spread) are marked
+ * - Clicking a mark turns to that page (`onSelect(index)`); a counter tells
+ *   the pages on screen
+ * - Click-to-turn edges down both sides of the screen (`onTurn(direction)`),
+ *   placed along the reading direction
+ */
+const PageStrip = ({ sections, chapters, pages, onSelect, onTurn }) => {
+  const { t } = useLocale();
+  const isFirst = pages[0] === 0;
+  const isLast = pages[pages.length - 1] === sections.length - 1;
+
+  return (
+    <>
+      <button
+        type="button"
+        className="page-strip-edge page-strip-previous"
+        onClick={() => onTurn(-1)}
+        disabled={isFirst}
+        aria-label={t('previousPage')}
+      >
+        <span aria-hidden="true">‹</span>
+      </button>
+      <button
+        type="button"
+        className="page-strip-edge page-strip-next"
+        onClick={() => onTurn(1)}
+        disabled={isLast}
+        aria-label={t('nextPage')}
+      >
+        <span aria-hidden="true">›</span>
+      </button>
+
+      <nav className="page-strip" aria-label={t('pageStrip')}>
+        <ol className="page-strip-chapters">
+          {chapters.map(chapter => (
+            <li
+              key={chapter.id}
+              className="page-strip-chapter"
+              style={{ flexGrow: chapter.lastSectionIndex - chapter.firstSectionIndex + 1 }}
+            >
+              <span className="page-strip-label" aria-hidden="true">
+                {chapter.display ? chapter.label : '\u00a0'}
+              </span>
+              <ol className="page-strip-pages">
+                {sections.slice(chapter.firstSectionIndex, chapter.lastSectionIndex + 1).map((section, i) => {
+                  const index = chapter.firstSectionIndex + i;
+                  return (
+                    <li key={section.id}>
+                      <button
+                        type="button"
+                        className={`page-strip-page theme-${pageTheme(section)}`}
+                        aria-current={pages.includes(index) ? 'page' : undefined}
+                        aria-label={t('pageNumber', { number: index + 1 })}
+                        tabIndex={-1}
+                        onClick={() => onSelect(index)}
+                      />
+                    </li>
+                  );
+                })}
+              </ol>
+            </li>
+          ))}
+        </ol>
+        <span className="page-strip-count" aria-live="polite">
+          {t('pageCount', { pages: pages.map(page => page + 1).join('–'), count: sections.length })}
+        </span>
+      </nav>
+    </>
+  );
+};
+
+export default PageStrip;
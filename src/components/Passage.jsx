@@ -0,0 +1,112 @@
+import React, { useEffect, useRef, useState } from 'react';
+import useLocale from '../hooks/useLocale';
+import './Passage.css';
+
+// Hold this long on a touch screen to copy the link
+const LONG_PRESS_DELAY = 500;
+
+// A touch that moves further is a scroll, not a press (px)
+const LONG_PRESS_TOLERANCE = 10;
+
+// How long "Link copied" stays up
+const CONFIRMATION_DURATION = 2000;
+
+/**
+ * Passage - A linkable subtitle, narration or paragraph
+ *
+ * - `id` is the passage's permalink fragment (`preface/p1x8k2f`, see
+ *   data/permalinks.js), so `#preface/p1x8k2f` finds it
+ * - Copy-link button in the margin on hover or focus; on touch screens a
+ *   long press copies the link instead
+ * - Other props (className, ref…) go to the element
+ */
+const Passage = ({ as = 'p', id, className = '', children, ...props }) => {
+  const Tag = as;
+  const { t } = useLocale();
+  const [copied, setCopied] = useState(false);
+  const pressRef = useRef(null); // { timer, x, y, fired } during a touch
+  const copiedTimeoutRef = useRef(null);
+
+  useEffect(() => () => {
+    clearTimeout(copiedTimeoutRef.current);
+    if (pressRef.current) clearTimeout(pressRef.current.timer);
+  }, []);
+
+  const copyLink = () => {
+    if (!navigator.clipboard) {
+      console.warn('⚠️ Clipboard unavailable; passage link not copied');
+      return;
+    }
+    const { origin, pathname, search } = window.location;
+    navigator.clipboard.writeText(`${origin}${pathname}${search}#${id}`)
+      .then(() => {
+        setCopied(true);
+        clearTimeout(copiedTimeoutRef.current);
+        copiedTimeoutRef.current = setTimeout(() => setCopied(false), CONFIRMATION_DURATION);
+      })
+      .catch(error => console.warn('⚠️ Could not copy the passage link:', error.message));
+  };
+
+  const cancelPress = () => {
+    if (pressRef.current) clearTimeout(pressRef.current.timer);
+    pressRef.current = null;
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.pointerType !== 'touch') return;
+    cancelPress();
+    const press = { x: e.clientX, y: e.clientY, fired: false };
+    press.timer = setTimeout(() => {
+      press.fired = true;
+      copyLink();
+    }, LONG_PRESS_DELAY);
+    pressRef.current = press;
+  };
+
+  const handlePointerMove = (e) => {
+    const press = pressRef.current;
+    if (press && Math.hypot(e.clientX - press.x, e.clientY - press.y) > LONG_PRESS_TOLERANCE) {
+      cancelPress();
+    }
+  };
+
+  // Browsers that open a menu on long press do it about when the timer fires:
+  // copy right away and keep the menu closed
+  const handleContextMenu = (e) => {
+    const press = pressRef.current;
+    if (!press) return;
+    e.preventDefault();
+    if (!press.fired) {
+      clearTimeout(press.timer);
+      press.fired = true;
+      copyLink();
+    }
+  };
+
+  return (
+    <Tag
+      id={id}
+      className={`passage ${className}`}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={cancelPress}
+      onPointerCancel={cancelPress}
+      onContextMenu={handleContextMenu}
+      {...props}
+    >
+      {children}
+      <button
+        type="button"
+        className={`passage-link ${copied ? 'copied' : ''}`}
+        onClick={copyLink}
+        aria-label={t('copyLink')}
+        title={t('copyLink')}
+      >
+        <span aria-hidden="true">{copied ? '✓' : '#'}</span>
+      </button>
+      <span className="passage-status" role="status">{copied ? t('linkCopied') : ''}</span>
+    </Tag>
+  );
+};
+
+export default Passage;
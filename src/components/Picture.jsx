@@ -0,0 +1,41 @@
+import React from 'react';
+import imageMap, { getPictureSources } from '../data/images';
+
+/**
+ * Picture - <picture> for a photo from the image manifest
+ *
+ * - One <source> per modern format (AVIF, WebP) with every width in its srcset
+ * - <img> fallback in JPEG/PNG; the browser picks the width from `sizes`
+ * - Intrinsic width/height attributes, so the box keeps the photo's aspect
+ *   ratio before it loads (with `height: auto` in CSS)
+ * - Other props (className, loading, style, onLoad…) go to the <img>
+ */
+const Picture = ({ photoNumber, sizes, alt = '', ...imgProps }) => {
+  const photo = imageMap[photoNumber];
+
+  if (!photo) {
+    console.error(`Image not found for photo number: ${photoNumber}`);
+    return null;
+  }
+
+  const { sources, src, srcSet } = getPictureSources(photo);
+
+  return (
+    <picture>
+      {sources.map(source => (
+        <source key={source.type} type={source.type} srcSet={source.srcSet} sizes={sizes} />
+      ))}
+      <img
+        src={src}
+        srcSet={srcSet}
+        sizes={sizes}
+        width={photo.width}
+        height={photo.height}
+        alt={alt}
+        {...imgProps}
+      />
+    </picture>
+  );
+};
+
+export default Picture;
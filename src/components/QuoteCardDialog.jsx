@@ -0,0 +1,238 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import imageMap, { getPictureSources } from '../data/images';
+import { toPlainText } from '../data/richText';
+import { QUOTE_CARD_FORMATS, DEFAULT_FORMAT, cardFont, layoutQuoteCard, quoteCardSvg } from '../data/quoteCard';
+import useLocale from '../hooks/useLocale';
+import './QuoteCardDialog.css';
+
+// JPEG quality of the photo embedded in SVG cards
+const SVG_PHOTO_QUALITY = 0.85;
+
+// Card typefaces from design-tokens.css
+const readFonts = () => {
+  const styles = window.getComputedStyle(document.documentElement);
+  return {
+    quote: styles.getPropertyValue('--font-main').trim() || 'serif',
+    ui: styles.getPropertyValue('--ui-font').trim() || 'sans-serif',
+  };
+};
+
+// Offer a blob as a file download
+const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Largest rendition of a photo, decoded
+const loadPhoto = (photoNumber) => {
+  const photo = imageMap[photoNumber];
+  if (!photo) return Promise.resolve(null);
+  const image = new Image();
+  image.src = getPictureSources(photo).src;
+  return image.decode()
+    .then(() => image)
+    .catch(error => {
+      console.warn('⚠️ Cover photo unavailable for the quote card:', error.message);
+      return null;
+    });
+};
+
+// Draw `image` over `box`, cropped to fill it
+const drawCover = (ctx, image, box) => {
+  const scale = Math.max(box.width / image.naturalWidth, box.height / image.naturalHeight);
+  const width = box.width / scale;
+  const height = box.height / scale;
+  ctx.drawImage(
+    image,
+    (image.naturalWidth - width) / 2, (image.naturalHeight - height) / 2, width, height,
+    box.x, box.y, box.width, box.height
+  );
+};
+
+const drawCard = (canvas, layout, image) => {
+  const { width, height, rtl, theme, fonts, photo, quote, attribution } = layout;
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  ctx.fillStyle = theme.background;
+  ctx.fillRect(0, 0, width, height);
+  if (photo && image) drawCover(ctx, image, photo);
+
+  ctx.direction = rtl ? 'rtl' : 'ltr';
+  ctx.textAlign = 'start';
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillStyle = theme.color;
+  ctx.font = cardFont(quote.fontSize, fonts.quote);
+  quote.lines.forEach(line => ctx.fillText(line.text, line.x, line.y));
+
+  ctx.font = cardFont(attribution.fontSize, fonts.ui);
+  attribution.lines.forEach(line => {
+    ctx.fillStyle = line.muted ? theme.muted : theme.color;
+    ctx.fillText(line.text, line.x, line.y);
+  });
+};
+
+// Photo as a JPEG data: URL, so the SVG file stands alone
+const photoDataUrl = (image) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = image.naturalWidth;
+  canvas.height = image.naturalHeight;
+  canvas.getContext('2d').drawImage(image, 0, 0);
+  return canvas.toDataURL('image/jpeg', SVG_PHOTO_QUALITY);
+};
+
+/**
+ * QuoteCardDialog - Shareable image of a passage
+ *
+ * - `card`: { text, lang, section, chapter } of the selected passage
+ * - Square, story and landscape formats, with or without the book's cover
+ *   photo; the preview is the card itself at full size, scaled down
+ * - Downloads as PNG (from the preview canvas) or SVG (data/quoteCard.js),
+ *   made entirely in the browser
+ * - Modal `<dialog>`: Escape or a click beside it closes
+ */
+const QuoteCardDialog = ({ card, book, onClose }) => {
+  const { t } = useLocale();
+  const [format, setFormat] = useState(DEFAULT_FORMAT);
+  const coverPhoto = useMemo(() => book.sections.find(section => section.coverPhoto)?.coverPhoto, [book]);
+  const [withPhoto, setWithPhoto] = useState(Boolean(coverPhoto));
+  const [image, setImage] = useState(null);
+  const [layout, setLayout] = useState(null);
+  const dialogRef = useRef(null);
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    const opener = document.activeElement;
+    dialog.showModal();
+    return () => {
+      dialog.close();
+      opener?.focus({ preventScroll: true });
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!coverPhoto) return undefined;
+    let cancelled = false;
+    loadPhoto(coverPhoto).then(loaded => {
+      if (!cancelled) setImage(loaded);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [coverPhoto]);
+
+  // Lay out and draw once the card's typeface has loaded
+  useEffect(() => {
+    let cancelled = false;
+    const fonts = readFonts();
+    const ctx = canvasRef.current.getContext('2d');
+    const measure = (text, font) => {
+      ctx.font = font;
+      return ctx.measureText(text).width;
+    };
+
+    document.fonts.load(cardFont(16, fonts.quote), card.text).then(() => {
+      if (cancelled) return;
+      const next = layoutQuoteCard({
+        text: card.text,
+        lang: card.lang,
+        title: toPlainText(book.title),
+        chapter: card.chapter,
+        section: card.section,
+        format,
+        photo: withPhoto && Boolean(image),
+        fonts,
+      }, measure);
+      drawCard(canvasRef.current, next, image);
+      setLayout(next);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [card, book, format, withPhoto, image]);
+
+  const filename = `${book.slug}-quote-${format}`;
+
+  const downloadPng = () => {
+    canvasRef.current.toBlob(blob => {
+      if (blob) saveBlob(blob, `${filename}.png`);
+      else console.warn('⚠️ Could not render the quote card as PNG');
+    }, 'image/png');
+  };
+
+  const downloadSvg = () => {
+    const svg = quoteCardSvg(layout, layout.photo && image ? photoDataUrl(image) : undefined);
+    saveBlob(new Blob([svg], { type: 'image/svg+xml' }), `${filename}.svg`);
+  };
+
+  return (
+    <dialog
+      ref={dialogRef}
+      className="quote-card-dialog"
+      aria-label={t('quoteCard')}
+      onCancel={(e) => {
+        e.preventDefault();
+        onClose();
+      }}
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div className="quote-card-inner">
+        <div className="quote-card-header">
+          <h2>{t('quoteCard')}</h2>
+          <button type="button" className="quote-card-close" onClick={onClose} aria-label={t('closeQuoteCard')}>
+            ×
+          </button>
+        </div>
+
+        <div className="quote-card-preview">
+          <canvas
+            ref={canvasRef}
+            style={{ aspectRatio: `${QUOTE_CARD_FORMATS[format].width} / ${QUOTE_CARD_FORMATS[format].height}` }}
+            role="img"
+            aria-label={card.text}
+          />
+        </div>
+
+        <div className="quote-card-options">
+          <fieldset className="quote-card-formats">
+            <legend className="sr-only">{t('cardFormat')}</legend>
+            {Object.keys(QUOTE_CARD_FORMATS).map(key => (
+              <label key={key}>
+                <input
+                  type="radio"
+                  name="quote-card-format"
+                  value={key}
+                  checked={format === key}
+                  onChange={() => setFormat(key)}
+                />
+                {t(`cardFormat.${key}`)}
+              </label>
+            ))}
+          </fieldset>
+
+          {coverPhoto && (
+            <label className="quote-card-photo">
+              <input type="checkbox" checked={withPhoto} onChange={(e) => setWithPhoto(e.target.checked)} />
+              {t('cardPhoto')}
+            </label>
+          )}
+        </div>
+
+        <div className="quote-card-actions">
+          <button type="button" onClick={downloadPng} disabled={!layout}>{t('downloadPng')}</button>
+          <button type="button" onClick={downloadSvg} disabled={!layout}>{t('downloadSvg')}</button>
+        </div>
+      </div>
+    </dialog>
+  );
+};
+
+export default QuoteCardDialog;
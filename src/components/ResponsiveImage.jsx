@@ -1,58 +1,42 @@
 import React, { useState, useEffect } from 'react';
 import './ResponsiveImage.css';
 
-// Import all images
-import photo2_256 from '../assets/photo-2~256.jpg';
-import photo2_1500 from '../assets/photo-2~1500.webp';
-import photo6_256 from '../assets/photo-6~256.jpg';
-import photo6_1500 from '../assets/photo-6~1500.webp';
-import photo18_256 from '../assets/photo-18~256.jpg';
-import photo18_1500 from '../assets/photo-18~1500.jpg';
-import photo64_256 from '../assets/photo-64~256.jpg';
-import photo64_1500 from '../assets/photo-64~1500.webp';
+import imageMap from '../data/images';
+import Picture from './Picture';
 
-// Map photo numbers to imported images
-const imageMap = {
-  2: { small: photo2_256, large: photo2_1500, isWebP: true },
-  6: { small: photo6_256, large: photo6_1500, isWebP: true },
-  18: { small: photo18_256, large: photo18_1500, isWebP: false },
-  64: { small: photo64_256, large: photo64_1500, isWebP: true },
+// Rendered width of the image, for picking a rendition from the srcset
+const SIZES = {
+  portrait: '(max-width: 768px) 100vw, 500px',
+  landscape: '(max-width: 768px) 100vw, 900px',
 };
 
 /**
  * ResponsiveImage - Optimized image component
  * 
  * Features:
- * - Loads small JPEG on mobile (256px)
- * - Loads large WebP on desktop (1500px)
+ * - Full srcset from the image manifest (AVIF/WebP/JPEG, every width);
+ *   the browser picks the rendition for the rendered size
  * - Lazy loading with intersection observer
- * - Smooth fade-in animation
+ * - Space reserved at the photo's aspect ratio from first paint, so section
+ *   heights measured by the scroll code do not change when it loads
+ * - Blurred placeholder (or dominant color) crossfading to the photo
  * - Portrait/landscape support
+ * - Optional `onOpen`: the image becomes a button (e.g. to open the lightbox)
  */
 const ResponsiveImage = ({ 
   photoNumber,  // e.g., 2, 4, 6, 18, 64
   alt = '',
   caption = '',
   portrait = false,
-  className = ''
+  className = '',
+  onOpen = null,
+  openLabel = ''
 }) => {
   const [loaded, setLoaded] = useState(false);
   const [isVisible, setIsVisible] = useState(false);
   const imgRef = React.useRef(null);
 
-  // Determine if mobile based on screen width
-  const isMobile = window.innerWidth <= 768;
-  
-  // Get image paths from map
-  const images = imageMap[photoNumber];
-  
-  if (!images) {
-    console.error(`Image not found for photo number: ${photoNumber}`);
-    return null;
-  }
-  
-  // Choose appropriate image based on device
-  const imageSrc = isMobile ? images.small : images.large;
+  const photo = imageMap[photoNumber];
 
   // Intersection observer for lazy loading
   useEffect(() => {
@@ -70,37 +54,56 @@ const ResponsiveImage = ({
       }
     );
 
-    if (imgRef.current) {
-      observer.observe(imgRef.current);
+    const element = imgRef.current;
+    if (element) {
+      observer.observe(element);
     }
 
     return () => {
-      if (imgRef.current) {
-        observer.unobserve(imgRef.current);
+      if (element) {
+        observer.unobserve(element);
       }
     };
   }, []);
 
+  if (!photo) {
+    console.error(`Image not found for photo number: ${photoNumber}`);
+    return null;
+  }
+  
+  const Wrapper = onOpen ? 'button' : 'div';
+  const wrapperProps = onOpen
+    ? { type: 'button', onClick: onOpen, title: openLabel, 'aria-haspopup': 'dialog' }
+    : {};
+
   return (
     <figure className={`responsive-image ${className}`} ref={imgRef}>
-      <div className={`image-wrapper ${portrait ? 'portrait' : 'landscape'}`}>
+      <Wrapper
+        className={`image-wrapper ${portrait ? 'portrait' : 'landscape'}`}
+        style={{ '--image-ratio': photo.width / photo.height }}
+        {...wrapperProps}
+      >
+        {(photo.placeholder || photo.color) && (
+          <span
+            className={`image-placeholder ${loaded ? 'hidden' : ''}`}
+            style={{
+              backgroundColor: photo.color,
+              backgroundImage: photo.placeholder ? `url(${photo.placeholder})` : undefined,
+            }}
+            aria-hidden="true"
+          />
+        )}
         {isVisible && (
-          <picture>
-            {/* WebP for modern browsers on desktop */}
-            {!isMobile && images.isWebP && (
-              <source srcSet={images.large} type="image/webp" />
-            )}
-            {/* Fallback JPEG */}
-            <img
-              className={`${portrait ? 'portrait' : 'landscape'} ${loaded ? 'loaded' : ''}`}
-              src={imageSrc}
-              alt={alt}
-              loading="lazy"
-              onLoad={() => setLoaded(true)}
-            />
-          </picture>
+          <Picture
+            photoNumber={photoNumber}
+            sizes={SIZES[portrait ? 'portrait' : 'landscape']}
+            className={`${portrait ? 'portrait' : 'landscape'} ${loaded ? 'loaded' : ''}`}
+            alt={alt}
+            loading="lazy"
+            onLoad={() => setLoaded(true)}
+          />
         )}
-      </div>
+      </Wrapper>
       {caption && <figcaption>{caption}</figcaption>}
     </figure>
   );
@@ -0,0 +1,25 @@
+import React from 'react';
+import useLocale from '../hooks/useLocale';
+import './ResumePrompt.css';
+
+/**
+ * ResumePrompt - "Continue reading from Preface"
+ * Offered when a book opens at the top and a saved reading position exists
+ * (see useReadingPosition); the reader can go back there or dismiss it
+ */
+const ResumePrompt = ({ label, onContinue, onDismiss }) => {
+  const { t } = useLocale();
+
+  return (
+    <div className="resume-prompt" role="status">
+      <button type="button" className="resume-prompt-continue" onClick={onContinue}>
+        {label ? t('resumeFrom', { place: label }) : t('resumeReading')}
+      </button>
+      <button type="button" className="resume-prompt-dismiss" onClick={onDismiss} aria-label={t('dismiss')}>
+        ×
+      </button>
+    </div>
+  );
+};
+
+export default ResumePrompt;
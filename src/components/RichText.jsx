@@ -0,0 +1,55 @@
+import React, { useMemo } from 'react';
+import { parseRichText, isSafeHref } from '../data/richText';
+import './RichText.css';
+
+/**
+ * Render parsed nodes as React elements
+ * @param {Array} nodes - From parseRichText
+ * @param {Function} [renderNote] - (key) => element for `[^key]` citations
+ * @returns {Array}
+ */
+const renderNodes = (nodes, renderNote) => nodes.map((node, i) => {
+  if (typeof node === 'string') return <React.Fragment key={i}>{node}</React.Fragment>;
+
+  const children = node.children && renderNodes(node.children, renderNote);
+
+  switch (node.type) {
+    case 'em':
+      return <em key={i}>{children}</em>;
+    case 'strong':
+      return <strong key={i}>{children}</strong>;
+    case 'smallCaps':
+      return <span key={i} className="small-caps">{children}</span>;
+    case 'editorial':
+      return <span key={i} className="editorial">[{children}]</span>;
+    case 'link':
+      if (!isSafeHref(node.href)) return <React.Fragment key={i}>{children}</React.Fragment>;
+      return /^https?:/.test(node.href) ? (
+        <a key={i} className="rich-text-link" href={node.href} target="_blank" rel="noopener noreferrer">{children}</a>
+      ) : (
+        <a key={i} className="rich-text-link" href={node.href}>{children}</a>
+      );
+    case 'snip':
+      return <mark key={i} className="snip">✂</mark>;
+    case 'break':
+      return <br key={i} />;
+    case 'note':
+      return renderNote ? <React.Fragment key={i}>{renderNote(node.key)}</React.Fragment> : null;
+    default:
+      return null;
+  }
+});
+
+/**
+ * RichText - Book text with inline markup
+ *
+ * Parses the markup of data/richText.js (emphasis, links, ✂, editorial
+ * brackets, line breaks, small caps, citations) into elements; text is
+ * never injected as HTML. External links open in a new tab.
+ */
+const RichText = ({ text, renderNote }) => {
+  const nodes = useMemo(() => parseRichText(text), [text]);
+  return <>{renderNodes(nodes, renderNote)}</>;
+};
+
+export default RichText;
@@ -16,26 +16,23 @@ const ScrubScroller = ({
   scrollProgress = 0, 
   onScrollTo,
   currentChapter = '',
-  chapters,
+  chapters = [], // Measured chapter layout from orchestrator ({ chapter, label, display, start, end })
   labelAnimations = [], // Animation data from orchestrator
   scrubberProgress = 0, // Spring-smoothed scrubber progress
 }) => {
-  // Convert CHAPTER_LABELS format if needed
-  const chapterList = React.useMemo(() => {
-    if (!chapters || chapters.length === 0) return [];
-    // If chapters are objects with label property, extract labels
-    if (typeof chapters[0] === 'object' && chapters[0].label !== undefined) {
-      return chapters.filter(ch => ch.display).map(ch => ch.label);
-    }
-    // Otherwise assume it's already an array of strings
-    return chapters;
-  }, [chapters]);
+  // Only chapters with a scrubber label are shown
+  const chapterList = React.useMemo(
+    () => chapters.filter(ch => ch.display),
+    [chapters]
+  );
   const [isDragging, setIsDragging] = useState(false);
   
   const touchRef = useRef(null);
 
   // Find current chapter index for passed/active states
-  const currentChapterIndex = chapterList.indexOf(currentChapter);
+  // (currentChapter is the chapter key from the DOM; labels may be translated)
+  const currentChapterIndex = chapterList.findIndex(ch => ch.chapter === currentChapter);
+  const currentLabel = currentChapterIndex >= 0 ? chapterList[currentChapterIndex].label : currentChapter;
 
   // Use spring-smoothed progress for scrubber fill
   const fillProgress = scrubberProgress || scrollProgress;
@@ -97,7 +94,7 @@ const ScrubScroller = ({
       {/* Current Section Indicator - Top Right */}
       {currentChapter && (
         <div className="section-indicator">
-          <span className="section-indicator-text">{currentChapter}</span>
+          <span className="section-indicator-text">{currentLabel}</span>
         </div>
       )}
       
@@ -112,12 +109,12 @@ const ScrubScroller = ({
       >
         {/* Background Track - rendered as segments between labels */}
         <div className="scrub-track">
-          {/* Render segments between each label */}
+          {/* Render segments between each label, sized by measured chapter offsets */}
           {chapterList.map((chapter, index) => {
-            if (index === chapterList.length - 1) return null; // No segment after last label
+            const startProgress = chapter.start;
+            const endProgress = index < chapterList.length - 1 ? chapterList[index + 1].start : chapter.end;
+            if (endProgress <= startProgress) return null; // Nothing left after the last label
             
-            const startProgress = index / (chapterList.length - 1);
-            const endProgress = (index + 1) / (chapterList.length - 1);
             const segmentHeight = (endProgress - startProgress) * 100;
             
             // Calculate if this segment should be filled (use spring-smoothed progress)
@@ -149,8 +146,8 @@ const ScrubScroller = ({
 
         {/* Chapter Labels - Hidden by default, visible on hover */}
         {chapterList.map((chapter, index) => {
-          const labelProgress = index / (chapterList.length - 1 || 1);
-          const isActive = chapter === currentChapter;
+          const labelProgress = chapter.start;
+          const isActive = chapter.chapter === currentChapter;
           const isPassed = currentChapterIndex >= 0 && index < currentChapterIndex;
           
           // Get animation data from orchestrator (if available)
@@ -162,7 +159,7 @@ const ScrubScroller = ({
           
           return (
             <div
-              key={index}
+              key={chapter.id}
               className={`scrub-label ${isActive ? 'active' : ''} ${isPassed ? 'passed' : ''}`}
               style={{
                 top: `${labelProgress * 100}%`,
@@ -171,7 +168,7 @@ const ScrubScroller = ({
                 transition: 'none', // Spring physics handles smoothing
               }}
             >
-              <span className="scrub-label-text">{chapter}</span>
+              <span className="scrub-label-text">{chapter.label}</span>
             </div>
           );
         })}
@@ -0,0 +1,155 @@
+import React, { useDeferredValue, useEffect, useId, useMemo, useRef, useState } from 'react';
+import { search } from '../data/search';
+import useLocale from '../hooks/useLocale';
+import './SearchPanel.css';
+
+// Snippet text with its matched ranges marked
+const renderSnippet = ({ text, ranges }) => {
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    if (start < position) return;
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(text.slice(position));
+  return parts;
+};
+
+/**
+ * SearchPanel - Full-text search of the archive
+ *
+ * - "Search" button in the bottom corner (desktop; the mobile menu opens it
+ *   too), or `/` and Ctrl/⌘+K (see useSearch)
+ * - Results as you type: snippet with the matched words marked, and the
+ *   book (when it is another one), chapter and kind of text they come from
+ * - ↑/↓ move through the results, Enter opens one, Escape closes
+ * - Choosing a result calls `onSelect(result)`
+ */
+const SearchPanel = ({ isOpen, index, slug, onOpen, onClose, onSelect }) => {
+  const { t } = useLocale();
+  const [query, setQuery] = useState('');
+  const [active, setActive] = useState(0);
+  const dialogRef = useRef(null);
+  const listId = useId();
+  const deferredQuery = useDeferredValue(query);
+
+  const results = useMemo(
+    () => (index && deferredQuery.trim() ? search(index, deferredQuery) : []),
+    [index, deferredQuery]
+  );
+
+  useEffect(() => {
+    setActive(0);
+  }, [results]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const dialog = dialogRef.current;
+    const opener = document.activeElement;
+    dialog.showModal();
+    dialog.querySelector('input').select();
+    return () => {
+      dialog.close();
+      opener?.focus({ preventScroll: true });
+    };
+  }, [isOpen]);
+
+  // Keep the active result in view
+  useEffect(() => {
+    if (!isOpen) return;
+    document.getElementById(`${listId}-${active}`)?.scrollIntoView({ block: 'nearest' });
+  }, [isOpen, active, listId]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      setActive(current => Math.min(current + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      setActive(current => Math.max(current - 1, 0));
+    } else if (e.key === 'Enter' && results[active]) {
+      onSelect(results[active]);
+    } else {
+      return;
+    }
+    e.preventDefault();
+  };
+
+  const describe = ({ document: match }) => [
+    match.slug !== slug && match.bookTitle,
+    match.chapter,
+    (match.field === 'caption' || match.field === 'alt') && t(`searchField.${match.field}`),
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <>
+      <button type="button" className="search-toggle" onClick={onOpen} aria-keyshortcuts="/ Control+K Meta+K">
+        {t('search')}
+      </button>
+
+      {isOpen && (
+        <dialog
+          ref={dialogRef}
+          className="search-panel"
+          aria-label={t('search')}
+          onCancel={(e) => {
+            e.preventDefault();
+            onClose();
+          }}
+          onClick={(e) => {
+            if (e.target === e.currentTarget) onClose();
+          }}
+        >
+          <div className="search-panel-inner">
+            <div className="search-field">
+              <input
+                type="search"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                onKeyDown={handleKeyDown}
+                placeholder={t('searchPlaceholder')}
+                aria-label={t('search')}
+                role="combobox"
+                aria-expanded={results.length > 0}
+                aria-controls={listId}
+                aria-activedescendant={results.length > 0 ? `${listId}-${active}` : undefined}
+                autoComplete="off"
+                spellCheck={false}
+              />
+              <button type="button" className="search-close" onClick={onClose} aria-label={t('closeSearch')}>
+                ×
+              </button>
+            </div>
+
+            <p className="search-status" role="status">
+              {!deferredQuery.trim() && t('searchHint')}
+              {deferredQuery.trim() && results.length === 0 && t('noResults', { query: deferredQuery.trim() })}
+              {results.length > 0 && t('searchResults', { count: results.length })}
+            </p>
+
+            <ul id={listId} className="search-results" role="listbox" aria-label={t('search')}>
+              {results.map((result, i) => (
+                <li
+                  key={`${result.document.slug}:${result.document.sectionId}:${result.document.passageId ?? result.document.field}:${i}`}
+                  id={`${listId}-${i}`}
+                  role="option"
+                  aria-selected={i === active}
+                  className="search-result"
+                  onClick={() => onSelect(result)}
+                  onMouseMove={() => setActive(i)}
+                >
+                  <span className="search-result-context">{describe(result)}</span>
+                  <span className="search-result-snippet" lang={result.document.lang}>
+                    {renderSnippet(result.snippet)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </dialog>
+      )}
+    </>
+  );
+};
+
+export default SearchPanel;
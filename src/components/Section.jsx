@@ -1,4 +1,5 @@
 import React from 'react';
+import { getLocale } from '../i18n/locales';
 import './Section.css';
 
 /**
@@ -10,10 +11,12 @@ import './Section.css';
  * - Different background colors (gray, blue, black)
  * - Sticky and scrubber effects
  * - Chapter/section tracking
+ * - Language of the section text (lang/dir, hyphenation)
  */
 const Section = ({ 
   id,
   chapter = '',
+  lang,
   bookCover = false,
   cover = false,
   gray = false,
@@ -30,6 +33,9 @@ const Section = ({
   return (
     <div 
       className="book-section"
+      lang={lang}
+      dir={lang ? getLocale(lang).dir : undefined}
+      data-hyphenate={(lang && getLocale(lang).hyphenate) || undefined}
       data-chapter={chapter}
       data-book-cover={bookCover || undefined}
     >
@@ -0,0 +1,84 @@
+import React, { useRef } from 'react';
+import { describeSource } from '../data/sources';
+import useLocale from '../hooks/useLocale';
+import RichText from './RichText';
+import './SourceNote.css';
+
+// Gap between marker and popover, and minimum distance to the viewport edge
+const POPOVER_OFFSET = 8;
+const VIEWPORT_MARGIN = 16;
+
+/**
+ * SourceNote - Footnote marker with a source popover
+ *
+ * - Superscript number button (`cite-<note id>`) in the running text
+ * - Native popover: opens on click/Enter, closes on Escape or outside click
+ * - Shows medium, venue, date, editor notes and the original URL,
+ *   and links to the entry on the Sources page (`source-<note id>`)
+ */
+const SourceNote = ({ note }) => {
+  const { locale, t } = useLocale();
+  const buttonRef = useRef(null);
+  const popoverRef = useRef(null);
+  const popoverId = `note-${note.id}`;
+  const { source } = note;
+
+  // Place the popover under the marker, kept inside the viewport
+  const positionPopover = () => {
+    const button = buttonRef.current;
+    const popover = popoverRef.current;
+    if (!button || !popover) return;
+
+    const rect = button.getBoundingClientRect();
+    const width = Math.min(320, window.innerWidth - VIEWPORT_MARGIN * 2);
+    const left = Math.max(
+      VIEWPORT_MARGIN,
+      Math.min(rect.left + rect.width / 2 - width / 2, window.innerWidth - width - VIEWPORT_MARGIN)
+    );
+
+    popover.style.width = `${width}px`;
+    popover.style.left = `${left}px`;
+    popover.style.top = `${rect.bottom + POPOVER_OFFSET}px`;
+  };
+
+  return (
+    <>
+      <button
+        ref={buttonRef}
+        id={`cite-${note.id}`}
+        type="button"
+        className="source-note-marker"
+        popoverTarget={popoverId}
+        onClick={positionPopover}
+        aria-label={t('sourceNote', { number: note.number })}
+      >
+        <sup>{note.number}</sup>
+      </button>
+      <span
+        ref={popoverRef}
+        id={popoverId}
+        popover="auto"
+        role="note"
+        className="source-note-popover"
+      >
+        <span className="source-note-number">{note.number}</span>
+        <span className="source-note-details">{describeSource(source, locale)}</span>
+        {source.notes && (
+          <span className="source-note-notes" lang={note.lang}><RichText text={source.notes} /></span>
+        )}
+        <span className="source-note-links">
+          {source.url && (
+            <a href={source.url} target="_blank" rel="noopener noreferrer">
+              {t('originalSource')}
+            </a>
+          )}
+          <a href={`#source-${note.id}`} onClick={() => popoverRef.current.hidePopover()}>
+            {t('allSources')}
+          </a>
+        </span>
+      </span>
+    </>
+  );
+};
+
+export default SourceNote;
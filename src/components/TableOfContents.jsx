@@ -0,0 +1,53 @@
+import React from 'react';
+import useLocale from '../hooks/useLocale';
+import './TableOfContents.css';
+
+/**
+ * TableOfContents - Chapters and sections of the book
+ *
+ * - Built by `buildTableOfContents` (data/toc.js): chapter labels, then each
+ *   section's title lines and page type
+ * - Marks the section being read and the sections already read
+ * - Choosing an entry calls `onSelect(index)`
+ * - Colours follow the surrounding panel (light panel or dark menu)
+ */
+const TableOfContents = ({ toc, current, read, onSelect }) => {
+  const { t } = useLocale();
+
+  return (
+    <ol className="toc">
+      {toc.map(chapter => (
+        <li key={chapter.id} className="toc-chapter">
+          {chapter.display && <h3 className="toc-chapter-label">{chapter.label}</h3>}
+          <ol className="toc-entries">
+            {chapter.entries.map(entry => {
+              const isRead = read.has(entry.id);
+              const type = t(`pageType.${entry.type}`);
+              return (
+                <li key={entry.id}>
+                  <button
+                    type="button"
+                    className={`toc-entry ${isRead ? 'read' : ''}`}
+                    aria-current={entry.index === current ? 'location' : undefined}
+                    onClick={() => onSelect(entry.index)}
+                  >
+                    <span className="toc-entry-title" lang={entry.lines.length > 0 ? entry.lang : undefined}>
+                      {entry.lines.length > 0
+                        ? entry.lines.map((line, i) => <span key={i} className="toc-entry-line">{line}</span>)
+                        : type}
+                    </span>
+                    <span className="toc-entry-type">{type}</span>
+                    <span className="toc-entry-state" aria-hidden="true" />
+                    <span className="sr-only">{isRead ? t('sectionRead') : t('sectionUnread')}</span>
+                  </button>
+                </li>
+              );
+            })}
+          </ol>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default TableOfContents;
@@ -44,16 +44,27 @@ export const SCROLL_ANIMATION_CONFIG = {
   },
   
   // ===== MINIMODE (ZOOM-OUT) =====
-  // For future "overview mode" feature
+  // Overview mode: the page shrinks above the page strip (see useMinimode)
   minimode: {
-    scale: 0.75,             // Zoomed-out scale
-    y: -100,                 // Y offset in pixels
+    scale: 0.5,              // Zoomed-out scale
+    y: -120,                 // Y offset in pixels (clears the page strip)
     spring: {
-      k: 0.6,                // Stiffer for responsive minimode toggle
-      c: 0.8,                // More damping for smooth settle
+      k: 180,                // Per-second units: settles in about half a second
+      c: 26,                 // Critically damped (c ≈ 2√k): no overshoot
     },
   },
   
+  // ===== NAVIGATION =====
+  // How wheel, keys and swipes move through a book, and the spring of every
+  // scroll the app starts (see navigationController)
+  navigation: {
+    mode: 'snap',            // 'free', 'snap', 'paged' or 'book' (a reader's choice is remembered)
+    spring: {
+      k: 170,                // Per-second units, scroll offset in px
+      c: 26,                 // Critically damped: lands without overshoot
+    },
+  },
+
   // ===== PERFORMANCE =====
   performance: {
     autoSleep: true,         // Auto-pause springs when settled
@@ -0,0 +1,149 @@
+/**
+ * Annotations
+ * Reader highlights and notes (stored per book by useAnnotations), grouped
+ * for the notebook and exported as Markdown or JSON.
+ *
+ * An annotation is anchored to passages (data/permalinks.js), not to
+ * pixels or DOM paths: its start and end are a passage id and a character
+ * offset into that passage's text, so it survives edits elsewhere in the
+ * book. It keeps the text it covered, to check (and, within one passage,
+ * re-find) its place when the passage has changed.
+ *
+ * {
+ *   id, color: 'yellow' | 'blue', note: string, text: string, lang,
+ *   sectionId, start: { passageId, offset }, end: { passageId, offset },
+ *   createdAt, updatedAt
+ * }
+ */
+
+import { COLORS } from '../config/animationConfig.js';
+import { PASSAGE_FIELDS } from './permalinks.js';
+import { getChapterForSection } from './chapters.js';
+import { toPlainText } from './richText.js';
+
+// Highlight colours (also in AnnotationPopover.css for ::highlight)
+export const ANNOTATION_COLORS = {
+  yellow: COLORS.HIGHLIGHT_YELLOW,
+  blue: COLORS.HIGHLIGHT_BLUE,
+};
+
+export const DEFAULT_COLOR = 'yellow';
+
+/**
+ * Whether a stored value is a usable annotation
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isAnnotation(value) {
+  return Boolean(value && typeof value.id === 'string' && value.start?.passageId && value.end?.passageId
+    && typeof value.sectionId === 'string' && value.color in ANNOTATION_COLORS);
+}
+
+/**
+ * New annotation id
+ * @returns {string}
+ */
+export function createAnnotationId() {
+  return `a${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Reading-order position of a passage in its section (-1 when it no longer exists)
+function passageOrder(section, passageId) {
+  const ids = PASSAGE_FIELDS.flatMap(field => (section.passageIds && section.passageIds[field]) || []);
+  return ids.indexOf(passageId);
+}
+
+/**
+ * Annotations in reading order, grouped by chapter
+ * Annotations whose section no longer exists come last, under `chapter: null`
+ * @param {Array<Object>} annotations
+ * @param {Array} sections - Book sections
+ * @param {Array} chapters - Chapter registry
+ * @returns {Array<{ chapter: Object|null, annotations: Array<Object> }>}
+ */
+export function groupByChapter(annotations, sections, chapters) {
+  const indexOf = new Map(sections.map((section, index) => [section.id, index]));
+  const position = (annotation) => {
+    const index = indexOf.get(annotation.sectionId);
+    if (index === undefined) return [Infinity, 0, 0];
+    return [index, passageOrder(sections[index], annotation.start.passageId), annotation.start.offset];
+  };
+  const sorted = [...annotations].sort((a, b) => {
+    const [pa, pb] = [position(a), position(b)];
+    return pa[0] - pb[0] || pa[1] - pb[1] || pa[2] - pb[2];
+  });
+
+  const groups = [];
+  sorted.forEach(annotation => {
+    const index = indexOf.get(annotation.sectionId);
+    const chapter = index === undefined ? null : getChapterForSection(chapters, index);
+    const last = groups[groups.length - 1];
+    if (last && last.chapter === chapter) last.annotations.push(annotation);
+    else groups.push({ chapter, annotations: [annotation] });
+  });
+  return groups;
+}
+
+/**
+ * Heading of a chapter group
+ * @param {Object|null} chapter - From `groupByChapter`
+ * @param {Function} t - Translate function
+ * @returns {string}
+ */
+export function chapterHeading(chapter, t) {
+  if (!chapter) return t('notebookMissing');
+  return chapter.label || t('notebookUntitled');
+}
+
+/**
+ * Export annotations as Markdown
+ * @param {Object} book - Localized book
+ * @param {Array<Object>} annotations
+ * @param {Object} options - { t, linkFor(annotation) → URL, exportedAt: Date }
+ * @returns {string}
+ */
+export function toMarkdown(book, annotations, { t, linkFor, exportedAt }) {
+  const title = toPlainText(book.title);
+  const lines = [
+    `# ${title}`,
+    '',
+    t('notebookAttribution', { title, date: exportedAt.toISOString().slice(0, 10) }),
+  ];
+
+  groupByChapter(annotations, book.sections, book.chapters).forEach(group => {
+    lines.push('', `## ${chapterHeading(group.chapter, t)}`);
+    group.annotations.forEach(annotation => {
+      lines.push('', ...annotation.text.split('\n').map(line => (line ? `> ${line}` : '>')));
+      if (annotation.note) lines.push('', annotation.note);
+      // No deep link into a section that is gone
+      lines.push('', group.chapter ? `— *${title}* · [${t('notebookLink')}](${linkFor(annotation)})` : `— *${title}*`);
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Export annotations as JSON
+ * @param {Object} book - Localized book
+ * @param {Array<Object>} annotations
+ * @param {Object} options - { t, linkFor(annotation) → URL, exportedAt: Date, locale }
+ * @returns {string}
+ */
+export function toJson(book, annotations, { t, linkFor, exportedAt, locale }) {
+  const highlights = groupByChapter(annotations, book.sections, book.chapters).flatMap(group =>
+    group.annotations.map(annotation => ({
+      ...annotation,
+      chapter: chapterHeading(group.chapter, t),
+      link: group.chapter ? linkFor(annotation) : null,
+    }))
+  );
+
+  return `${JSON.stringify({
+    book: { slug: book.slug, title: toPlainText(book.title) },
+    source: 'Steve Jobs Archive',
+    locale,
+    exportedAt: exportedAt.toISOString(),
+    highlights,
+  }, null, 2)}\n`;
+}
@@ -0,0 +1,59 @@
+/**
+ * Book Pages
+ * Pages and spreads of book mode, where every section is a page laid out
+ * side by side (see navigationController).
+ *
+ * - One page per screen, or two-page spreads on wide screens
+ *   (SPREAD_MEDIA_QUERY, mirrored in MainContent.css)
+ * - In spreads the cover stands alone on the inline-end half, like the
+ *   first page of a printed book; page 1 faces page 2, and so on
+ * - Page colours follow the section backgrounds (overview cards, page strip)
+ */
+
+// Two pages per spread on screens matching this
+export const SPREAD_MEDIA_QUERY = '(min-width: 1100px) and (orientation: landscape)';
+
+/**
+ * Number of spreads
+ * @param {number} pageCount - Number of pages (sections)
+ * @param {number} perView - Pages per spread (1 or 2)
+ * @returns {number}
+ */
+export function spreadCount(pageCount, perView) {
+  if (pageCount === 0) return 0;
+  return perView === 1 ? pageCount : Math.floor(pageCount / 2) + 1;
+}
+
+/**
+ * Spread holding a page
+ * @param {number} page - Page index
+ * @param {number} perView - Pages per spread
+ * @returns {number}
+ */
+export function spreadOf(page, perView) {
+  return perView === 1 ? page : Math.floor((page + 1) / 2);
+}
+
+/**
+ * Pages of a spread, in reading order
+ * @param {number} spread - Spread index
+ * @param {number} pageCount - Number of pages
+ * @param {number} perView - Pages per spread
+ * @returns {Array<number>}
+ */
+export function spreadPages(spread, pageCount, perView) {
+  const pages = perView === 1 ? [spread] : [spread * 2 - 1, spread * 2];
+  return pages.filter(page => page >= 0 && page < pageCount);
+}
+
+/**
+ * Colour of a page, matching its section's background
+ * @param {Object} section - Section data
+ * @returns {'gray'|'blue'|'black'|'white'}
+ */
+export function pageTheme(section) {
+  if (section.type === 'cover' || section.gray) return 'gray';
+  if (section.blue) return 'blue';
+  if (section.black) return 'black';
+  return 'white';
+}
@@ -0,0 +1,64 @@
+/**
+ * Chapter Registry
+ * Derives the book's chapters from section data instead of a
+ * hand-maintained label list.
+ *
+ * - Consecutive sections with the same `chapter` value form one chapter
+ * - The chapter is shown in the scrubber/menu when one of its sections
+ *   sets `scrubber` (the label defaults to the `chapter` value)
+ * - Sections before the first named chapter (cover, opening quote) form
+ *   a hidden chapter with an empty label
+ *
+ * Scroll offsets are not known here; scrollAnimationOrchestrator
+ * measures them and adds `start`/`end` progress values (0-1).
+ */
+
+/**
+ * Build the chapter registry
+ * @param {Array} sections - Section data
+ * @returns {Array<{ id: number, chapter: string, label: string, display: boolean,
+ *   firstSectionIndex: number, lastSectionIndex: number, sectionIds: Array<string> }>}
+ */
+export function buildChapters(sections) {
+  const chapters = [];
+  let current = null;
+
+  sections.forEach((section, index) => {
+    const name = section.chapter || '';
+
+    if (!current || current.chapter !== name) {
+      current = {
+        id: chapters.length,
+        chapter: name,
+        label: name,
+        display: false,
+        firstSectionIndex: index,
+        lastSectionIndex: index,
+        sectionIds: [],
+      };
+      chapters.push(current);
+    }
+
+    current.lastSectionIndex = index;
+    current.sectionIds.push(section.id);
+
+    if (section.scrubber) {
+      current.label = section.scrubber;
+      current.display = true;
+    }
+  });
+
+  return chapters;
+}
+
+/**
+ * Find the chapter containing a section
+ * @param {Array} chapters - Chapter registry
+ * @param {number} sectionIndex - Section index
+ * @returns {Object|undefined}
+ */
+export function getChapterForSection(chapters, sectionIndex) {
+  return chapters.find(chapter =>
+    sectionIndex >= chapter.firstSectionIndex && sectionIndex <= chapter.lastSectionIndex
+  );
+}
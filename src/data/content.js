@@ -1,192 +1,166 @@
+/**
+ * Book Registry
+ * Every book in src/content/<slug>/ (Markdown sections + book.yaml),
+ * compiled into the `virtual:books` module by plugins/markdownBook.js.
+ *
+ * getBook/getBooks return a book for one interface locale: translated
+ * sections and chapter labels where a translation exists, the original
+ * otherwise, with all text typeset for the language it is written in.
+ * Books that cite sources get numbered `sourceNotes` and a generated
+ * Sources page after their last section. Media sections get the asset
+ * URL and player kind of their file (`media.src`, `media.kind`). Every
+ * subtitle, narration and paragraph gets a stable permalink id
+ * (`passageIds`, see permalinks.js).
+ */
+import library, { mediaUrls } from 'virtual:books';
+import { buildChapters } from './chapters';
+import { getMediaKind } from './media';
+import { withPassageIds } from './permalinks';
+import { buildSourceNotes, createSourcesSection, SOURCES_CHAPTER } from './sources';
+import { DEFAULT_LOCALE } from '../i18n/locales';
+import { translate } from '../i18n/messages';
+import { typeset, formatRanges } from '../i18n/typography';
 
-export const sections = [
-  // 1. HERO - Cover with photo-18 inline
-  {
-    id: 'cover',
-    type: 'cover',
-    pageType: 'cover',
-    chapter: '',
-    sticky: '',
-    scrubber: '',
-    gray: true,
-    verticalCenter: true,
-    coverPhoto: 18, // photo-18 will be rendered inline
-    title: 'Make Something Wonderful',
-    subtitle: 'Steve Jobs in his own words'
-  },
+/**
+ * @type {Array<{ slug: string, title: string, subtitle?: string, coverPhoto?: number,
+ *   palette?: Object, order?: number, locale?: string, sections: Array,
+ *   translations?: Object, chapters: Array }>}
+ */
+export const books = library.map(book => ({
+  ...book,
+  chapters: buildChapters(book.sections),
+}));
 
-  // 2. QUOTE - Opening quote (gray background)
-  {
-    id: 'quote-section',
-    type: 'quote',
-    pageType: 'text',
-    chapter: '',
-    gray: true,
-    verticalCenter: true,
-    paragraphs: [
-      "There's lots of ways to be, as a person. And some people express their deep appreciation in different ways. But one of the ways that I believe people express their appreciation to the rest of humanity is to make something wonderful and put it out there.",
-      "And you never meet the people. You never shake their hands. You never hear their story or tell yours. But somehow, in the act of making something with a great deal of care and love, something's transmitted there. And it's a way of expressing to the rest of our species our deep appreciation. So we need to be true to who we are and remember what's really important to us.",
-      "—Steve, 2007"
-    ]
-  },
+// `${slug}:${locale}` → localized book
+const localizedBooks = new Map();
 
-  // 3. INTRODUCTION - Laurene Powell Jobs
-  {
-    id: 'introduction',
-    type: 'text',
-    pageType: 'text',
-    chapter: 'Intro',
-    sticky: 'Intro',
-    scrubber: 'Intro',
-    title: 'Introduction by\nLaurene Powell Jobs',
-    paragraphs: [
-      "The best way to understand a person is to listen to that person directly. And the best way to understand Steve is to listen to what he said and wrote over the course of his life. His words—in speeches, interviews, and emails—offer a window into how he thought. And he was an exquisite thinker.",
-      "Much of what's in these pages reflects guiding themes of Steve's life: his sense of the worlds that would emerge from marrying the arts and technology; his unbelievable rigor, which he imposed first and most strenuously on himself; his tenacity in pursuit of assembling and leading great teams; and perhaps, above all, his insights into what it means to be human.",
-      "Steve once told a group of students, \"You appear, have a chance to blaze in the sky, then you disappear.\" He gave an extraordinary amount of thought to how best to use our fleeting time. He was compelled by the notion of being part of the arc of human existence, animated by the thought that he—or that any of us—might elevate or expedite human progress.",
-      "It is hard enough to see what is already there, to gain a clear view. Steve's gift was greater still: he saw clearly what was not there, what could be there, what had to be there. His mind was never a captive of reality. Quite the contrary: he imagined what reality lacked and set out to remedy it. His ideas were not arguments, but intuitions, born of a true inner freedom and an epic sense of possibility.",
-      "In these pages, Steve drafts and refines. He stumbles, grows, and changes. But always, always, he retains that sense of possibility. I hope these selections ignite in you the understanding that drove him: that everything that makes up what we call life was made by people no smarter, no more capable, than we are; that our world is not fixed—and so we can change it for the better."
-    ]
-  },
+const typesetAll = (lines, lang) => lines && lines.map(line => typeset(line, lang));
 
-  // 4. TITLE PAGE - Blue background
-  {
-    id: 'title-page',
-    type: 'title',
-    pageType: 'title',
-    chapter: 'Intro',
-    blue: true,
-    titlePage: true,
-    title: 'Edited by Leslie Berlin',
-    subtitle: 'Published by the Steve Jobs Archive',
-    paragraphs: [
-      "Contents have been edited and excerpted for clarity and privacy.",
-      "✂ indicates that several sentences or paragraphs have been removed from the original."
-    ]
-  },
+const typesetSource = (source, lang) => ({
+  ...source,
+  venue: source.venue && typeset(source.venue, lang),
+  notes: source.notes && typeset(source.notes, lang),
+});
 
-  // 5. IMAGE PAGE - Young Steve photo
-  {
-    id: 'image-page-1',
-    type: 'image',
-    pageType: 'image',
-    chapter: 'Intro',
-    black: true,
-    images: [
-      {
-        photoNumber: 2,
-        alt: 'Young Steve on a tricycle',
-        caption: 'Steve at two. He later called computers "a bicycle of the mind."',
-        portrait: true
-      }
-    ]
-  },
+/**
+ * Typeset every text field of a section in its own language
+ * @param {Object} section - Section data
+ * @param {string} lang - Language of the section text
+ * @returns {Object}
+ */
+function typesetSection(section, lang) {
+  const result = { ...section, lang };
 
-  // 6. PREFACE - Steve's Childhood
-  {
-    id: 'preface',
-    type: 'text',
-    pageType: 'text',
-    chapter: 'Preface',
-    sticky: 'Preface',
-    scrubber: 'Preface',
-    title: 'Preface: Steve on His Childhood and Young Adulthood',
-    subtitles: [
-      "Steve typically kept his personal life private, but he did occasionally talk about growing up in the San Francisco Bay Area. It was a time when engineers and programmers began flooding into what came to be known as Silicon Valley.",
-      "In 1995, he recorded an oral history for the Smithsonian."
-    ],
-    paragraphs: [
-      "I was very lucky. I had a father, named Paul, who was a pretty remarkable man. He never graduated from high school. He joined the Coast Guard in World War II and ferried troops around the world for General Patton, and I think he was always getting into trouble and getting busted down to Private. He was a machinist by trade and worked very hard and was kind of a genius with his hands.",
-      "He had a workbench out in the garage where, when I was about five or six, he sectioned off a little piece of it and said, 'Steve, this is your workbench now.' And he gave me some of his smaller tools and showed me how to use a hammer and saw and how to build things. It really was very good for me. He spent a lot of time with me, teaching me how to build things, take things apart, put things back together.",
-      "One of the things that he touched upon was electronics. He did not have a deep understanding of electronics himself, but he'd encountered electronics a lot in automobiles and other things that he would fix. He showed me the rudiments of electronics, and I got very interested in that."
-    ]
-  },
+  if (section.title) result.title = typeset(section.title, lang);
+  if (section.subtitle) result.subtitle = typeset(section.subtitle, lang);
+  if (section.subtitles) result.subtitles = typesetAll(section.subtitles, lang);
+  if (section.narration) result.narration = typesetAll(section.narration, lang);
+  if (section.paragraphs) result.paragraphs = typesetAll(section.paragraphs, lang);
+  if (section.subject) result.subject = typeset(section.subject, lang);
+  if (section.signature) result.signature = typesetAll(section.signature, lang);
+  if (section.thread) {
+    result.thread = section.thread.map(message => ({
+      ...message,
+      subject: message.subject && typeset(message.subject, lang),
+      paragraphs: typesetAll(message.paragraphs, lang),
+    }));
+  }
+  if (section.images) {
+    result.images = section.images.map(image => ({
+      ...image,
+      alt: typeset(image.alt, lang),
+      caption: image.caption && typeset(image.caption, lang),
+    }));
+  }
+  if (section.source) result.source = typesetSource(section.source, lang);
+  if (section.sources) {
+    result.sources = Object.fromEntries(
+      Object.entries(section.sources).map(([key, source]) => [key, typesetSource(source, lang)])
+    );
+  }
+
+  return result;
+}
 
-  // 7. PART I - 1976-1985
-  {
-    id: 'part-1',
-    type: 'part',
-    pageType: 'part',
-    chapter: '1976–1985',
-    sticky: '1976–1985',
-    scrubber: '1976–1985',
-    blue: true,
-    title: 'Part I, 1976–1985',
-    subtitle: '"A lot of people put a lot of love into this."'
-  },
+/**
+ * Resolve a media section's file to its served URL
+ * @param {Object} section - Section data
+ * @param {string} slug - Book slug (media files live in the book directory)
+ * @returns {Object}
+ */
+function resolveMedia(section, slug) {
+  if (!section.media) return section;
+  const { file } = section.media;
+  return {
+    ...section,
+    media: { ...section.media, src: mediaUrls[`${slug}/${file}`], kind: getMediaKind(file) },
+  };
+}
 
-  // 8. IMAGE SECTION - Early Apple innovation
-  {
-    id: 'image-page-2',
-    type: 'image',
-    pageType: 'image',
-    chapter: '1976–1985',
-    black: true,
-    images: [
-      {
-        photoNumber: 64,
-        alt: 'Early Apple computer',
-        caption: 'The journey of innovation begins with simple ideas.',
-        portrait: false
-      }
-    ]
-  },
+/**
+ * Merge a book's translation for a locale over the original
+ * @param {Object} book - Registry entry
+ * @param {string} locale - Interface locale
+ * @returns {Object}
+ */
+function localizeBook(book, locale) {
+  const textLocale = book.locale || DEFAULT_LOCALE;
+  const translation = (book.translations && book.translations[locale]) || {};
+  const chapterLabels = translation.chapterLabels || {};
+  const bookSections = (translation.sections || book.sections).map((section, i) =>
+    resolveMedia(typesetSection(withPassageIds(section, book.sections[i]), section.lang || textLocale), book.slug)
+  );
+  const sourceNotes = buildSourceNotes(bookSections);
+  const sections = sourceNotes.length > 0
+    ? [...bookSections, createSourcesSection(sourceNotes, locale)]
+    : bookSections;
+  const labelFor = (chapter) => {
+    if (chapterLabels[chapter.chapter]) return chapterLabels[chapter.chapter];
+    if (chapter.chapter === SOURCES_CHAPTER) return translate(locale, 'sources');
+    return chapter.label;
+  };
+  const titleLang = translation.title ? locale : textLocale;
+  const subtitle = translation.subtitle || book.subtitle;
 
-  // 9. PART I CONTENT - Editor's Note and Steve on Launching Apple
-  {
-    id: 'part-1-note',
-    type: 'text',
-    pageType: 'text',
-    chapter: '1976–1985',
-    narration: [
-      "In 1976, when Steve and his friend Steve Wozniak (\"Woz\") began building computers in Steve's childhood home, personal computers barely existed. Engineers worked on huge mainframe systems. Hobbyists who wanted their own computers had to build machines that they could program themselves.",
-      "When Apple launched, Steve was twenty-one, precocious but largely unformed. His name recognition was negligible, his wealth nonexistent. Within five years, he graced the cover of Time. By the end of the decade, before he turned thirty, he was the public face of a Fortune 500 company."
-    ],
-    title: 'Steve on Launching Apple',
-    subtitles: [
-      "In 1984, Steve recalled the friendships behind Apple."
-    ],
-    paragraphs: [
-      "I met Woz when I was thirteen in a friend of mine's garage. He was, I think, eighteen, maybe nineteen at that time, in college. And he was one of those electronics kids. We started talking about electronics and music and many other things, and we became very good friends. It was really remarkable. There was never any competition because he was so much older and better at everything than I was, but I looked up to him, and we became extremely good friends and did projects together that we probably never would have done alone. Because of this unique friendship, it was possible to do those things that neither of us would have been capable of individually."
-    ]
-  },
-  
-  // 10. IMAGE SECTION - Steve at work
-  {
-    id: 'image-page-3',
-    type: 'image',
-    pageType: 'image',
-    chapter: '1976–1985',
-    black: true,
-    images: [
-      {
-        photoNumber: 6,
-        alt: 'Steve at work',
-        caption: 'Dedication to craft and vision.',
-        portrait: true
-      }
-    ]
-  },
-  
-  // 11. CREDITS - Final page
-  {
-    id: 'credits',
-    type: 'text',
-    pageType: 'text',
-    chapter: 'Credits',
-    sticky: 'Credits',
-    scrubber: 'Credits',
-    gray: true,
-    verticalCenter: true,
-    title: 'Credits',
-    paragraphs: [
-      "This archive is a tribute to Steve Jobs and his extraordinary legacy.",
-      "Created with care to honor his vision of making something wonderful.",
-      "© 2025 Steve Jobs Archive. All rights reserved."
-    ]
+  return {
+    ...book,
+    lang: titleLang,
+    title: typeset(translation.title || book.title, titleLang),
+    subtitle: subtitle && typeset(subtitle, titleLang),
+    sections,
+    sourceNotes,
+    chapters: buildChapters(sections).map(chapter => ({
+      ...chapter,
+      label: formatRanges(labelFor(chapter), locale),
+    })),
+  };
+}
+
+/**
+ * Find a book by its URL slug
+ * @param {string} slug - Book slug (`/book/:slug`)
+ * @param {string} [locale] - Interface locale
+ * @returns {Object|null}
+ */
+export function getBook(slug, locale = DEFAULT_LOCALE) {
+  const book = books.find(entry => entry.slug === slug);
+  if (!book) return null;
+
+  const key = `${slug}:${locale}`;
+  if (!localizedBooks.has(key)) {
+    localizedBooks.set(key, localizeBook(book, locale));
   }
-];
+  return localizedBooks.get(key);
+}
 
-export const TOTAL_SECTIONS = sections.length;
+/**
+ * Every book, localized
+ * @param {string} [locale] - Interface locale
+ * @returns {Array}
+ */
+export function getBooks(locale = DEFAULT_LOCALE) {
+  return books.map(book => getBook(book.slug, locale));
+}
 
 export const SECTION_COLORS = {
   white: '#FFFFFF',
@@ -194,15 +168,3 @@ export const SECTION_COLORS = {
   gray: '#f5f5f7',
   blue: '#0071E3',
 };
-
-// Chapter labels for scrub scroller
-export const CHAPTER_LABELS = [
-  { id: 0, label: '', display: false },
-  { id: 1, label: 'Intro', display: true },
-  { id: 2, label: 'Preface', display: true },
-  { id: 3, label: '1976–1985', display: true },
-  { id: 4, label: '1985–1996', display: true },
-  { id: 5, label: '1996–2011', display: true },
-  { id: 6, label: 'Events', display: true },
-  { id: 7, label: 'Credits', display: true }
-];
@@ -0,0 +1,598 @@
+/**
+ * Content Schema
+ * Per-type field definitions for book sections and book metadata,
+ * and validators that report every problem they find.
+ *
+ * Pure module (no DOM, no asset imports) so it runs both in the browser
+ * (dev overlay) and in Node (build-time check in plugins/markdownBook.js).
+ */
+
+import { buildChapters } from './chapters.js';
+import { LOCALES } from '../i18n/locales.js';
+import { SOURCE_MEDIA, SOURCES_SECTION_ID, CITING_FIELDS, findNoteKeys } from './sources.js';
+import { findRichTextProblems } from './richText.js';
+import { MEDIA_KINDS, getMediaKind, formatTimestamp } from './media.js';
+
+// Fields every section may carry, regardless of type
+const COMMON_FIELDS = {
+  id: { type: 'id', required: true },
+  type: { type: 'string', required: true },
+  pageType: { type: 'string' },
+  chapter: { type: 'string' },
+  sticky: { type: 'chapterLabel' },
+  scrubber: { type: 'chapterLabel' },
+  gray: { type: 'boolean' },
+  blue: { type: 'boolean' },
+  black: { type: 'boolean' },
+  verticalCenter: { type: 'boolean' },
+  // Set by the plugin on translated sections
+  lang: { type: 'locale' },
+};
+
+// Citations (see data/sources.js): `source` for the whole section,
+// `sources` for passages that cite them with `[^key]` markers
+const CITATION_FIELDS = {
+  source: { type: 'source' },
+  sources: { type: 'sources' },
+};
+
+export const SECTION_SCHEMAS = {
+  cover: {
+    title: { type: 'string', required: true },
+    subtitle: { type: 'string', required: true },
+    coverPhoto: { type: 'photo' },
+  },
+  quote: {
+    paragraphs: { type: 'string[]', required: true },
+    ...CITATION_FIELDS,
+  },
+  text: {
+    title: { type: 'string' },
+    subtitles: { type: 'string[]' },
+    narration: { type: 'string[]' },
+    paragraphs: { type: 'string[]', required: true },
+    ...CITATION_FIELDS,
+  },
+  title: {
+    title: { type: 'string', required: true },
+    subtitle: { type: 'string', required: true },
+    titlePage: { type: 'boolean' },
+    paragraphs: { type: 'string[]' },
+    ...CITATION_FIELDS,
+  },
+  image: {
+    images: { type: 'images', required: true },
+    gallery: { type: 'gallery' },
+  },
+  part: {
+    title: { type: 'string', required: true },
+    subtitle: { type: 'string', required: true },
+    ...CITATION_FIELDS,
+  },
+  email: {
+    title: { type: 'string' },
+    subtitles: { type: 'string[]' },
+    narration: { type: 'string[]' },
+    from: { type: 'string', required: true },
+    to: { type: 'recipients', required: true },
+    cc: { type: 'recipients' },
+    date: { type: 'emailDate', required: true },
+    subject: { type: 'string' },
+    paragraphs: { type: 'string[]', required: true },
+    signature: { type: 'string[]' },
+    thread: { type: 'thread' },
+    ...CITATION_FIELDS,
+  },
+  media: {
+    title: { type: 'string' },
+    subtitles: { type: 'string[]' },
+    narration: { type: 'string[]' },
+    media: { type: 'media', required: true },
+    paragraphs: { type: 'string[]', required: true },
+    timestamps: { type: 'timestamps', required: true },
+    ...CITATION_FIELDS,
+  },
+};
+
+export const SECTION_TYPES = Object.keys(SECTION_SCHEMAS);
+
+const IMAGE_FIELDS = {
+  photoNumber: { type: 'photo', required: true },
+  alt: { type: 'string', required: true },
+  caption: { type: 'string' },
+  portrait: { type: 'boolean' },
+};
+
+// Earlier messages of an email (`::: quoted` blocks)
+const THREAD_FIELDS = {
+  from: { type: 'string', required: true },
+  to: { type: 'recipients' },
+  cc: { type: 'recipients' },
+  date: { type: 'emailDate' },
+  subject: { type: 'string' },
+  paragraphs: { type: 'string[]', required: true },
+};
+
+// Media file of a media section (see data/media.js)
+const MEDIA_FIELDS = {
+  file: { type: 'mediaFile', required: true },
+  poster: { type: 'photo' },
+};
+
+const SOURCE_FIELDS = {
+  date: { type: 'sourceDate' },
+  venue: { type: 'string' },
+  medium: { type: 'medium' },
+  url: { type: 'url' },
+  notes: { type: 'string' },
+};
+
+// Book metadata (book.yaml); `slug`, `sections` and `translations` come from the directory
+const BOOK_FIELDS = {
+  slug: { type: 'id', required: true },
+  title: { type: 'string', required: true },
+  subtitle: { type: 'string' },
+  coverPhoto: { type: 'photo' },
+  palette: { type: 'palette' },
+  order: { type: 'number' },
+  locale: { type: 'locale' },
+  sections: { type: 'sections', required: true },
+  translations: { type: 'translations' },
+};
+
+// Translation metadata (<locale>/book.yaml) plus the merged sections
+const TRANSLATION_FIELDS = {
+  title: { type: 'string' },
+  subtitle: { type: 'string' },
+  chapterLabels: { type: 'chapterLabels' },
+  sections: { type: 'sections', required: true },
+};
+
+// Palette keys override the matching section background colors
+export const PALETTE_KEYS = ['gray', 'blue', 'black', 'light'];
+
+// Image section layouts; without `gallery` the images are stacked
+export const GALLERY_LAYOUTS = ['grid', 'filmstrip', 'pairs'];
+
+// Section ids double as DOM ids and URL fragments
+const ID_PATTERN = /^[A-Za-z][\w-]*$/;
+
+// Ids of generated sections
+const RESERVED_IDS = [SOURCES_SECTION_ID];
+
+// "2010-09-02", "2010-09-02 23:08"
+const EMAIL_DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])([ T]([01]\d|2[0-3]):[0-5]\d)?$/;
+
+// 1995, "1995-04", "1995-04-20"
+const SOURCE_DATE_PATTERN = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/;
+
+const describe = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Check a single value against a field type
+ * @param {*} value - Field value
+ * @param {string} type - Field type from the schema
+ * @param {Object} context - { section: Object, photoNumbers: Set|null }
+ * @returns {string|null} - Error message, or null when valid
+ */
+function checkFieldType(value, type, context) {
+  switch (type) {
+    case 'id':
+      if (typeof value !== 'string') return `expected a string, got ${describe(value)}`;
+      if (!ID_PATTERN.test(value)) return `"${value}" is not a valid id (letters, digits, "-" and "_", starting with a letter)`;
+      if (RESERVED_IDS.includes(value)) return `"${value}" is reserved for a generated page`;
+      return null;
+    case 'sourceDate':
+      if (Number.isInteger(value)) return SOURCE_DATE_PATTERN.test(String(value)) ? null : `${value} is not a four-digit year`;
+      if (typeof value !== 'string') return `expected a year or date, got ${describe(value)}`;
+      return SOURCE_DATE_PATTERN.test(value) ? null : `"${value}" is not a date (expected YYYY, YYYY-MM or YYYY-MM-DD)`;
+    case 'emailDate':
+      if (typeof value !== 'string') return `expected a date string, got ${describe(value)}`;
+      return EMAIL_DATE_PATTERN.test(value) ? null : `"${value}" is not a date (expected YYYY-MM-DD or YYYY-MM-DD HH:MM)`;
+    case 'recipients':
+      if (isNonEmptyString(value)) return null;
+      if (!Array.isArray(value) || value.length === 0) return `expected a name or a list of names, got ${describe(value)}`;
+      {
+        const bad = value.findIndex(item => !isNonEmptyString(item));
+        return bad === -1 ? null : `recipient ${bad} must be a non-empty string`;
+      }
+    case 'gallery':
+      return GALLERY_LAYOUTS.includes(value) ? null : `unknown gallery layout "${value}" (expected one of: ${GALLERY_LAYOUTS.join(', ')})`;
+    case 'mediaFile':
+      if (typeof value !== 'string') return `expected a file path, got ${describe(value)}`;
+      if (value.startsWith('/') || value.includes('://')) return `"${value}" must be a path inside the book directory`;
+      return getMediaKind(value) ? null : `"${value}" is not an audio or video file (expected: ${Object.keys(MEDIA_KINDS).join(', ')})`;
+    case 'timestamps':
+      if (!Array.isArray(value)) return `expected paragraph timestamps, got ${describe(value)}`;
+      {
+        const missing = value.indexOf(null);
+        if (missing !== -1) return `paragraph ${missing} does not start with a "@m:ss" timestamp`;
+        const bad = value.findIndex(time => !Number.isFinite(time) || time < 0);
+        if (bad !== -1) return `timestamp ${bad} must be a number of seconds`;
+        const early = value.findIndex((time, i) => i > 0 && time <= value[i - 1]);
+        if (early !== -1) return `paragraph ${early} starts at ${formatTimestamp(value[early])}, not after paragraph ${early - 1} (${formatTimestamp(value[early - 1])})`;
+        const paragraphs = context.section.paragraphs;
+        return Array.isArray(paragraphs) && paragraphs.length !== value.length
+          ? `${value.length} timestamps for ${paragraphs.length} paragraphs`
+          : null;
+      }
+    case 'medium':
+      return SOURCE_MEDIA.includes(value) ? null : `unknown medium "${value}" (expected one of: ${SOURCE_MEDIA.join(', ')})`;
+    case 'url':
+      if (typeof value !== 'string') return `expected a URL, got ${describe(value)}`;
+      return /^https?:\/\/\S+$/.test(value) ? null : `"${value}" is not an http(s) URL`;
+    case 'string':
+      return typeof value === 'string' ? null : `expected a string, got ${describe(value)}`;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `expected true/false, got ${describe(value)}`;
+    case 'number':
+      return Number.isFinite(value) ? null : `expected a number, got ${describe(value)}`;
+    case 'sections':
+      return Array.isArray(value) && value.length > 0 ? null : 'a book needs at least one section file';
+    case 'locale':
+      if (typeof value !== 'string') return `expected a locale code, got ${describe(value)}`;
+      return value in LOCALES ? null : `unsupported locale "${value}" (expected one of: ${Object.keys(LOCALES).join(', ')})`;
+    case 'translations':
+      if (!isPlainObject(value)) return `expected locale directories, got ${describe(value)}`;
+      {
+        const unknown = Object.keys(value).find(locale => !(locale in LOCALES));
+        return unknown ? `unsupported locale directory "${unknown}/" (expected one of: ${Object.keys(LOCALES).join(', ')})` : null;
+      }
+    case 'chapterLabels':
+      if (!isPlainObject(value)) return `expected "chapter: label" pairs, got ${describe(value)}`;
+      {
+        const known = new Set((context.chapters || []).map(chapter => chapter.chapter));
+        const unknown = Object.keys(value).find(chapter => !known.has(chapter));
+        if (unknown) return `"${unknown}" is not a chapter of this book`;
+        const bad = Object.keys(value).find(chapter => !isNonEmptyString(value[chapter]));
+        return bad ? `chapterLabels.${bad} must be a non-empty string` : null;
+      }
+    case 'palette':
+      if (!isPlainObject(value)) {
+        return `expected "key: color" pairs, got ${describe(value)}`;
+      }
+      {
+        const unknown = Object.keys(value).find(key => !PALETTE_KEYS.includes(key));
+        if (unknown) return `unknown palette key "${unknown}" (expected: ${PALETTE_KEYS.join(', ')})`;
+        const bad = Object.keys(value).find(key => !isNonEmptyString(value[key]));
+        return bad ? `palette.${bad} must be a CSS color string` : null;
+      }
+    case 'string[]':
+      if (!Array.isArray(value)) return `expected an array of strings, got ${describe(value)}`;
+      if (value.length === 0) return 'must not be empty';
+      {
+        const bad = value.findIndex(item => !isNonEmptyString(item));
+        return bad === -1 ? null : `item ${bad} must be a non-empty string`;
+      }
+    case 'chapterLabel':
+      if (typeof value !== 'string') return `expected a string, got ${describe(value)}`;
+      return value === '' || value === (context.section.chapter || '')
+        ? null
+        : `"${value}" does not match the section's chapter "${context.section.chapter || ''}"`;
+    case 'photo':
+      if (!Number.isInteger(value)) return `expected a photo number, got ${describe(value)}`;
+      if (context.photoNumbers && !context.photoNumbers.has(value)) {
+        return `photo ${value} is not in the image map (known: ${[...context.photoNumbers].join(', ')})`;
+      }
+      return null;
+    default:
+      return `unknown schema type "${type}"`;
+  }
+}
+
+/**
+ * Validate the fields of one object against a schema
+ * Pushes `{ field, message }` entries into `problems`
+ */
+function checkFields(object, schema, context, problems, prefix = '') {
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = object[field];
+
+    if (value === undefined) {
+      if (rule.required) problems.push({ field: prefix + field, message: 'is required' });
+      return;
+    }
+
+    if (rule.type === 'images') {
+      if (!Array.isArray(value) || value.length === 0) {
+        problems.push({ field: prefix + field, message: 'expected a non-empty array of images' });
+        return;
+      }
+      value.forEach((image, i) => {
+        const imagePrefix = `${prefix}${field}[${i}].`;
+        if (typeof image !== 'object' || image === null) {
+          problems.push({ field: `${prefix}${field}[${i}]`, message: `expected an object, got ${describe(image)}` });
+          return;
+        }
+        checkFields(image, IMAGE_FIELDS, context, problems, imagePrefix);
+        checkUnknownFields(image, IMAGE_FIELDS, problems, imagePrefix);
+      });
+      return;
+    }
+
+    if (rule.type === 'media') {
+      if (!isPlainObject(value)) {
+        problems.push({ field: prefix + field, message: `expected media fields (${Object.keys(MEDIA_FIELDS).join(', ')}), got ${describe(value)}` });
+        return;
+      }
+      checkFields(value, MEDIA_FIELDS, context, problems, `${prefix}${field}.`);
+      checkUnknownFields(value, MEDIA_FIELDS, problems, `${prefix}${field}.`);
+      if (value.poster !== undefined && typeof value.file === 'string' && getMediaKind(value.file) === 'audio') {
+        problems.push({ field: `${prefix}${field}.poster`, message: 'only video files have a poster' });
+      }
+      return;
+    }
+
+    if (rule.type === 'source') {
+      checkSource(value, prefix + field, context, problems);
+      return;
+    }
+
+    if (rule.type === 'thread') {
+      if (!Array.isArray(value) || value.length === 0) {
+        problems.push({ field: prefix + field, message: 'expected a non-empty list of quoted messages' });
+        return;
+      }
+      value.forEach((message, i) => {
+        const messagePrefix = `${prefix}${field}[${i}].`;
+        if (!isPlainObject(message)) {
+          problems.push({ field: `${prefix}${field}[${i}]`, message: `expected a message, got ${describe(message)}` });
+          return;
+        }
+        checkFields(message, THREAD_FIELDS, context, problems, messagePrefix);
+        checkUnknownFields(message, THREAD_FIELDS, problems, messagePrefix);
+      });
+      return;
+    }
+
+    if (rule.type === 'sources') {
+      if (!isPlainObject(value)) {
+        problems.push({ field: prefix + field, message: `expected "key: source" pairs, got ${describe(value)}` });
+        return;
+      }
+      Object.entries(value).forEach(([key, source]) => {
+        if (!ID_PATTERN.test(key)) {
+          problems.push({ field: `${prefix}${field}.${key}`, message: 'keys must start with a letter (letters, digits, "-" and "_")' });
+        }
+        checkSource(source, `${prefix}${field}.${key}`, context, problems);
+      });
+      return;
+    }
+
+    const message = checkFieldType(value, rule.type, context);
+    if (message) problems.push({ field: prefix + field, message });
+  });
+}
+
+function checkSource(source, field, context, problems) {
+  if (!isPlainObject(source)) {
+    problems.push({ field, message: `expected source fields (${Object.keys(SOURCE_FIELDS).join(', ')}), got ${describe(source)}` });
+    return;
+  }
+  if (!['date', 'venue', 'medium', 'url'].some(key => source[key] !== undefined)) {
+    problems.push({ field, message: 'needs at least a date, venue, medium or url' });
+  }
+  checkFields(source, SOURCE_FIELDS, context, problems, `${field}.`);
+  checkUnknownFields(source, SOURCE_FIELDS, problems, `${field}.`);
+}
+
+/**
+ * Check the inline markup of every text field (see richText.js)
+ */
+function checkRichText(section, problems) {
+  const texts = [];
+  ['title', 'subtitle'].forEach(field => {
+    if (typeof section[field] === 'string') texts.push([field, section[field], false]);
+  });
+  CITING_FIELDS.forEach(field => {
+    if (Array.isArray(section[field])) {
+      section[field].forEach((text, i) => texts.push([`${field}[${i}]`, text, true]));
+    }
+  });
+  if (Array.isArray(section.signature)) {
+    section.signature.forEach((line, i) => texts.push([`signature[${i}]`, line, false]));
+  }
+  if (Array.isArray(section.thread)) {
+    section.thread.forEach((message, i) => {
+      if (message && Array.isArray(message.paragraphs)) {
+        message.paragraphs.forEach((text, j) => texts.push([`thread[${i}].paragraphs[${j}]`, text, false]));
+      }
+    });
+  }
+  if (Array.isArray(section.images)) {
+    section.images.forEach((image, i) => {
+      if (image && typeof image.caption === 'string') texts.push([`images[${i}].caption`, image.caption, false]);
+    });
+  }
+
+  texts.forEach(([field, text, citing]) => {
+    if (typeof text !== 'string') return;
+    findRichTextProblems(text).forEach(message => problems.push({ field, message }));
+    if (!citing && findNoteKeys(text).length > 0) {
+      problems.push({ field, message: `[^key] citations go in ${CITING_FIELDS.join(', ')}` });
+    }
+  });
+}
+
+/**
+ * Check that `[^key]` markers and the section's `sources` match up:
+ * every marker has a source and every source is cited exactly once
+ */
+function checkNoteMarkers(section, problems) {
+  const sources = isPlainObject(section.sources) ? section.sources : {};
+  const cited = new Map();
+
+  CITING_FIELDS.forEach(field => {
+    if (!Array.isArray(section[field])) return;
+    section[field].forEach((text, i) => {
+      if (typeof text !== 'string') return;
+      findNoteKeys(text).forEach(key => {
+        if (!(key in sources)) {
+          problems.push({ field: `${field}[${i}]`, message: `cites [^${key}], which is not in "sources"` });
+        } else if (cited.has(key)) {
+          problems.push({ field: `${field}[${i}]`, message: `cites [^${key}] again (already cited in ${cited.get(key)})` });
+        } else {
+          cited.set(key, `${field}[${i}]`);
+        }
+      });
+    });
+  });
+
+  Object.keys(sources).forEach(key => {
+    if (!cited.has(key)) {
+      problems.push({ field: `sources.${key}`, message: `is never cited (add [^${key}] to the text)` });
+    }
+  });
+}
+
+function checkUnknownFields(object, schema, problems, prefix = '') {
+  Object.keys(object).forEach(field => {
+    if (!(field in schema)) {
+      problems.push({ field: prefix + field, message: 'is not a known field for this section type' });
+    }
+  });
+}
+
+/**
+ * Validate the sections array
+ * @param {Array} sections - Section data (content.js)
+ * @param {Object} options
+ * @param {Array<number>} [options.photoNumbers] - Known photo numbers; skipped when omitted
+ * @returns {Array<{ index: number, sectionId: string, field: string, message: string }>}
+ */
+export function validateSections(sections, { photoNumbers } = {}) {
+  if (!Array.isArray(sections)) {
+    return [{ index: -1, sectionId: '', field: 'sections', message: `expected an array, got ${describe(sections)}` }];
+  }
+
+  const photoNumberSet = photoNumbers ? new Set(photoNumbers) : null;
+
+  const errors = [];
+  const seenIds = new Map();
+
+  sections.forEach((section, index) => {
+    const sectionId = section && typeof section.id === 'string' ? section.id : '';
+    const report = ({ field, message }) => errors.push({ index, sectionId, field, message });
+
+    if (typeof section !== 'object' || section === null) {
+      report({ field: '', message: `expected an object, got ${describe(section)}` });
+      return;
+    }
+
+    const typeSchema = SECTION_SCHEMAS[section.type];
+    if (!typeSchema) {
+      report({
+        field: 'type',
+        message: `unknown type "${section.type}" (expected one of: ${SECTION_TYPES.join(', ')})`,
+      });
+    }
+
+    const schema = { ...COMMON_FIELDS, ...typeSchema };
+    const context = { section, photoNumbers: photoNumberSet };
+    const problems = [];
+    checkFields(section, schema, context, problems);
+    if (typeSchema) checkUnknownFields(section, schema, problems);
+    checkNoteMarkers(section, problems);
+    checkRichText(section, problems);
+    problems.forEach(report);
+
+    if (sectionId) {
+      if (seenIds.has(sectionId)) {
+        report({ field: 'id', message: `duplicate id (also used by section ${seenIds.get(sectionId)})` });
+      } else {
+        seenIds.set(sectionId, index);
+      }
+    }
+  });
+
+  // Chapters are consecutive runs of sections; a chapter must not resume later
+  if (errors.length === 0) {
+    const firstRun = new Map();
+    buildChapters(sections).forEach(chapter => {
+      if (firstRun.has(chapter.chapter)) {
+        const index = chapter.firstSectionIndex;
+        errors.push({
+          index,
+          sectionId: sections[index].id,
+          field: 'chapter',
+          message: `chapter "${chapter.chapter}" already ended at section ${firstRun.get(chapter.chapter)}; its sections must be consecutive`,
+        });
+      } else {
+        firstRun.set(chapter.chapter, chapter.lastSectionIndex);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate every book in the library: metadata and sections
+ * @param {Array} books - Books from the `virtual:books` module
+ * @param {Object} options
+ * @param {Array<number>} [options.photoNumbers] - Known photo numbers; skipped when omitted
+ * @returns {Array<{ book: string, index: number, sectionId: string, field: string, message: string }>}
+ */
+export function validateLibrary(books, { photoNumbers } = {}) {
+  const photoNumberSet = photoNumbers ? new Set(photoNumbers) : null;
+  const errors = [];
+
+  books.forEach(book => {
+    const problems = [];
+    checkFields(book, BOOK_FIELDS, { section: {}, photoNumbers: photoNumberSet }, problems);
+    checkUnknownFields(book, BOOK_FIELDS, problems);
+    problems.forEach(({ field, message }) => {
+      errors.push({ book: book.slug, index: -1, sectionId: '', field, message });
+    });
+
+    if (Array.isArray(book.sections)) {
+      validateSections(book.sections, { photoNumbers }).forEach(error => {
+        errors.push({ book: book.slug, ...error });
+      });
+    }
+
+    if (isPlainObject(book.translations) && Array.isArray(book.sections)) {
+      const chapters = buildChapters(book.sections);
+      Object.entries(book.translations).forEach(([locale, translation]) => {
+        const label = `${book.slug} (${locale})`;
+        const translationProblems = [];
+        checkFields(translation, TRANSLATION_FIELDS, { section: {}, chapters, photoNumbers: photoNumberSet }, translationProblems);
+        checkUnknownFields(translation, TRANSLATION_FIELDS, translationProblems);
+        translationProblems.forEach(({ field, message }) => {
+          errors.push({ book: label, index: -1, sectionId: '', field, message });
+        });
+
+        // Untranslated sections are the originals, already reported above
+        if (Array.isArray(translation.sections)) {
+          validateSections(translation.sections, { photoNumbers })
+            .filter(error => error.index < 0 || (translation.sections[error.index] || {}).lang)
+            .forEach(error => {
+              errors.push({ book: label, ...error });
+            });
+        }
+      });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Format a validation error as a single line
+ * @param {Object} error - Entry returned by validateSections or validateLibrary
+ * @returns {string}
+ */
+export function formatContentError({ book, index, sectionId, field, message }) {
+  let where = sectionId ? `section ${index} "${sectionId}"` : `section ${index}`;
+  if (index < 0) where = 'book.yaml';
+  if (book) where = `${book}: ${where}`;
+  return field ? `${where} → ${field}: ${message}` : `${where}: ${message}`;
+}
@@ -0,0 +1,75 @@
+/**
+ * Image Map
+ * Photo numbers referenced by `images[].photoNumber` and `coverPhoto`,
+ * mapped to their renditions. Built from the files in src/assets by the
+ * image-manifest plugin (see plugins/imageManifest.js).
+ */
+
+import manifest from 'virtual:images';
+
+// MIME types for <source type>
+const FORMAT_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+};
+
+// Offered as <source>s, best first; a browser that decodes one decodes those after it
+const MODERN_FORMATS = ['avif', 'webp'];
+// Decoded everywhere; the <img> fallback uses only these when the photo has them
+const BASELINE_FORMATS = ['jpeg', 'png'];
+
+export const imageMap = manifest;
+
+// Photo numbers available to content (used by content validation)
+export const PHOTO_NUMBERS = Object.keys(imageMap).map(Number);
+
+/**
+ * Pick one file per width, preferring formats earlier in `accepted`
+ * @param {Object} photo - Manifest entry
+ * @param {Array<string>} accepted - Formats the browser can decode, best first
+ * @returns {Array<Object>} - Chosen files, narrowest first
+ */
+function pickFiles(photo, accepted) {
+  const byWidth = new Map();
+  photo.files.forEach(file => {
+    const rank = accepted.indexOf(file.format);
+    if (rank === -1) return;
+    const current = byWidth.get(file.width);
+    if (!current || rank < accepted.indexOf(current.format)) byWidth.set(file.width, file);
+  });
+  return [...byWidth.values()];
+}
+
+const toSrcSet = (files) => files.map(file => `${file.src} ${file.width}w`).join(', ');
+
+/**
+ * Responsive sources of a photo for a <picture>
+ * Every width is offered in every source: a WebP browser gets the 256px JPEG
+ * on a phone even when the only WebP rendition is 1500px wide.
+ * @param {Object} photo - Manifest entry (`imageMap[number]`)
+ * @returns {{ sources: Array<{ type: string, srcSet: string }>, src: string, srcSet: string }}
+ */
+export function getPictureSources(photo) {
+  const sources = MODERN_FORMATS
+    .filter(format => photo.formats.includes(format))
+    .map(format => ({
+      type: FORMAT_TYPES[format],
+      srcSet: toSrcSet(pickFiles(photo, [
+        ...MODERN_FORMATS.slice(MODERN_FORMATS.indexOf(format)),
+        ...BASELINE_FORMATS,
+      ])),
+    }));
+
+  const hasBaseline = photo.formats.some(format => BASELINE_FORMATS.includes(format));
+  const fallback = pickFiles(photo, hasBaseline ? BASELINE_FORMATS : [...MODERN_FORMATS].reverse());
+
+  return {
+    sources,
+    src: fallback[fallback.length - 1].src,
+    srcSet: toSrcSet(fallback),
+  };
+}
+
+export default imageMap;
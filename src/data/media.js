@@ -0,0 +1,78 @@
+/**
+ * Media Transcripts
+ * Helpers for `media` sections: an audio or video file in the book
+ * directory paired with its transcript.
+ *
+ * - Each transcript paragraph starts with the time it is spoken at,
+ *   `@m:ss` or `@h:mm:ss` (fractions allowed: `@1:02.5`); the markdown-book
+ *   plugin moves these into the section's `timestamps` (seconds)
+ * - The kind of player (audio or video) follows the file extension
+ *
+ * Pure module: used by the plugin, the schema and the MediaTranscript component.
+ */
+
+// File extension → player element
+export const MEDIA_KINDS = {
+  mp3: 'audio',
+  m4a: 'audio',
+  aac: 'audio',
+  oga: 'audio',
+  ogg: 'audio',
+  opus: 'audio',
+  wav: 'audio',
+  flac: 'audio',
+  mp4: 'video',
+  m4v: 'video',
+  webm: 'video',
+  ogv: 'video',
+  mov: 'video',
+};
+
+// `@1:02:03 ` at the start of a paragraph; the text must follow on the same line
+export const TIMESTAMP_PATTERN = /^@((?:\d+:)?\d+:[0-5]\d(?:\.\d+)?)\s+(?=\S)/;
+
+/**
+ * Kind of player for a media file
+ * @param {string} file - File path, e.g. `media/stanford-2005.mp3`
+ * @returns {'audio'|'video'|null}
+ */
+export function getMediaKind(file) {
+  const extension = file.split('.').pop().toLowerCase();
+  return MEDIA_KINDS[extension] || null;
+}
+
+/**
+ * Parse a timestamp (without the `@`)
+ * @param {string} text - `m:ss`, `h:mm:ss`, with optional fraction
+ * @returns {number} - Seconds
+ */
+export function parseTimestamp(text) {
+  return text.split(':').reduce((seconds, part) => seconds * 60 + Number(part), 0);
+}
+
+/**
+ * Format seconds as `m:ss`, or `h:mm:ss` from one hour
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+}
+
+/**
+ * Index of the paragraph being spoken at a time
+ * @param {Array<number>} timestamps - Ascending paragraph start times
+ * @param {number} time - Playback position in seconds
+ * @returns {number} - Paragraph index, or -1 before the first paragraph
+ */
+export function findParagraphAt(timestamps, time) {
+  let index = -1;
+  while (index + 1 < timestamps.length && timestamps[index + 1] <= time) index++;
+  return index;
+}
@@ -0,0 +1,99 @@
+/**
+ * Passage Permalinks
+ * Stable ids for the subtitles, narration and paragraphs of a section, and
+ * the `#<section>/<passage>` fragments that link to them (`#preface/p1x8k2f`).
+ *
+ * An id is a hash of the passage's plain text in the book's original
+ * language, so inserting, removing or editing other passages keeps it;
+ * only rewording the passage itself changes it. Translated passages take
+ * the id of the original at the same position, so one link works in every
+ * language.
+ *
+ * A passage's fragment is also its DOM id.
+ */
+
+import { toPlainText } from './richText.js';
+import { CITING_FIELDS } from './sources.js';
+
+// Fields whose passages get ids, in reading order
+export const PASSAGE_FIELDS = CITING_FIELDS;
+
+// FNV-1a, 32-bit
+const hashText = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Ids of a section's passages, from their own text
+ * Repeated passages get `-2`, `-3`… in reading order
+ * @param {Object} section - Section data (untypeset)
+ * @returns {Object} - `{ [field]: Array<string> }` for each passage field present
+ */
+function hashPassages(section) {
+  const seen = new Map();
+  const ids = {};
+
+  PASSAGE_FIELDS.forEach(field => {
+    if (!Array.isArray(section[field])) return;
+    ids[field] = section[field].map(text => {
+      const plain = toPlainText(text).replace(/\s+/g, ' ').trim();
+      const base = `p${hashText(plain).toString(36)}`;
+      const count = (seen.get(base) || 0) + 1;
+      seen.set(base, count);
+      return count > 1 ? `${base}-${count}` : base;
+    });
+  });
+
+  return ids;
+}
+
+/**
+ * Attach `passageIds` to a section
+ * @param {Object} section - Section data, possibly translated (untypeset)
+ * @param {Object} [original] - The same section in the original language
+ * @returns {Object} - Section with `passageIds: { [field]: Array<string> }`
+ */
+export function withPassageIds(section, original = section) {
+  const own = hashPassages(section);
+  const originalIds = original === section ? own : hashPassages(original);
+  const passageIds = {};
+
+  // A field whose passages no longer line up with the original keeps its own ids
+  Object.keys(own).forEach(field => {
+    const ids = originalIds[field];
+    passageIds[field] = ids && ids.length === own[field].length ? ids : own[field];
+  });
+
+  return { ...section, passageIds };
+}
+
+/**
+ * Fragment (and DOM id) of a passage
+ * @param {string} sectionId - Section id
+ * @param {string} passageId - Id from `passageIds`
+ * @returns {string} - `<section>/<passage>`, without `#`
+ */
+export function passageFragment(sectionId, passageId) {
+  return `${sectionId}/${passageId}`;
+}
+
+/**
+ * Split a URL fragment into its section and passage
+ * @param {string} hash - `window.location.hash`
+ * @returns {{ sectionId: string, passageId: string|null }}
+ */
+export function parseFragment(hash) {
+  let fragment = hash.replace(/^#/, '');
+  try {
+    fragment = decodeURIComponent(fragment);
+  } catch {
+    // Malformed escapes (a mangled shared link): keep the raw fragment
+  }
+  const [sectionId, passageId = null] = fragment.split('/');
+  return { sectionId, passageId };
+}
@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFragment, passageFragment } from './permalinks.js';
+
+test('splits a fragment into its section and passage', () => {
+  assert.deepEqual(parseFragment('#intro'), { sectionId: 'intro', passageId: null });
+  assert.deepEqual(parseFragment(`#${passageFragment('intro', 'p-2')}`), { sectionId: 'intro', passageId: 'p-2' });
+});
+
+test('decodes escaped fragments', () => {
+  assert.deepEqual(parseFragment('#%D8%A8%D8%AF%D8%A7%D9%8A%D8%A9'), { sectionId: 'بداية', passageId: null });
+});
+
+test('keeps a malformed fragment raw instead of throwing', () => {
+  assert.deepEqual(parseFragment('#intro/%E0%A4%A'), { sectionId: 'intro', passageId: '%E0%A4%A' });
+});
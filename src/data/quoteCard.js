@@ -0,0 +1,249 @@
+/**
+ * Quote Cards
+ * Layout of a shareable image of a passage: the quote in the archive's
+ * typeface on its section's background colour, the book and chapter it is
+ * from, and optionally the book's cover photo. The layout is plain numbers
+ * (pixels at the card's size), drawn on a canvas for PNG by
+ * QuoteCardDialog or written out as SVG by `quoteCardSvg`.
+ *
+ * Text is measured through a callback (a canvas 2D context in the browser),
+ * so this module does no drawing itself.
+ */
+
+import { SECTION_COLORS } from './content.js';
+import { getLocale } from '../i18n/locales.js';
+import { quote } from '../i18n/typography.js';
+
+// Card sizes (px): square posts, stories, link previews
+export const QUOTE_CARD_FORMATS = {
+  square: { width: 1080, height: 1080 },
+  story: { width: 1080, height: 1920 },
+  landscape: { width: 1200, height: 630 },
+};
+
+export const DEFAULT_FORMAT = 'square';
+
+// Shown under the quote on every card
+export const ARCHIVE_NAME = 'Steve Jobs Archive';
+
+// Share of the card given to the cover photo: beside the text when
+// landscape, above it otherwise
+const PHOTO_SHARE = {
+  square: 0.38,
+  story: 0.4,
+  landscape: 0.38,
+};
+
+// Margins, as a share of the card's shorter side
+const PADDING = 0.08;
+
+// Quote size range, as a share of the card's shorter side; it shrinks until it fits
+const QUOTE_SIZE_MAX = 0.072;
+const QUOTE_SIZE_MIN = 0.03;
+const QUOTE_SIZE_STEP = 2; // px
+
+const QUOTE_LINE_HEIGHT = 1.3;
+
+// Attribution size, as a share of the card's shorter side
+const ATTRIBUTION_SIZE = 0.03;
+const ATTRIBUTION_LINE_HEIGHT = 1.4;
+
+// Marks a quote or paragraph may already start with
+const OPENING_QUOTE = /^["“„«‹‘'»]/;
+
+/**
+ * Colours of a card for a section, from its background flag
+ * @param {Object} section - Book section
+ * @returns {{ background: string, color: string, muted: string }}
+ */
+export function cardTheme(section) {
+  if (section.black) {
+    return { background: SECTION_COLORS.black, color: '#FFFFFF', muted: 'rgba(255, 255, 255, 0.65)' };
+  }
+  if (section.blue) {
+    return { background: SECTION_COLORS.blue, color: '#FFFFFF', muted: 'rgba(255, 255, 255, 0.75)' };
+  }
+  if (section.gray || section.cover) {
+    return { background: SECTION_COLORS.gray, color: '#000000', muted: 'rgba(0, 0, 0, 0.55)' };
+  }
+  return { background: SECTION_COLORS.white, color: '#000000', muted: 'rgba(0, 0, 0, 0.55)' };
+}
+
+/**
+ * CSS/canvas font shorthand
+ * @param {number} size - Font size (px)
+ * @param {string} family - Font family list (from the design tokens)
+ * @returns {string}
+ */
+export function cardFont(size, family) {
+  return `${size}px ${family}`;
+}
+
+/**
+ * Break text into lines no wider than `maxWidth`
+ * Paragraph breaks (blank lines) are kept as empty lines; a word wider than
+ * the line gets a line of its own.
+ * @param {string} text
+ * @param {number} maxWidth - px
+ * @param {Function} measure - (text) → width in px
+ * @returns {Array<string>}
+ */
+export function wrapLines(text, maxWidth, measure) {
+  const lines = [];
+  text.split(/\n\s*\n/).forEach((paragraph, i) => {
+    if (i > 0) lines.push('');
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && measure(candidate) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    if (line) lines.push(line);
+  });
+  return lines;
+}
+
+// Shorten a line with an ellipsis until it fits
+function truncate(line, maxWidth, measure) {
+  let text = line;
+  while (text && measure(`${text}…`) > maxWidth) text = text.slice(0, -1).trimEnd();
+  return `${text}…`;
+}
+
+/**
+ * Lay out a quote card
+ * @param {Object} card
+ * @param {string} card.text - Quoted text (paragraphs separated by blank lines)
+ * @param {string} card.lang - Language of the text
+ * @param {string} card.title - Book title
+ * @param {string} [card.chapter] - Chapter label
+ * @param {Object} card.section - Section the text is from (for its colours)
+ * @param {string} card.format - Key of QUOTE_CARD_FORMATS
+ * @param {boolean} card.photo - Leave room for the cover photo
+ * @param {Object} card.fonts - { quote, ui } font families
+ * @param {Function} measure - (text, font) → width in px
+ * @returns {Object} - { width, height, rtl, theme, fonts, photo, quote, attribution }
+ */
+export function layoutQuoteCard({ text, lang, title, chapter, section, format, photo, fonts }, measure) {
+  const { width, height } = QUOTE_CARD_FORMATS[format];
+  const unit = Math.min(width, height);
+  const padding = Math.round(unit * PADDING);
+  const rtl = getLocale(lang).dir === 'rtl';
+
+  // Photo region, and the text box in what remains
+  let photoBox = null;
+  let box = { x: 0, y: 0, width, height };
+  if (photo) {
+    const share = PHOTO_SHARE[format];
+    if (format === 'landscape') {
+      const photoWidth = Math.round(width * share);
+      photoBox = { x: rtl ? width - photoWidth : 0, y: 0, width: photoWidth, height };
+      box = { x: rtl ? 0 : photoWidth, y: 0, width: width - photoWidth, height };
+    } else {
+      const photoHeight = Math.round(height * share);
+      photoBox = { x: 0, y: 0, width, height: photoHeight };
+      box = { x: 0, y: photoHeight, width, height: height - photoHeight };
+    }
+  }
+  const inner = {
+    x: box.x + padding,
+    y: box.y + padding,
+    width: box.width - padding * 2,
+    height: box.height - padding * 2,
+  };
+  const startX = rtl ? inner.x + inner.width : inner.x;
+
+  // Attribution along the bottom
+  const attributionSize = Math.round(unit * ATTRIBUTION_SIZE);
+  const attributionLineHeight = Math.round(attributionSize * ATTRIBUTION_LINE_HEIGHT);
+  const attributionFont = cardFont(attributionSize, fonts.ui);
+  const attributionTexts = [title, [chapter, ARCHIVE_NAME].filter(Boolean).join(' · ')]
+    .map(line => (measure(line, attributionFont) > inner.width
+      ? truncate(line, inner.width, (candidate) => measure(candidate, attributionFont))
+      : line));
+  const attributionTop = inner.y + inner.height - attributionLineHeight * attributionTexts.length;
+  const attribution = {
+    fontSize: attributionSize,
+    lines: attributionTexts.map((line, i) => ({
+      text: line,
+      x: startX,
+      y: attributionTop + attributionLineHeight * (i + 1) - (attributionLineHeight - attributionSize) / 2,
+      muted: i > 0,
+    })),
+  };
+
+  // Largest quote size that fits above the attribution
+  const quoted = OPENING_QUOTE.test(text.trim()) ? text.trim() : quote(text.trim(), lang);
+  const available = attributionTop - attributionSize * 2 - inner.y;
+  let fontSize = Math.round(unit * QUOTE_SIZE_MAX);
+  const minSize = Math.round(unit * QUOTE_SIZE_MIN);
+  let lines;
+  for (;;) {
+    const font = cardFont(fontSize, fonts.quote);
+    lines = wrapLines(quoted, inner.width, (candidate) => measure(candidate, font));
+    if (lines.length * fontSize * QUOTE_LINE_HEIGHT <= available || fontSize <= minSize) break;
+    fontSize = Math.max(minSize, fontSize - QUOTE_SIZE_STEP);
+  }
+  const lineHeight = Math.round(fontSize * QUOTE_LINE_HEIGHT);
+
+  // Still too long at the smallest size: cut it off
+  const maxLines = Math.max(1, Math.floor(available / lineHeight));
+  if (lines.length > maxLines) {
+    const font = cardFont(fontSize, fonts.quote);
+    lines = lines.slice(0, maxLines);
+    lines[maxLines - 1] = truncate(lines[maxLines - 1], inner.width, (candidate) => measure(candidate, font));
+  }
+
+  return {
+    width,
+    height,
+    rtl,
+    lang,
+    theme: cardTheme(section),
+    fonts,
+    photo: photoBox,
+    quote: {
+      fontSize,
+      lines: lines.map((line, i) => ({ text: line, x: startX, y: inner.y + lineHeight * i + fontSize })),
+    },
+    attribution,
+  };
+}
+
+// Escape text for SVG markup
+const escapeXml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * A laid-out card as an SVG document
+ * @param {Object} layout - From `layoutQuoteCard`
+ * @param {string} [photoHref] - Cover photo (a data: URL keeps the file self-contained)
+ * @returns {string}
+ */
+export function quoteCardSvg(layout, photoHref) {
+  const { width, height, rtl, lang, theme, fonts, photo, quote: body, attribution } = layout;
+  const direction = rtl ? ' direction="rtl"' : '';
+  const text = (line, size, family, fill) => (
+    `  <text x="${line.x}" y="${line.y}" font-family="${escapeXml(family)}" font-size="${size}" fill="${fill}"${direction}>`
+    + `${escapeXml(line.text)}</text>`
+  );
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xml:lang="${lang}">`,
+    `  <rect width="${width}" height="${height}" fill="${theme.background}"/>`,
+    photo && photoHref
+      ? `  <image href="${escapeXml(photoHref)}" x="${photo.x}" y="${photo.y}" width="${photo.width}" height="${photo.height}" preserveAspectRatio="xMidYMid slice"/>`
+      : null,
+    ...body.lines.filter(line => line.text).map(line => text(line, body.fontSize, fonts.quote, theme.color)),
+    ...attribution.lines.map(line => text(line, attribution.fontSize, fonts.ui, line.muted ? theme.muted : theme.color)),
+    '</svg>',
+    '',
+  ].filter(line => line !== null).join('\n');
+}
@@ -0,0 +1,197 @@
+/**
+ * Rich Text
+ * Inline markup for book text, parsed into a small node tree that
+ * RichText.jsx renders as React elements (no HTML strings involved).
+ *
+ *   *emphasis*        → em
+ *   **strong**        → strong
+ *   ^^small caps^^    → smallCaps
+ *   [text](url)       → link (http(s), mailto, / and # targets only)
+ *   [text]            → editorial (editor's insertion, brackets kept)
+ *   [^key]            → note (source citation, see sources.js)
+ *   ✂                 → snip (passage removed from the original)
+ *   line break        → break (`\n`: multi-line titles, lines ending in `\`)
+ *   \* \[ \] \^ \\ \✂ → the character itself (\" and \' also skip typesetting)
+ *
+ * Emphasis delimiters only open before and close after a non-space,
+ * so "5 * 3 * 2" stays literal. Unclosed markup is kept as text.
+ */
+
+const ESCAPABLE = '\\*[]^✂"\'';
+const NOTE_PATTERN = /^\[\^([A-Za-z][\w-]*)\]/;
+const LINK_TARGET_PATTERN = /^\(([^()\s]+)\)/;
+const SAFE_HREF_PATTERN = /^(https?:\/\/|mailto:|\/|#)/;
+
+// Delimited spans, longest delimiter first
+const SPANS = [
+  { delimiter: '**', type: 'strong' },
+  { delimiter: '^^', type: 'smallCaps' },
+  { delimiter: '*', type: 'em' },
+];
+
+const isSpace = (char) => char === undefined || /\s/.test(char);
+
+/**
+ * Parse text until `closer` (or the end)
+ * @returns {[Array, number, boolean]} - nodes, index after the closer, whether it closed
+ */
+function parseNodes(text, start, closer) {
+  const nodes = [];
+  let buffer = '';
+  let i = start;
+
+  const flush = () => {
+    if (buffer) nodes.push(buffer);
+    buffer = '';
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    // Span delimiters close after a non-space; `*` inside `*…*` closes it
+    // unless it starts a `**` span
+    const closesHere = closer && text.startsWith(closer, i) &&
+      (closer === ']' || !isSpace(text[i - 1])) &&
+      !(closer === '*' && text.startsWith('**', i));
+    if (closesHere) {
+      flush();
+      return [nodes, i + closer.length, true];
+    }
+
+    if (char === '\\' && ESCAPABLE.includes(text[i + 1])) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (char === '\n') {
+      flush();
+      nodes.push({ type: 'break' });
+      i += 1;
+      continue;
+    }
+
+    if (char === '✂') {
+      flush();
+      nodes.push({ type: 'snip' });
+      i += 1;
+      continue;
+    }
+
+    if (char === '[') {
+      const note = text.slice(i).match(NOTE_PATTERN);
+      if (note) {
+        flush();
+        nodes.push({ type: 'note', key: note[1] });
+        i += note[0].length;
+        continue;
+      }
+
+      const [children, end, closed] = parseNodes(text, i + 1, ']');
+      if (closed) {
+        flush();
+        const target = text.slice(end).match(LINK_TARGET_PATTERN);
+        if (target) {
+          nodes.push({ type: 'link', href: target[1], children });
+          i = end + target[0].length;
+        } else {
+          nodes.push({ type: 'editorial', children });
+          i = end;
+        }
+        continue;
+      }
+    }
+
+    const span = SPANS.find(({ delimiter }) => text.startsWith(delimiter, i));
+    if (span && !isSpace(text[i + span.delimiter.length])) {
+      const [children, end, closed] = parseNodes(text, i + span.delimiter.length, span.delimiter);
+      if (closed && children.length > 0) {
+        flush();
+        nodes.push({ type: span.type, children });
+        i = end;
+        continue;
+      }
+      buffer += span.delimiter;
+      i += span.delimiter.length;
+      continue;
+    }
+
+    buffer += char;
+    i += 1;
+  }
+
+  flush();
+  return [nodes, i, false];
+}
+
+/**
+ * Parse inline markup
+ * @param {string} text - Text with inline markup
+ * @returns {Array<string|Object>} - Text runs and `{ type, children?, href?, key? }` nodes
+ */
+export function parseRichText(text) {
+  return parseNodes(text, 0, null)[0];
+}
+
+/**
+ * Visit every node of a parsed tree, depth first
+ * @param {Array} nodes - From parseRichText
+ * @param {Function} visit - Called with each node
+ */
+export function walkRichText(nodes, visit) {
+  nodes.forEach(node => {
+    visit(node);
+    if (node.children) walkRichText(node.children, visit);
+  });
+}
+
+/**
+ * Plain text of a marked-up string (for alt text, search, summaries)
+ * Notes and snip marks are dropped; editorial brackets are kept
+ * @param {string|Array} text - Marked-up text or parsed nodes
+ * @returns {string}
+ */
+export function toPlainText(text) {
+  const nodes = typeof text === 'string' ? parseRichText(text) : text;
+
+  return nodes.map(node => {
+    if (typeof node === 'string') return node;
+    switch (node.type) {
+      case 'break':
+        return ' ';
+      case 'editorial':
+        return `[${toPlainText(node.children)}]`;
+      case 'note':
+      case 'snip':
+        return '';
+      default:
+        return toPlainText(node.children);
+    }
+  }).join('').replace(/\s{2,}/g, ' ').trim();
+}
+
+/**
+ * Whether a link target may be rendered
+ * @param {string} href - Link target
+ * @returns {boolean}
+ */
+export function isSafeHref(href) {
+  return SAFE_HREF_PATTERN.test(href);
+}
+
+/**
+ * Find markup problems the author should fix
+ * @param {string} text - Marked-up text
+ * @returns {Array<string>} - Messages
+ */
+export function findRichTextProblems(text) {
+  const problems = [];
+
+  walkRichText(parseRichText(text), node => {
+    if (node.type === 'link' && !isSafeHref(node.href)) {
+      problems.push(`link target "${node.href}" is not allowed (use http(s)://, mailto:, / or #)`);
+    }
+  });
+
+  return problems;
+}
@@ -0,0 +1,320 @@
+/**
+ * Full-Text Search
+ * Client-side index over the text of every book: section titles,
+ * subtitles, narration, paragraphs and image captions/alt text.
+ *
+ * Queries:
+ * - Loose words match in any order, each one exactly, as a prefix or
+ *   fuzzily (one typo, two in long words): `bycicle mind`
+ * - `"Quoted phrases"` match consecutive words: `"bicycle of the mind"`
+ * - Matching ignores case, accents, soft hyphens and typographic quotes
+ *
+ * Every result keeps the ranges of its matched words, for highlighted
+ * snippets and for highlighting the passage once it is opened.
+ */
+
+import { toPlainText } from './richText.js';
+import { getChapterForSection } from './chapters.js';
+
+// Searchable section fields, with their weight in the ranking
+const FIELD_WEIGHTS = {
+  title: 2,
+  subtitles: 1.5,
+  narration: 1,
+  paragraphs: 1,
+  caption: 1,
+  alt: 0.5,
+};
+
+// Match quality of a query word against a term
+const EXACT_SCORE = 3;
+const PREFIX_SCORE = 2;
+const FUZZY_SCORE = 1;
+
+// Ranking bonus for a quoted phrase, or loose words found in query order
+const PHRASE_BONUS = 5;
+
+// Query words shorter than this only match exactly or as a prefix
+const FUZZY_MIN_LENGTH = 4;
+
+// From this length a query word may be two edits away
+const FUZZY_TWO_EDITS_LENGTH = 7;
+
+// Snippet length around the first match (characters)
+const SNIPPET_LENGTH = 160;
+
+const DEFAULT_LIMIT = 50;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:'[\p{L}\p{N}]+)*/gu;
+
+// Characters that read as the same letter once normalized
+const EQUIVALENTS = {
+  '‘': "'",
+  '’': "'",
+  'ʼ': "'",
+  '\u00a0': ' ', // no-break space
+  '\u202F': ' ', // narrow no-break space
+};
+
+/**
+ * Normalize text for matching, keeping a map back to the original
+ * Lowercase, without accents or soft hyphens; `map[i]` is the index in
+ * `text` of normalized character `i`.
+ * @param {string} text - Plain text
+ * @returns {{ text: string, map: Array<number> }}
+ */
+export function normalizeText(text) {
+  let normalized = '';
+  const map = [];
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\u00AD') continue;
+    const folded = (EQUIVALENTS[char] || char).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    for (const part of folded) {
+      normalized += part;
+      map.push(i);
+    }
+  }
+  return { text: normalized, map };
+}
+
+/**
+ * Words of normalized text, with their positions
+ * @param {string} text - Normalized text
+ * @returns {Array<{ term: string, start: number, end: number }>}
+ */
+export function tokenize(text) {
+  return [...text.matchAll(WORD_PATTERN)].map(match => ({
+    term: match[0],
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+// Whether two words are at most `max` edits apart (Damerau-Levenshtein, OSA)
+function withinDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return false;
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previous2[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return false;
+    previous2 = previous;
+    previous = row;
+  }
+  return previous[b.length] <= max;
+}
+
+/**
+ * Split a query into quoted phrases and loose words
+ * @param {string} query - Search box text
+ * @returns {{ phrases: Array<Array<string>>, words: Array<string> }}
+ */
+export function parseQuery(query) {
+  const phrases = [];
+  const loose = normalizeText(query).text
+    .replace(/["“”„«»]([^"“”„«»]*)["“”„«»]?/g, (_, phrase) => {
+      const words = tokenize(phrase).map(token => token.term);
+      if (words.length > 0) phrases.push(words);
+      return ' ';
+    });
+  return { phrases, words: tokenize(loose).map(token => token.term) };
+}
+
+// Plain text of a searchable field entry
+const documentText = (text) => toPlainText(text).replace(/\s+/g, ' ').trim();
+
+/**
+ * Build the search index of a set of books
+ * @param {Array} books - Localized books (`getBooks`)
+ * @returns {{ documents: Array, terms: Map<string, Set<number>> }}
+ */
+export function buildSearchIndex(books) {
+  const documents = [];
+  const terms = new Map();
+
+  const add = (entry, text) => {
+    const plain = documentText(text);
+    if (!plain) return;
+    const normalized = normalizeText(plain);
+    const tokens = tokenize(normalized.text);
+    const id = documents.length;
+    documents.push({ ...entry, text: plain, normalized, tokens });
+    tokens.forEach(({ term }) => {
+      if (!terms.has(term)) terms.set(term, new Set());
+      terms.get(term).add(id);
+    });
+  };
+
+  books.forEach(book => {
+    book.sections.forEach((section, sectionIndex) => {
+      const chapter = getChapterForSection(book.chapters, sectionIndex);
+      const base = {
+        slug: book.slug,
+        bookTitle: book.title,
+        sectionId: section.id,
+        sectionIndex,
+        chapter: chapter && chapter.display ? chapter.label : '',
+        lang: section.lang,
+      };
+
+      if (section.title) add({ ...base, field: 'title', passageId: null }, section.title);
+      ['subtitles', 'narration', 'paragraphs'].forEach(field => {
+        (section[field] || []).forEach((text, i) => {
+          add({ ...base, field, passageId: section.passageIds?.[field]?.[i] ?? null }, text);
+        });
+      });
+      (section.images || []).forEach(image => {
+        if (image.caption) add({ ...base, field: 'caption', passageId: null }, image.caption);
+        if (image.alt) add({ ...base, field: 'alt', passageId: null }, image.alt);
+      });
+    });
+  });
+
+  return { documents, terms };
+}
+
+// Index terms a query word matches, with the score of each
+function expandWord(index, word) {
+  const matches = new Map();
+  const maxEdits = word.length >= FUZZY_TWO_EDITS_LENGTH ? 2 : 1;
+  index.terms.forEach((_, term) => {
+    if (term === word) matches.set(term, EXACT_SCORE);
+    else if (term.startsWith(word)) matches.set(term, PREFIX_SCORE);
+    else if (word.length >= FUZZY_MIN_LENGTH && withinDistance(word, term, maxEdits)) matches.set(term, FUZZY_SCORE);
+  });
+  return matches;
+}
+
+// Start positions (token indexes) where a phrase occurs; its last word may be a prefix
+function findPhrase(tokens, phrase) {
+  const starts = [];
+  for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    const found = phrase.every((word, j) => (
+      j === phrase.length - 1 ? tokens[i + j].term.startsWith(word) : tokens[i + j].term === word
+    ));
+    if (found) starts.push(i);
+  }
+  return starts;
+}
+
+// Ranges of the original text covered by tokens
+const tokenRanges = (document, tokens) => tokens.map(({ start, end }) => [
+  document.normalized.map[start],
+  document.normalized.map[end - 1] + 1,
+]);
+
+/**
+ * Snippet of a result's text around its first match
+ * @param {string} text - Document text
+ * @param {Array<[number, number]>} ranges - Matched ranges, in order
+ * @param {number} [length] - Snippet length
+ * @returns {{ text: string, ranges: Array<[number, number]> }} - Ranges within the snippet
+ */
+export function makeSnippet(text, ranges, length = SNIPPET_LENGTH) {
+  if (text.length <= length) return { text, ranges };
+
+  const first = ranges.length > 0 ? ranges[0][0] : 0;
+  let start = Math.max(0, Math.min(first - Math.floor(length / 3), text.length - length));
+  let end = Math.min(text.length, start + length);
+  // Whole words at both ends
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const shift = prefix.length - start;
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    ranges: ranges
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from + shift, to + shift]),
+  };
+}
+
+/**
+ * Search the index
+ * @param {Object} index - From `buildSearchIndex`
+ * @param {string} query - Search box text
+ * @param {Object} [options] - { limit }
+ * @returns {Array<{ document: Object, score: number, terms: Array<string>,
+ *   snippet: { text: string, ranges: Array<[number, number]> } }>} - Best first
+ */
+export function search(index, query, { limit = DEFAULT_LIMIT } = {}) {
+  const { phrases, words } = parseQuery(query);
+  if (phrases.length === 0 && words.length === 0) return [];
+
+  const expansions = words.map(word => expandWord(index, word));
+
+  // Documents containing a match for every loose word and every phrase's first word
+  const candidateSets = [
+    ...expansions.map(matches => {
+      const ids = new Set();
+      matches.forEach((_, term) => index.terms.get(term).forEach(id => ids.add(id)));
+      return ids;
+    }),
+    ...phrases.map(phrase => {
+      const ids = new Set();
+      index.terms.forEach((documentIds, term) => {
+        const first = phrase[0];
+        if (phrase.length === 1 ? term.startsWith(first) : term === first) documentIds.forEach(id => ids.add(id));
+      });
+      return ids;
+    }),
+  ].sort((a, b) => a.size - b.size);
+
+  const [smallest, ...others] = candidateSets;
+  const results = [];
+
+  smallest.forEach(id => {
+    if (!others.every(ids => ids.has(id))) return;
+    const document = index.documents[id];
+    const matched = [];
+    let score = 0;
+
+    for (const phrase of phrases) {
+      const starts = findPhrase(document.tokens, phrase);
+      if (starts.length === 0) return;
+      starts.forEach(start => matched.push(...document.tokens.slice(start, start + phrase.length)));
+      score += PHRASE_BONUS + phrase.length * EXACT_SCORE;
+    }
+
+    expansions.forEach(matches => {
+      let best = 0;
+      document.tokens.forEach(token => {
+        const tokenScore = matches.get(token.term);
+        if (tokenScore) {
+          matched.push(token);
+          best = Math.max(best, tokenScore);
+        }
+      });
+      score += best;
+    });
+
+    // Loose words in query order, next to each other
+    if (words.length > 1 && findPhrase(document.tokens, words).length > 0) score += PHRASE_BONUS;
+
+    const tokens = [...new Set(matched)].sort((a, b) => a.start - b.start);
+    const ranges = tokenRanges(document, tokens);
+    results.push({
+      document,
+      score: score * FIELD_WEIGHTS[document.field],
+      terms: [...new Set(tokens.map(token => token.term))],
+      snippet: makeSnippet(document.text, ranges),
+    });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || a.document.sectionIndex - b.document.sectionIndex)
+    .slice(0, limit);
+}
@@ -0,0 +1,161 @@
+/**
+ * Source Notes
+ * Turns the structured `source` / `sources` metadata of sections into
+ * numbered footnotes and the generated Sources page.
+ *
+ * - `source` on a section cites the whole section (marker after its title,
+ *   or after its last paragraph when it has none)
+ * - `sources` maps keys to citations for single passages; the text cites
+ *   them with `[^key]` markers in subtitles, narration or paragraphs
+ *
+ * Notes are numbered in reading order across the book.
+ */
+
+import { translate } from '../i18n/messages.js';
+import { parseRichText, walkRichText, toPlainText } from './richText.js';
+
+// `medium` values; labels are the `medium.*` UI messages
+export const SOURCE_MEDIA = [
+  'speech',
+  'email',
+  'interview',
+  'oral-history',
+  'letter',
+  'memo',
+  'video',
+  'article',
+  'book',
+];
+
+// Generated Sources page: section id and chapter key
+export const SOURCES_SECTION_ID = 'sources';
+export const SOURCES_CHAPTER = 'Sources';
+
+// Text fields that may carry `[^key]` markers, in reading order
+export const CITING_FIELDS = ['subtitles', 'narration', 'paragraphs'];
+
+/**
+ * List the source keys cited in a text
+ * @param {string} text - Text with `[^key]` markers
+ * @returns {Array<string>}
+ */
+export function findNoteKeys(text) {
+  const keys = [];
+  walkRichText(parseRichText(text), node => {
+    if (node.type === 'note') keys.push(node.key);
+  });
+  return keys;
+}
+
+/**
+ * Note id for a section-level source or a keyed passage source
+ * Doubles as the DOM id suffix of the marker (`cite-…`) and entry (`source-…`)
+ * @param {string} sectionId - Section id
+ * @param {string} [key] - Key in the section's `sources`
+ * @returns {string}
+ */
+export function noteId(sectionId, key) {
+  return key ? `${sectionId}-source-${key}` : `${sectionId}-source`;
+}
+
+/**
+ * Short description of where a note is cited, for the Sources page
+ * @param {Object} section - Section data
+ * @returns {string}
+ */
+function describeContext(section) {
+  if (section.title) return toPlainText(section.title);
+  if (section.subject) return toPlainText(section.subject);
+
+  const text = section.paragraphs ? toPlainText(section.paragraphs[0]) : '';
+  const words = text.split(/\s+/);
+  return words.length > 8 ? `${words.slice(0, 8).join(' ')}…` : text;
+}
+
+/**
+ * Number every source note of a book in reading order
+ * @param {Array} sections - Section data
+ * @returns {Array<{ number: number, id: string, sectionId: string, key: string|null,
+ *   chapter: string, lang: string, context: string, source: Object }>}
+ */
+export function buildSourceNotes(sections) {
+  const notes = [];
+
+  sections.forEach(section => {
+    const add = (key, source) => {
+      notes.push({
+        number: notes.length + 1,
+        id: noteId(section.id, key),
+        sectionId: section.id,
+        key,
+        chapter: section.chapter || '',
+        lang: section.lang,
+        context: describeContext(section),
+        source,
+      });
+    };
+
+    if (section.source) add(null, section.source);
+
+    if (section.sources) {
+      CITING_FIELDS.forEach(field => {
+        (section[field] || []).forEach(text => {
+          findNoteKeys(text).forEach(key => {
+            if (section.sources[key]) add(key, section.sources[key]);
+          });
+        });
+      });
+    }
+  });
+
+  return notes;
+}
+
+/**
+ * Build the generated Sources page that follows the last section
+ * @param {Array} notes - From buildSourceNotes
+ * @param {string} locale - Interface locale
+ * @returns {Object} - Section data (type `sources`)
+ */
+export function createSourcesSection(notes, locale) {
+  return {
+    id: SOURCES_SECTION_ID,
+    type: 'sources',
+    pageType: 'text',
+    chapter: SOURCES_CHAPTER,
+    sticky: SOURCES_CHAPTER,
+    scrubber: SOURCES_CHAPTER,
+    lang: locale,
+    notes,
+  };
+}
+
+/**
+ * Format a source date: a year, `YYYY-MM` or `YYYY-MM-DD`
+ * @param {number|string} date - Source date
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+export function formatSourceDate(date, locale) {
+  const [year, month, day] = String(date).split('-').map(Number);
+  const options = { timeZone: 'UTC', year: 'numeric' };
+  if (month) options.month = 'long';
+  if (day) options.day = 'numeric';
+
+  return new Intl.DateTimeFormat(locale, options)
+    .format(new Date(Date.UTC(year, (month || 1) - 1, day || 1)));
+}
+
+/**
+ * One-line description of a source: medium · venue · date
+ * @param {Object} source - { date, venue, medium, url, notes }
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+export function describeSource(source, locale) {
+  return [
+    source.medium && translate(locale, `medium.${source.medium}`),
+    source.venue,
+    source.date !== undefined && formatSourceDate(source.date, locale),
+  ].filter(Boolean).join(' · ');
+}
@@ -0,0 +1,67 @@
+/**
+ * Table of Contents
+ * Chapters and their sections, generated from the book's sections and
+ * chapter registry (see data/chapters.js), for the contents panel and the
+ * mobile menu.
+ *
+ * A section is listed by its title, one entry line per title line
+ * ("Introduction by" / "Laurene Powell Jobs"); untitled sections fall back
+ * to an email's subject or the opening of a quote, and otherwise to their
+ * page type.
+ */
+
+import { parseRichText, toPlainText } from './richText.js';
+
+// Characters of a quote shown for an untitled quote section
+const QUOTE_LENGTH = 60;
+
+/**
+ * Plain-text lines of a title, split at its line breaks
+ * @param {string} text - Marked-up title
+ * @returns {Array<string>}
+ */
+export function titleLines(text) {
+  const lines = [[]];
+  parseRichText(text).forEach(node => {
+    if (typeof node !== 'string' && node.type === 'break') lines.push([]);
+    else lines[lines.length - 1].push(node);
+  });
+  return lines.map(nodes => toPlainText(nodes)).filter(Boolean);
+}
+
+const quoteOpening = (text) => {
+  const plain = toPlainText(text);
+  return plain.length > QUOTE_LENGTH ? `${plain.slice(0, QUOTE_LENGTH).trimEnd()}…` : plain;
+};
+
+// Entry lines of a section; empty when only its page type describes it
+const entryLines = (section) => {
+  if (section.title) return titleLines(section.title);
+  if (section.subject) return titleLines(section.subject);
+  if (section.type === 'quote' && section.paragraphs?.length) return [quoteOpening(section.paragraphs[0])];
+  return [];
+};
+
+/**
+ * Build the table of contents
+ * @param {Array} sections - Book sections
+ * @param {Array} chapters - Chapter registry (`buildChapters`)
+ * @returns {Array<{ id: number, label: string, display: boolean,
+ *   entries: Array<{ index: number, id: string, type: string, lines: Array<string>, lang?: string }> }>}
+ */
+export function buildTableOfContents(sections, chapters) {
+  return chapters.map(chapter => ({
+    id: chapter.id,
+    label: chapter.label,
+    display: chapter.display,
+    entries: sections
+      .slice(chapter.firstSectionIndex, chapter.lastSectionIndex + 1)
+      .map((section, i) => ({
+        index: chapter.firstSectionIndex + i,
+        id: section.id,
+        type: section.type,
+        lines: entryLines(section),
+        lang: section.lang,
+      })),
+  }));
+}
@@ -0,0 +1,314 @@
+/**
+ * Annotations Hook
+ *
+ * Reader highlights and notes on the passages of a book (data/annotations.js):
+ * - Selecting text in one or more passages of a section offers the
+ *   highlight toolbar (`selection`); `create(color, { withNote })` turns the
+ *   selection into an annotation anchored to passage ids and offsets
+ * - Annotations are painted with the CSS Custom Highlight API (one
+ *   highlight per colour, plus an underline for those with a note), so the
+ *   rendered text is never touched
+ * - Clicking a highlight opens it for editing (`editing`)
+ * - The notebook lists them all (`isNotebookOpen`); `goTo(annotation)`
+ *   follows its passage permalink
+ * - Saved per book in localStorage; an annotation whose text no longer
+ *   matches its passage is re-found within the passage, or left unpainted
+ *   (the notebook still lists it)
+ *
+ * Only annotations made in the language a section is shown in are painted.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { ANNOTATION_COLORS, createAnnotationId, isAnnotation } from '../data/annotations';
+import { passageFragment, parseFragment } from '../data/permalinks';
+import { navigate } from './useRoute';
+
+// localStorage key prefix; the book slug follows
+const STORAGE_PREFIX = 'sja:annotations:';
+
+// Offer the toolbar once the selection has rested this long (ms)
+const SELECTION_DELAY = 250;
+
+// Not part of a passage's text: copy-link button, status, source notes
+const SKIP_SELECTOR = 'button, [popover], .passage-status';
+
+// Highlight names, styled with ::highlight() in AnnotationPopover.css
+const HIGHLIGHT_PREFIX = 'annotation-';
+const NOTE_HIGHLIGHT = 'annotation-note';
+
+const loadAnnotations = (slug) => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + slug));
+    return Array.isArray(stored) ? stored.filter(isAnnotation) : [];
+  } catch {
+    // Unavailable or unreadable storage: no annotations
+    return [];
+  }
+};
+
+const storeAnnotations = (slug, annotations) => {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + slug, JSON.stringify(annotations));
+  } catch {
+    // Not persisted; they last for this visit
+  }
+};
+
+// Text nodes of a passage's own text
+const textNodes = (passage) => {
+  const walker = document.createTreeWalker(passage, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => {
+      const skipped = node.parentElement.closest(SKIP_SELECTOR);
+      return skipped && passage.contains(skipped) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT;
+    },
+  });
+  const nodes = [];
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) nodes.push(node);
+  return nodes;
+};
+
+const passageText = (passage) => textNodes(passage).map(node => node.data).join('');
+
+// Character offset of a boundary point in a passage's text
+const pointToOffset = (passage, container, offset) => {
+  const boundary = document.createRange();
+  boundary.setStart(container, offset);
+  let total = 0;
+  for (const node of textNodes(passage)) {
+    if (node === container) return total + offset;
+    if (boundary.comparePoint(node, node.length) > 0) break; // ends after the boundary
+    total += node.length;
+  }
+  return total;
+};
+
+// Boundary point of a character offset in a passage's text
+const offsetToPoint = (passage, offset) => {
+  const nodes = textNodes(passage);
+  let total = 0;
+  for (const node of nodes) {
+    if (offset <= total + node.length) return { node, offset: offset - total };
+    total += node.length;
+  }
+  const last = nodes[nodes.length - 1];
+  return last ? { node: last, offset: last.length } : null;
+};
+
+// Text covered from `start` in the first passage to `end` in the last
+const coveredText = (passages, start, end) => passages
+  .map((passage, i) => {
+    const text = passageText(passage);
+    return text.slice(i === 0 ? start : 0, i === passages.length - 1 ? end : text.length).trim();
+  })
+  .filter(Boolean)
+  .join('\n\n');
+
+// Passages of a section from one passage to another, in reading order
+const passagesBetween = (main, sectionId, startId, endId) => {
+  const all = [...main.querySelectorAll('.passage[id]')];
+  const from = all.findIndex(element => element.id === passageFragment(sectionId, startId));
+  const to = all.findIndex(element => element.id === passageFragment(sectionId, endId));
+  return from === -1 || to < from ? [] : all.slice(from, to + 1);
+};
+
+// Annotation anchors of the current selection, within one section
+const readSelection = (main) => {
+  const selection = window.getSelection();
+  if (!selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+  const range = selection.getRangeAt(0);
+  if (!main.contains(range.commonAncestorContainer)) return null;
+
+  const touched = [...main.querySelectorAll('.passage[id]')].filter(element => range.intersectsNode(element));
+  if (touched.length === 0) return null;
+  const { sectionId } = parseFragment(`#${touched[0].id}`);
+  const passages = touched.filter(element => parseFragment(`#${element.id}`).sectionId === sectionId);
+  const first = passages[0];
+  const last = passages[passages.length - 1];
+
+  const start = first.contains(range.startContainer) ? pointToOffset(first, range.startContainer, range.startOffset) : 0;
+  const end = last.contains(range.endContainer)
+    ? pointToOffset(last, range.endContainer, range.endOffset)
+    : passageText(last).length;
+  const text = coveredText(passages, start, end);
+  if (!text) return null;
+
+  const rect = range.getBoundingClientRect();
+  return {
+    sectionId,
+    start: { passageId: parseFragment(`#${first.id}`).passageId, offset: start },
+    end: { passageId: parseFragment(`#${last.id}`).passageId, offset: end },
+    text,
+    position: { top: rect.top + window.scrollY, bottom: rect.bottom + window.scrollY, left: rect.left + rect.width / 2 },
+  };
+};
+
+// DOM range of an annotation, or null when its text is gone
+const annotationRange = (main, annotation) => {
+  const { sectionId, start, end } = annotation;
+  const passages = passagesBetween(main, sectionId, start.passageId, end.passageId);
+  if (passages.length === 0) return null;
+
+  let startOffset = start.offset;
+  let endOffset = end.offset;
+  if (coveredText(passages, startOffset, endOffset) !== annotation.text) {
+    // Edited passage: find the text again, within a single passage only
+    if (passages.length > 1) return null;
+    const found = passageText(passages[0]).indexOf(annotation.text);
+    if (found === -1) return null;
+    startOffset = found;
+    endOffset = found + annotation.text.length;
+  }
+
+  const from = offsetToPoint(passages[0], startOffset);
+  const to = offsetToPoint(passages[passages.length - 1], endOffset);
+  if (!from || !to) return null;
+  const range = document.createRange();
+  range.setStart(from.node, from.offset);
+  range.setEnd(to.node, to.offset);
+  return range;
+};
+
+const clearHighlights = () => {
+  const highlights = window.CSS?.highlights;
+  if (!highlights) return;
+  Object.keys(ANNOTATION_COLORS).forEach(color => highlights.delete(HIGHLIGHT_PREFIX + color));
+  highlights.delete(NOTE_HIGHLIGHT);
+};
+
+export const useAnnotations = (mainRef, sections, slug) => {
+  const [annotations, setAnnotations] = useState(() => loadAnnotations(slug));
+  const [selection, setSelection] = useState(null); // anchors + position while text is selected
+  const [editing, setEditing] = useState(null); // { id, position } while a highlight is open
+  const [isNotebookOpen, setIsNotebookOpen] = useState(false);
+  const rangesRef = useRef(new Map()); // id → painted DOM range
+
+  useEffect(() => {
+    storeAnnotations(slug, annotations);
+  }, [slug, annotations]);
+
+  // Paint
+  useEffect(() => {
+    const main = mainRef.current;
+    if (!main || !window.CSS?.highlights || !window.Highlight) return undefined;
+    const langs = new Map(sections.map(section => [section.id, section.lang]));
+    const byColor = {};
+    const noted = [];
+    rangesRef.current = new Map();
+
+    annotations.forEach(annotation => {
+      if (annotation.lang && langs.get(annotation.sectionId) !== annotation.lang) return;
+      const range = annotationRange(main, annotation);
+      if (!range) return;
+      rangesRef.current.set(annotation.id, range);
+      (byColor[annotation.color] = byColor[annotation.color] || []).push(range);
+      if (annotation.note) noted.push(range);
+    });
+
+    clearHighlights();
+    Object.entries(byColor).forEach(([color, ranges]) => {
+      window.CSS.highlights.set(HIGHLIGHT_PREFIX + color, new window.Highlight(...ranges));
+    });
+    if (noted.length > 0) window.CSS.highlights.set(NOTE_HIGHLIGHT, new window.Highlight(...noted));
+    return clearHighlights;
+  }, [mainRef, sections, annotations]);
+
+  // Selection toolbar and clicks on highlights
+  useEffect(() => {
+    const main = mainRef.current;
+    if (!main) return undefined;
+    let selectionTimeout = null;
+
+    const handleSelectionChange = () => {
+      clearTimeout(selectionTimeout);
+      selectionTimeout = setTimeout(() => setSelection(readSelection(main)), SELECTION_DELAY);
+    };
+
+    const handleClick = (e) => {
+      if (!window.getSelection().isCollapsed || e.target.closest(SKIP_SELECTOR)) return;
+      const caret = document.caretPositionFromPoint
+        ? document.caretPositionFromPoint(e.clientX, e.clientY)
+        : document.caretRangeFromPoint?.(e.clientX, e.clientY);
+      if (!caret) return;
+      const node = caret.offsetNode ?? caret.startContainer;
+      const offset = caret.offset ?? caret.startOffset;
+
+      for (const [id, range] of rangesRef.current) {
+        if (range.isPointInRange(node, offset)) {
+          const rect = range.getBoundingClientRect();
+          setEditing({
+            id,
+            position: { top: rect.top + window.scrollY, bottom: rect.bottom + window.scrollY, left: e.clientX },
+          });
+          return;
+        }
+      }
+    };
+
+    document.addEventListener('selectionchange', handleSelectionChange);
+    main.addEventListener('click', handleClick);
+    return () => {
+      clearTimeout(selectionTimeout);
+      document.removeEventListener('selectionchange', handleSelectionChange);
+      main.removeEventListener('click', handleClick);
+    };
+  }, [mainRef]);
+
+  const create = useCallback((color, { withNote = false } = {}) => {
+    if (!selection) return;
+    const now = Date.now();
+    const annotation = {
+      id: createAnnotationId(),
+      color,
+      note: '',
+      text: selection.text,
+      lang: sections.find(section => section.id === selection.sectionId)?.lang,
+      sectionId: selection.sectionId,
+      start: selection.start,
+      end: selection.end,
+      createdAt: now,
+      updatedAt: now,
+    };
+    setAnnotations(current => [...current, annotation]);
+    window.getSelection().removeAllRanges();
+    setSelection(null);
+    if (withNote) setEditing({ id: annotation.id, position: selection.position });
+  }, [selection, sections]);
+
+  const update = useCallback((id, changes) => {
+    setAnnotations(current => current.map(annotation => (
+      annotation.id === id ? { ...annotation, ...changes, updatedAt: Date.now() } : annotation
+    )));
+  }, []);
+
+  const remove = useCallback((id) => {
+    setAnnotations(current => current.filter(annotation => annotation.id !== id));
+    setEditing(current => (current && current.id === id ? null : current));
+  }, []);
+
+  const closeEditor = useCallback(() => setEditing(null), []);
+
+  const openNotebook = useCallback(() => {
+    setEditing(null);
+    setIsNotebookOpen(true);
+  }, []);
+
+  const closeNotebook = useCallback(() => setIsNotebookOpen(false), []);
+
+  const goTo = useCallback((annotation) => {
+    const path = `${window.location.pathname}#${passageFragment(annotation.sectionId, annotation.start.passageId)}`;
+    setIsNotebookOpen(false);
+    if (path === window.location.pathname + window.location.hash) {
+      // Already the URL: replay it so the page scrolls back to the passage
+      window.dispatchEvent(new PopStateEvent('popstate'));
+    } else {
+      navigate(path);
+    }
+  }, []);
+
+  return {
+    annotations, selection, editing, create, update, remove, closeEditor,
+    isNotebookOpen, openNotebook, closeNotebook, goTo,
+  };
+};
+
+export default useAnnotations;
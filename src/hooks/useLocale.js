@@ -0,0 +1,14 @@
+/**
+ * Locale Hook
+ * Returns `{ locale, t, setLocale }` from the nearest LocaleContext:
+ * - `locale`    active locale code (`en`, `de`, …)
+ * - `t`         UI string lookup: t('closeMenu'), t('missingBook', { slug })
+ * - `setLocale` switch locale, remember the choice and update the URL
+ */
+
+import { useContext } from 'react';
+import LocaleContext from '../i18n/LocaleContext';
+
+export const useLocale = () => useContext(LocaleContext);
+
+export default useLocale;
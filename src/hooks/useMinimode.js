@@ -0,0 +1,146 @@
+/**
+ * Minimode Hook
+ *
+ * Zoomed-out overview of the book ("minimode"):
+ * - Opened by pinching out (trackpad or touch), the `o` key or `open()`
+ *   (the tree icon); pinching back in, the key again or `close()` leave it
+ * - Drives the orchestrator's MINIMODE_SCALE / MINIMODE_Y springs; their
+ *   values come back through `onContentTransformUpdate` and are applied to
+ *   `#main` with `applyTransform`, zooming around the middle of the viewport
+ * - `close(index)` jumps to a section while zoomed out, then springs back
+ *   into reading mode there
+ *
+ * `paused` ignores the key and pinches (e.g. while the lightbox is open).
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import scrollAnimationOrchestrator from '../services/scrollAnimationOrchestrator';
+import navigationController from '../services/navigationController';
+
+const TOGGLE_KEY = 'o';
+
+// Touch pinch: fingers closing to this fraction of their distance open the
+// overview, spreading to its inverse closes it
+const PINCH_RATIO = 0.7;
+
+// Trackpad pinch (ctrl+wheel) travel that toggles the overview
+const WHEEL_PINCH_DISTANCE = 40;
+
+// One toggle per pinch: ignore the rest of the gesture for this long (ms)
+const PINCH_COOLDOWN = 500;
+
+export const useMinimode = (mainRef, { paused = false } = {}) => {
+  const [minimode, setMinimode] = useState(null); // { index } while open
+  const activeRef = useRef(false);
+  const pausedRef = useRef(paused);
+
+  useEffect(() => {
+    pausedRef.current = paused;
+  }, [paused]);
+
+  // Zoom around the middle of what is on screen now
+  const setOrigin = useCallback(() => {
+    if (!mainRef.current) return;
+    mainRef.current.style.transformOrigin = `50% ${window.scrollY + window.innerHeight / 2}px`;
+  }, [mainRef]);
+
+  const open = useCallback(() => {
+    if (activeRef.current) return;
+    activeRef.current = true;
+    setOrigin();
+    scrollAnimationOrchestrator.setMinimode(true);
+    setMinimode({ index: navigationController.getActiveIndex() });
+  }, [setOrigin]);
+
+  const close = useCallback((index = null) => {
+    if (!activeRef.current) return;
+    activeRef.current = false;
+    if (index !== null) {
+      navigationController.scrollToSection(index, { smooth: false });
+      setOrigin();
+    }
+    scrollAnimationOrchestrator.setMinimode(false);
+    setMinimode(null);
+  }, [setOrigin]);
+
+  // Spring values → transform of #main (none at rest, so sticky and fixed children behave)
+  const applyTransform = useCallback(({ scale, y }) => {
+    const main = mainRef.current;
+    if (!main) return;
+    main.style.transform = scale === 1 && y === 0 ? '' : `translateY(${y}px) scale(${scale})`;
+  }, [mainRef]);
+
+  // Key and pinch gestures
+  useEffect(() => {
+    let pinchStart = null; // touch distance at the start of a two-finger gesture
+    let wheelPinch = 0;
+    let cooldownUntil = 0;
+
+    const toggle = (zoomOut) => {
+      if (pausedRef.current || Date.now() < cooldownUntil) return;
+      if (zoomOut === activeRef.current) return;
+      cooldownUntil = Date.now() + PINCH_COOLDOWN;
+      if (zoomOut) open();
+      else close();
+    };
+
+    const handleKeyDown = (e) => {
+      if (pausedRef.current || e.key !== TOGGLE_KEY || e.metaKey || e.ctrlKey || e.altKey) return;
+      if (e.target instanceof Element && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+      if (activeRef.current) close();
+      else open();
+    };
+
+    // Trackpad pinches arrive as ctrl+wheel with fractional deltas; a mouse
+    // wheel with ctrl (browser zoom) moves in whole steps and is left alone
+    const handleWheel = (e) => {
+      if (pausedRef.current || !e.ctrlKey || Number.isInteger(e.deltaY)) return;
+      e.preventDefault();
+      wheelPinch += e.deltaY;
+      if (Math.abs(wheelPinch) >= WHEEL_PINCH_DISTANCE) {
+        toggle(wheelPinch > 0);
+        wheelPinch = 0;
+      }
+    };
+
+    const touchDistance = (touches) => Math.hypot(
+      touches[0].clientX - touches[1].clientX,
+      touches[0].clientY - touches[1].clientY
+    );
+
+    const handleTouchStart = (e) => {
+      pinchStart = e.touches.length === 2 ? touchDistance(e.touches) : null;
+    };
+
+    const handleTouchMove = (e) => {
+      if (!pinchStart || e.touches.length !== 2) return;
+      const ratio = touchDistance(e.touches) / pinchStart;
+      if (ratio < PINCH_RATIO) toggle(true);
+      else if (ratio > 1 / PINCH_RATIO) toggle(false);
+    };
+
+    const handleTouchEnd = (e) => {
+      if (e.touches.length < 2) pinchStart = null;
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('wheel', handleWheel, { passive: false });
+    window.addEventListener('touchstart', handleTouchStart, { passive: true });
+    window.addEventListener('touchmove', handleTouchMove, { passive: true });
+    window.addEventListener('touchend', handleTouchEnd, { passive: true });
+    window.addEventListener('touchcancel', handleTouchEnd, { passive: true });
+
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('wheel', handleWheel);
+      window.removeEventListener('touchstart', handleTouchStart);
+      window.removeEventListener('touchmove', handleTouchMove);
+      window.removeEventListener('touchend', handleTouchEnd);
+      window.removeEventListener('touchcancel', handleTouchEnd);
+    };
+  }, [open, close]);
+
+  return { minimode, open, close, applyTransform };
+};
+
+export default useMinimode;
@@ -0,0 +1,65 @@
+/**
+ * Navigation Hook
+ *
+ * React side of navigationController, which owns section geometry, the
+ * active section, wheel/key/touch input and every programmatic scroll:
+ * - With `sections` (MainContent), attaches the controller to the rendered
+ *   book for as long as it is mounted (in a layout effect, so the book is
+ *   measured before other layout effects scroll it); `mode` picks free,
+ *   snap, paged or book navigation, and `paused` hands wheel, keys and
+ *   touch back to the page (e.g. while a dialog is open) without detaching
+ * - Without, reads and drives the attached controller
+ * - Once the book is rendered anew for book mode or back, re-lays it out
+ *   (navigationController.layout)
+ *
+ * Returns { activeIndex, mode, pages, setMode, scrollToY, scrollToProgress,
+ * scrollToSection, scrollToPassage, scrollToElement, turn }; the scroll
+ * functions return a Promise of whether the scroll arrived (reader input
+ * interrupts it).
+ */
+
+import { useEffect, useLayoutEffect, useState } from 'react';
+import navigationController from '../services/navigationController';
+
+// Commands, the same functions on every render
+const commands = {
+  setMode: (mode) => navigationController.setMode(mode),
+  scrollToY: (top, options) => navigationController.scrollToY(top, options),
+  scrollToProgress: (progress, options) => navigationController.scrollToProgress(progress, options),
+  scrollToSection: (target, options) => navigationController.scrollToSection(target, options),
+  scrollToPassage: (sectionId, passageId, options) => navigationController.scrollToPassage(sectionId, passageId, options),
+  scrollToElement: (element, options) => navigationController.scrollToElement(element, options),
+  turn: (direction) => navigationController.turn(direction),
+};
+
+export const useNavigation = (sections = null, { mode = null, paused = false } = {}) => {
+  const [state, setState] = useState(() => navigationController.getState());
+
+  useEffect(() => {
+    setState(navigationController.getState());
+    return navigationController.subscribe(setState);
+  }, []);
+
+  useLayoutEffect(() => {
+    if (!sections) return undefined;
+    navigationController.attach(sections);
+    return () => navigationController.detach();
+  }, [sections]);
+
+  const isBook = state.mode === 'book';
+  useLayoutEffect(() => {
+    if (sections) navigationController.layout();
+  }, [sections, isBook]);
+
+  useEffect(() => {
+    if (sections) navigationController.setPaused(paused);
+  }, [sections, paused]);
+
+  useEffect(() => {
+    if (sections && mode) navigationController.setMode(mode);
+  }, [sections, mode]);
+
+  return { ...state, ...commands };
+};
+
+export default useNavigation;
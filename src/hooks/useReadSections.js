@@ -0,0 +1,86 @@
+/**
+ * Read Sections Hook
+ *
+ * Which sections of a book have been read, for the table of contents:
+ * - A section counts as read once its end is in view while its top is at or
+ *   above the middle of the viewport (jumping past it does not count)
+ * - Remembered per book in localStorage, so the state survives reloads
+ * - Also reports the section under the middle of the viewport (`current`)
+ * - In book mode only the pages on screen count, each scrolled on its own
+ */
+
+import { useEffect, useState } from 'react';
+import navigationController from '../services/navigationController';
+
+// localStorage key prefix; the book slug follows
+const STORAGE_PREFIX = 'sja:read:';
+
+const loadRead = (slug) => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + slug));
+    return new Set(Array.isArray(stored) ? stored : []);
+  } catch {
+    // Unavailable or unreadable storage: start unread
+    return new Set();
+  }
+};
+
+const storeRead = (slug, read) => {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + slug, JSON.stringify([...read]));
+  } catch {
+    // Not persisted; the state still holds for this visit
+  }
+};
+
+export const useReadSections = (sections, slug) => {
+  const [read, setRead] = useState(() => loadRead(slug));
+  const [current, setCurrent] = useState(0);
+
+  useEffect(() => {
+    let frame = null;
+
+    const update = () => {
+      frame = null;
+      const center = window.innerHeight / 2;
+      const seen = [];
+      let visible = -1;
+
+      sections.forEach((section, index) => {
+        const element = document.getElementById(section.id);
+        if (!element) return;
+        const rect = element.getBoundingClientRect();
+        if (rect.right <= 0 || rect.left >= window.innerWidth) return;
+        if (rect.top <= center && rect.bottom > 0 && rect.bottom <= window.innerHeight) seen.push(section.id);
+        if (visible === -1 && rect.top <= center && rect.bottom > center) visible = index;
+      });
+
+      if (visible !== -1) setCurrent(visible);
+      setRead(previous => {
+        if (seen.every(id => previous.has(id))) return previous;
+        const next = new Set([...previous, ...seen]);
+        storeRead(slug, next);
+        return next;
+      });
+    };
+
+    const handleScroll = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    };
+
+    update();
+    // A book-mode page scrolling within itself only reaches a capturing
+    // listener; its page turns come from the controller
+    window.addEventListener('scroll', handleScroll, { capture: true, passive: true });
+    const unsubscribe = navigationController.subscribe(handleScroll);
+    return () => {
+      unsubscribe();
+      window.removeEventListener('scroll', handleScroll, { capture: true });
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, [sections, slug]);
+
+  return { read, current };
+};
+
+export default useReadSections;
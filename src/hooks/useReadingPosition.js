@@ -0,0 +1,158 @@
+/**
+ * Reading Position Hook
+ *
+ * Remembers where the reader was in each book and offers to go back there:
+ * - When scrolling comes to rest past the first section, saves the passage
+ *   (or, without one, the section) at the reading line, how far into it
+ *   the reading line is, and a timestamp, in localStorage per book
+ * - Positions are anchored to section and passage ids (data/permalinks.js),
+ *   not pixels, so they survive edits elsewhere in the book; a reworded
+ *   passage falls back to the start of its section, a removed section
+ *   drops the position
+ * - Opening the book without a fragment offers `resume` ({ label }) while
+ *   the reader is still on the first section; `continueReading()` springs
+ *   to the saved spot through navigationController (turning to its page in
+ *   book mode)
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import navigationController from '../services/navigationController';
+import { passageFragment, parseFragment } from '../data/permalinks';
+import { getChapterForSection } from '../data/chapters';
+import { titleLines } from '../data/toc';
+
+// localStorage key prefix; the book slug follows
+const STORAGE_PREFIX = 'sja:position:';
+
+// Save once scrolling has rested this long (ms)
+const SAVE_DELAY = 500;
+
+// Reading line: this far down the viewport (fraction of its height)
+const READING_LINE = 0.25;
+
+const loadPosition = (slug) => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + slug));
+    return stored && typeof stored.sectionId === 'string' ? stored : null;
+  } catch {
+    // Unavailable or unreadable storage: nothing to resume
+    return null;
+  }
+};
+
+const storePosition = (slug, position) => {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + slug, JSON.stringify(position));
+  } catch {
+    // Not persisted; the next visit starts at the top
+  }
+};
+
+// Section, passage and offset at the reading line
+const measurePosition = (sections) => {
+  const line = window.innerHeight * READING_LINE;
+  const sectionIndex = sections.findIndex(section => {
+    const rect = document.getElementById(section.id)?.getBoundingClientRect();
+    // (pages of book mode beside the screen are level with it too)
+    return rect && rect.top <= line && rect.bottom > line && rect.right > 0 && rect.left < window.innerWidth;
+  });
+  if (sectionIndex === -1) return null;
+
+  const sectionElement = document.getElementById(sections[sectionIndex].id);
+  const passages = [...sectionElement.querySelectorAll('.passage[id]')];
+  const passage = passages.filter(element => element.getBoundingClientRect().top <= line).pop();
+  const anchor = passage || sectionElement;
+  const rect = anchor.getBoundingClientRect();
+
+  return {
+    sectionIndex,
+    sectionId: sections[sectionIndex].id,
+    passageId: passage ? parseFragment(`#${passage.id}`).passageId : null,
+    offset: Math.min(1, Math.max(0, (line - rect.top) / rect.height)),
+  };
+};
+
+// Element of a saved position, and where it goes (px below the top of the
+// viewport) to put the position back at the reading line
+const positionTarget = ({ sectionId, passageId, offset }) => {
+  const passage = passageId && document.getElementById(passageFragment(sectionId, passageId));
+  const anchor = passage || document.getElementById(sectionId);
+  if (!anchor) return null;
+  // A reworded passage is gone: start of its section, not the old offset into it
+  const into = passage || !passageId ? offset * anchor.getBoundingClientRect().height : 0;
+  return { element: anchor, offset: window.innerHeight * READING_LINE - into };
+};
+
+// Name of a section for the prompt: its title, else its chapter
+const sectionLabel = (sections, chapters, index) => {
+  const section = sections[index];
+  if (section.title) return titleLines(section.title).join(' ');
+  const chapter = getChapterForSection(chapters, index);
+  return chapter && chapter.display ? chapter.label : '';
+};
+
+export const useReadingPosition = (sections, chapters, slug) => {
+  const [saved] = useState(() => loadPosition(slug));
+  const [resume, setResume] = useState(null); // { label } while offered
+
+  // Offer the saved position when the book opens at the top
+  useEffect(() => {
+    if (!saved || window.location.hash) return;
+    const index = sections.findIndex(section => section.id === saved.sectionId);
+    if (index <= 0) return;
+    setResume({ label: sectionLabel(sections, chapters, index) });
+  }, [saved, sections, chapters]);
+
+  // Save where scrolling comes to rest; withdraw the offer once reading starts
+  useEffect(() => {
+    let saveTimeout = null;
+
+    const save = () => {
+      const position = measurePosition(sections);
+      if (!position || position.sectionIndex === 0) return;
+      setResume(null);
+      storePosition(slug, {
+        sectionId: position.sectionId,
+        passageId: position.passageId,
+        offset: position.offset,
+        savedAt: Date.now(),
+      });
+    };
+
+    const handleScroll = () => {
+      clearTimeout(saveTimeout);
+      saveTimeout = setTimeout(save, SAVE_DELAY);
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        clearTimeout(saveTimeout);
+        save();
+      }
+    };
+
+    // Captured: the pages of book mode scroll themselves, and turn without scrolling
+    window.addEventListener('scroll', handleScroll, { capture: true, passive: true });
+    const unsubscribe = navigationController.subscribe(handleScroll);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      clearTimeout(saveTimeout);
+      unsubscribe();
+      window.removeEventListener('scroll', handleScroll, { capture: true });
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [sections, slug]);
+
+  const continueReading = useCallback(() => {
+    setResume(null);
+    const target = saved && positionTarget(saved);
+    if (!target) return;
+    navigationController.scrollToElement(target.element, { offset: target.offset });
+  }, [saved]);
+
+  const dismiss = useCallback(() => setResume(null), []);
+
+  return { resume, continueReading, dismiss };
+};
+
+export default useReadingPosition;
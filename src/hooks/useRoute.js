@@ -0,0 +1,116 @@
+/**
+ * Route Hook
+ *
+ * Minimal History API router for the two app routes:
+ * - `/`            → library (all books)
+ * - `/book/:slug`  → one book
+ *
+ * Either may carry a locale prefix (`/de`, `/de/book/:slug`); without one
+ * the locale is detected (see i18n/locales.js).
+ *
+ * Deep paths are served by the SPA rewrite in vercel.json. The fragment
+ * names the section being read (see useSectionHistory.js).
+ */
+
+import { useEffect, useState } from 'react';
+import { LOCALES, DEFAULT_LOCALE } from '../i18n/locales';
+
+const LOCALE_PREFIX_PATTERN = /^\/([a-z]{2,3})(?=\/|$)/;
+const BOOK_PATH_PATTERN = /^\/book\/([^/]+)\/?$/;
+
+/**
+ * Split a supported locale prefix off a pathname
+ * @param {string} pathname - e.g. `/de/book/make-something-wonderful`
+ * @returns {{ locale: string|null, path: string }}
+ */
+function splitLocale(pathname) {
+  const match = pathname.match(LOCALE_PREFIX_PATTERN);
+  if (match && match[1] in LOCALES) {
+    return { locale: match[1], path: pathname.slice(match[0].length) || '/' };
+  }
+  return { locale: null, path: pathname };
+}
+
+/**
+ * Parse a pathname into a route
+ * @param {string} pathname - e.g. `/book/make-something-wonderful`
+ * @returns {{ name: 'library', locale: string|null } |
+ *   { name: 'book', slug: string, locale: string|null }}
+ */
+export function parseRoute(pathname) {
+  const { locale, path } = splitLocale(pathname);
+  const match = path.match(BOOK_PATH_PATTERN);
+  if (match) {
+    let slug = match[1];
+    try {
+      slug = decodeURIComponent(slug);
+    } catch {
+      // Malformed escapes (`/book/%`): no book has this slug, so it is shown
+      // as unknown
+    }
+    return { name: 'book', slug, locale };
+  }
+  return { name: 'library', locale };
+}
+
+/**
+ * Add (or replace) the locale prefix of a path
+ * The default locale is left unprefixed
+ * @param {string} pathname - Path with or without a prefix
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+export function localizePath(pathname, locale) {
+  const { path } = splitLocale(pathname);
+  if (locale === DEFAULT_LOCALE) return path;
+  return path === '/' ? `/${locale}` : `/${locale}${path}`;
+}
+
+/**
+ * Build the path for a book
+ * @param {string} slug - Book slug
+ * @param {string} [locale] - Locale code; the default locale has no prefix
+ * @returns {string}
+ */
+export function bookPath(slug, locale = DEFAULT_LOCALE) {
+  return localizePath(`/book/${encodeURIComponent(slug)}`, locale);
+}
+
+/**
+ * Navigate to a path without reloading the page
+ * @param {string} path - Target path, optionally with a `#section` fragment
+ */
+export function navigate(path) {
+  if (path === window.location.pathname + window.location.hash) return;
+  window.history.pushState({}, '', path);
+  window.dispatchEvent(new PopStateEvent('popstate'));
+}
+
+/**
+ * Click handler for internal links: keeps modified clicks (new tab etc.) native
+ * @param {MouseEvent} e - Click event on an <a href>
+ */
+export function handleLinkClick(e) {
+  if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+    return;
+  }
+  e.preventDefault();
+  navigate(e.currentTarget.getAttribute('href'));
+}
+
+export const useRoute = () => {
+  const [route, setRoute] = useState(() => parseRoute(window.location.pathname));
+
+  useEffect(() => {
+    const handlePopState = () => {
+      setRoute(parseRoute(window.location.pathname));
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  return route;
+};
+
+export default useRoute;
@@ -0,0 +1,126 @@
+/**
+ * Search Hook
+ *
+ * Opens and closes the search panel and takes the reader to a result:
+ * - `/` or Ctrl/⌘+K opens the panel (unless `paused`, e.g. while the
+ *   lightbox is open)
+ * - The index (data/search.js) covers every book in the interface locale;
+ *   it is built the first time the panel opens and kept per locale
+ * - `select(result)` goes to the result's paragraph through its permalink
+ *   fragment (another book opens at it), then highlights the matched words
+ *   with the CSS Custom Highlight API until the next search
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { getBooks } from '../data/content';
+import { buildSearchIndex, normalizeText, tokenize } from '../data/search';
+import { passageFragment } from '../data/permalinks';
+import { bookPath, navigate } from './useRoute';
+
+// Name of the highlight styled with `::highlight(search-match)`
+const HIGHLIGHT_NAME = 'search-match';
+
+// Locale → search index
+const indexes = new Map();
+
+// Highlight waiting for its book to render: { fragment, terms }
+let pendingHighlight = null;
+
+const getIndex = (locale) => {
+  if (!indexes.has(locale)) indexes.set(locale, buildSearchIndex(getBooks(locale)));
+  return indexes.get(locale);
+};
+
+const clearHighlight = () => {
+  window.CSS?.highlights?.delete(HIGHLIGHT_NAME);
+};
+
+// Highlight every word of `terms` inside an element
+const highlightTerms = (element, terms) => {
+  if (!window.CSS?.highlights || !window.Highlight) return;
+  const wanted = new Set(terms);
+  const ranges = [];
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const { text, map } = normalizeText(node.data);
+    tokenize(text).forEach(({ term, start, end }) => {
+      if (!wanted.has(term)) return;
+      const range = document.createRange();
+      range.setStart(node, map[start]);
+      range.setEnd(node, map[end - 1] + 1);
+      ranges.push(range);
+    });
+  }
+
+  window.CSS.highlights.set(HIGHLIGHT_NAME, new window.Highlight(...ranges));
+};
+
+// Apply the pending highlight once its element is on the page
+const applyPendingHighlight = () => {
+  if (!pendingHighlight) return;
+  const element = document.getElementById(pendingHighlight.fragment);
+  if (!element) return;
+  highlightTerms(element, pendingHighlight.terms);
+  pendingHighlight = null;
+};
+
+export const useSearch = (slug, locale, { paused = false } = {}) => {
+  const [index, setIndex] = useState(null); // built on first open
+  const [isOpen, setIsOpen] = useState(false);
+  const pausedRef = useRef(paused);
+
+  useEffect(() => {
+    pausedRef.current = paused;
+  }, [paused]);
+
+  const open = useCallback(() => {
+    clearHighlight();
+    setIndex(getIndex(locale));
+    setIsOpen(true);
+  }, [locale]);
+
+  const close = useCallback(() => setIsOpen(false), []);
+
+  const select = useCallback((result) => {
+    const { document: match, terms } = result;
+    const fragment = match.passageId ? passageFragment(match.sectionId, match.passageId) : match.sectionId;
+    const path = `${bookPath(match.slug, locale)}#${fragment}`;
+
+    setIsOpen(false);
+    pendingHighlight = { fragment, terms };
+    if (path === window.location.pathname + window.location.hash) {
+      // Already the URL: replay it so the page scrolls back to the passage
+      window.dispatchEvent(new PopStateEvent('popstate'));
+    } else {
+      navigate(path);
+    }
+    if (match.slug === slug) applyPendingHighlight();
+  }, [slug, locale]);
+
+  // A result in another book is highlighted once that book has rendered
+  useEffect(() => {
+    applyPendingHighlight();
+    return clearHighlight;
+  }, []);
+
+  // Keyboard shortcuts
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (pausedRef.current || isOpen) return;
+      const isShortcut = (e.key === 'k' && (e.metaKey || e.ctrlKey))
+        || (e.key === '/' && !e.metaKey && !e.ctrlKey && !e.altKey);
+      if (!isShortcut) return;
+      if (e.target instanceof Element && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+      e.preventDefault();
+      open();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, open]);
+
+  return { isOpen, index, open, close, select };
+};
+
+export default useSearch;
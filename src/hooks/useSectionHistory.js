@@ -0,0 +1,141 @@
+/**
+ * Section History Hook
+ *
+ * Keeps the URL fragment in sync with the section being read, so every
+ * section can be linked to (`/book/<slug>#preface`), and opens passage
+ * permalinks (`#preface/p1x8k2f`, see data/permalinks.js):
+ * - On mount, lands on the element named by the fragment (or the top of
+ *   the book) in a layout effect, before the first frame is painted; a
+ *   passage is placed near the top of the viewport, inside its section,
+ *   and briefly highlighted
+ * - When scrolling (or turning pages, in book mode) comes to rest on another
+ *   section, pushes `#<id>` (the first section is the bare book URL), so
+ *   back/forward step through the sections visited
+ * - On back/forward, scrolls to the section or passage of the new fragment
+ *   (a passage is highlighted once the scroll arrives)
+ *
+ * Fragments that are not section ids (footnote anchors) are left to the browser.
+ */
+
+import { useEffect, useLayoutEffect } from 'react';
+import navigationController from '../services/navigationController';
+import { parseFragment, passageFragment } from '../data/permalinks';
+import { COLORS, EASING } from '../config/animationConfig';
+
+// Push once scrolling has rested this long (skips sections passed on the way)
+const SETTLE_DELAY = 300;
+
+// Highlight of a linked passage: holds, then fades out (ms)
+const FLASH_DURATION = 2400;
+
+/**
+ * Element a fragment points at: a passage, a section or another anchor
+ * @returns {{ element: Element|null, sectionId: string, passageId: string|null }}
+ */
+const findTarget = (hash) => {
+  const { sectionId, passageId } = parseFragment(hash);
+  if (!sectionId) return { element: null, sectionId, passageId: null };
+  const id = passageId ? passageFragment(sectionId, passageId) : sectionId;
+  return { element: document.getElementById(id), sectionId, passageId };
+};
+
+const flashPassage = (element) => {
+  element.animate(
+    [
+      { backgroundColor: COLORS.HIGHLIGHT_YELLOW },
+      { backgroundColor: COLORS.HIGHLIGHT_YELLOW, offset: 0.5 },
+      { backgroundColor: 'transparent' },
+    ],
+    { duration: FLASH_DURATION, easing: EASING.LOVEFROM }
+  );
+};
+
+/**
+ * URL fragment for a section
+ * @param {Array} sections - Book sections
+ * @param {number} index - Section index
+ * @returns {string} - `#<id>`, or '' for the first section
+ */
+export function sectionHash(sections, index) {
+  return index > 0 ? `#${encodeURIComponent(sections[index].id)}` : '';
+}
+
+/**
+ * Index of the section named by a URL fragment
+ * @param {Array} sections - Book sections
+ * @param {string} hash - `window.location.hash`
+ * @returns {number} - Section index; 0 without a fragment, -1 when it names no section
+ */
+export function findSectionIndex(sections, hash) {
+  const { sectionId } = parseFragment(hash);
+  if (sectionId === '') return 0;
+  return sections.findIndex(section => section.id === sectionId);
+}
+
+export const useSectionHistory = (sections) => {
+  // Land on the linked section before the first paint
+  useLayoutEffect(() => {
+    const previousRestoration = window.history.scrollRestoration;
+    window.history.scrollRestoration = 'manual';
+
+    const { element, sectionId, passageId } = findTarget(window.location.hash);
+    if (element && passageId) {
+      navigationController.scrollToPassage(sectionId, passageId, { smooth: false });
+      flashPassage(element);
+    } else if (element) {
+      navigationController.scrollToElement(element, { smooth: false });
+    } else {
+      navigationController.scrollToSection(0, { smooth: false });
+    }
+
+    return () => {
+      window.history.scrollRestoration = previousRestoration;
+    };
+  }, [sections]);
+
+  useEffect(() => {
+    let settleTimeout = null;
+
+    const handleScroll = () => {
+      clearTimeout(settleTimeout);
+      settleTimeout = setTimeout(() => {
+        const index = navigationController.getActiveIndex();
+        if (index === findSectionIndex(sections, window.location.hash)) return;
+
+        const { pathname, search } = window.location;
+        window.history.pushState(window.history.state, '', `${pathname}${search}${sectionHash(sections, index)}`);
+      }, SETTLE_DELAY);
+    };
+
+    // Back/forward between visited sections and passages
+    const handlePopState = () => {
+      const index = findSectionIndex(sections, window.location.hash);
+      if (index === -1) return;
+      clearTimeout(settleTimeout);
+
+      // The passage lights up once it has arrived
+      const { element, sectionId, passageId } = findTarget(window.location.hash);
+      if (element && passageId) {
+        navigationController.scrollToPassage(sectionId, passageId).then(arrived => {
+          if (arrived) flashPassage(element);
+        });
+      } else {
+        navigationController.scrollToSection(index);
+      }
+    };
+
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    window.addEventListener('popstate', handlePopState);
+    // Page turns move no scrollbar
+    const unsubscribe = navigationController.subscribe(handleScroll);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('scroll', handleScroll);
+      window.removeEventListener('popstate', handlePopState);
+      clearTimeout(settleTimeout);
+    };
+  }, [sections]);
+};
+
+export default useSectionHistory;
@@ -0,0 +1,16 @@
+/**
+ * Locale Context
+ * Provided by App with the active locale; read it with useLocale().
+ */
+
+import { createContext } from 'react';
+import { DEFAULT_LOCALE } from './locales.js';
+import { translate } from './messages.js';
+
+const LocaleContext = createContext({
+  locale: DEFAULT_LOCALE,
+  t: (key, params) => translate(DEFAULT_LOCALE, key, params),
+  setLocale: () => {},
+});
+
+export default LocaleContext;
@@ -0,0 +1,79 @@
+/**
+ * Locales
+ * Supported interface/content locales and how the active one is chosen.
+ *
+ * Each locale sets the document `lang`/`dir`, the quote marks used when
+ * typesetting text (see typography.js) and whether paragraphs hyphenate.
+ *
+ * Pure module: it is also imported by the content schema at build time,
+ * so browser APIs are only touched inside functions.
+ */
+
+export const LOCALES = {
+  en: { name: 'English', dir: 'ltr', quotes: ['“', '”', '‘', '’'], hyphenate: false },
+  de: { name: 'Deutsch', dir: 'ltr', quotes: ['„', '“', '‚', '‘'], hyphenate: true },
+  // French guillemets are set off with a narrow no-break space
+  fr: { name: 'Français', dir: 'ltr', quotes: ['«\u202F', '\u202F»', '“', '”'], hyphenate: true },
+  ar: { name: 'العربية', dir: 'rtl', quotes: ['«', '»', '“', '”'], hyphenate: false },
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+// localStorage key for an explicit choice made in the language switcher
+const STORAGE_KEY = 'sja:locale';
+
+/**
+ * Get the settings of a locale, falling back to the default
+ * @param {string} code - Locale code
+ * @returns {Object}
+ */
+export function getLocale(code) {
+  return LOCALES[code] || LOCALES[DEFAULT_LOCALE];
+}
+
+/**
+ * Match a BCP 47 tag against the supported locales
+ * @param {string} tag - e.g. `de-AT`
+ * @returns {string|null} - Supported locale code (`de`) or null
+ */
+export function matchLocale(tag) {
+  if (!tag) return null;
+  const language = tag.toLowerCase().split('-')[0];
+  return language in LOCALES ? language : null;
+}
+
+/**
+ * Pick the locale for a URL without a locale prefix
+ * Order: stored choice → browser languages → default
+ * @returns {string}
+ */
+export function detectLocale() {
+  try {
+    const stored = matchLocale(window.localStorage.getItem(STORAGE_KEY));
+    if (stored) return stored;
+  } catch {
+    // Storage can be unavailable (privacy mode); fall through
+  }
+
+  const languages = navigator.languages && navigator.languages.length > 0
+    ? navigator.languages
+    : [navigator.language];
+
+  for (const tag of languages) {
+    const match = matchLocale(tag);
+    if (match) return match;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Remember an explicit locale choice
+ * @param {string} code - Locale code
+ */
+export function storeLocale(code) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, code);
+  } catch {
+    // Not persisted; the URL prefix still carries the choice
+  }
+}
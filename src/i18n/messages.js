@@ -0,0 +1,414 @@
+/**
+ * UI Messages
+ * Interface strings per locale. Book text is translated in the content
+ * files instead (see plugins/markdownBook.js).
+ *
+ * `{name}` placeholders are filled from the params passed to `translate`.
+ */
+
+import { DEFAULT_LOCALE } from './locales.js';
+
+export const MESSAGES = {
+  en: {
+    goToTop: 'Go to top',
+    home: 'Home',
+    menu: 'Menu',
+    closeMenu: 'Close menu',
+    library: 'Library',
+    language: 'Language',
+    missingBook: 'There is no book called {slug}. Choose one below.',
+    sources: 'Sources',
+    sourceNote: 'Source {number}',
+    originalSource: 'Original',
+    allSources: 'All sources',
+    backToText: 'Back to text',
+    'medium.speech': 'Speech',
+    'medium.email': 'Email',
+    'medium.interview': 'Interview',
+    'medium.oral-history': 'Oral history',
+    'medium.letter': 'Letter',
+    'medium.memo': 'Memo',
+    'medium.video': 'Video',
+    'medium.article': 'Article',
+    'medium.book': 'Book',
+    emailFrom: 'From',
+    emailTo: 'To',
+    emailCc: 'Cc',
+    emailDate: 'Date',
+    emailSubject: 'Subject',
+    openImage: 'Enlarge image',
+    closeImage: 'Close',
+    previousImage: 'Previous image',
+    nextImage: 'Next image',
+    imagePosition: '{index} of {count}',
+    playFrom: 'Play from {time}',
+    mediaUnsupported: 'This browser cannot play the recording.',
+    copyLink: 'Copy link to this passage',
+    linkCopied: 'Link copied',
+    overview: 'Overview',
+    closeOverview: 'Back to reading',
+    bookView: 'Book view',
+    pageStrip: 'Pages',
+    pageNumber: 'Page {number}',
+    pageCount: '{pages} of {count}',
+    previousPage: 'Previous page',
+    nextPage: 'Next page',
+    contents: 'Contents',
+    closeContents: 'Close contents',
+    sectionRead: 'Read',
+    sectionUnread: 'Unread',
+    'pageType.cover': 'Cover',
+    'pageType.quote': 'Quote',
+    'pageType.text': 'Text',
+    'pageType.title': 'Title page',
+    'pageType.image': 'Photographs',
+    'pageType.part': 'Part',
+    'pageType.email': 'Email',
+    'pageType.media': 'Recording',
+    'pageType.sources': 'Sources',
+    search: 'Search',
+    searchPlaceholder: 'Search the archive',
+    searchHint: 'Use "quotes" for an exact phrase',
+    searchResults: 'Results: {count}',
+    noResults: 'Nothing found for “{query}”',
+    closeSearch: 'Close search',
+    'searchField.caption': 'Caption',
+    'searchField.alt': 'Image description',
+    resumeFrom: 'Continue reading from {place}',
+    resumeReading: 'Continue reading',
+    dismiss: 'Dismiss',
+    highlight: 'Highlight',
+    'highlightColor.yellow': 'Highlight in yellow',
+    'highlightColor.blue': 'Highlight in blue',
+    addNote: 'Add note',
+    editHighlight: 'Edit highlight',
+    note: 'Note',
+    notePlaceholder: 'Add a note…',
+    deleteHighlight: 'Delete',
+    done: 'Done',
+    notebook: 'Notebook',
+    closeNotebook: 'Close notebook',
+    notebookEmpty: 'Select text in the book to highlight it or add a note. Your highlights are kept on this device.',
+    exportMarkdown: 'Export Markdown',
+    exportJson: 'Export JSON',
+    goToHighlight: 'Go to passage',
+    notebookAttribution: 'Highlights and notes from *{title}*, Steve Jobs Archive. Exported {date}.',
+    notebookLink: 'Open in the archive',
+    notebookMissing: 'No longer in the book',
+    notebookUntitled: 'Beginning',
+    quoteCard: 'Quote card',
+    closeQuoteCard: 'Close quote card',
+    cardFormat: 'Format',
+    'cardFormat.square': 'Square',
+    'cardFormat.story': 'Story',
+    'cardFormat.landscape': 'Landscape',
+    cardPhoto: 'Cover photo',
+    downloadPng: 'Download PNG',
+    downloadSvg: 'Download SVG',
+  },
+  de: {
+    goToTop: 'Nach oben',
+    home: 'Startseite',
+    menu: 'Menü',
+    closeMenu: 'Menü schließen',
+    library: 'Bibliothek',
+    language: 'Sprache',
+    missingBook: 'Es gibt kein Buch namens {slug}. Wähle unten eines aus.',
+    sources: 'Quellen',
+    sourceNote: 'Quelle {number}',
+    originalSource: 'Original',
+    allSources: 'Alle Quellen',
+    backToText: 'Zurück zum Text',
+    'medium.speech': 'Rede',
+    'medium.email': 'E-Mail',
+    'medium.interview': 'Interview',
+    'medium.oral-history': 'Zeitzeugeninterview',
+    'medium.letter': 'Brief',
+    'medium.memo': 'Memo',
+    'medium.video': 'Video',
+    'medium.article': 'Artikel',
+    'medium.book': 'Buch',
+    emailFrom: 'Von',
+    emailTo: 'An',
+    emailCc: 'Kopie',
+    emailDate: 'Datum',
+    emailSubject: 'Betreff',
+    openImage: 'Bild vergrößern',
+    closeImage: 'Schließen',
+    previousImage: 'Vorheriges Bild',
+    nextImage: 'Nächstes Bild',
+    imagePosition: '{index} von {count}',
+    playFrom: 'Ab {time} abspielen',
+    mediaUnsupported: 'Dieser Browser kann die Aufnahme nicht abspielen.',
+    copyLink: 'Link zu dieser Passage kopieren',
+    linkCopied: 'Link kopiert',
+    overview: 'Übersicht',
+    closeOverview: 'Zurück zum Lesen',
+    bookView: 'Buchansicht',
+    pageStrip: 'Seiten',
+    pageNumber: 'Seite {number}',
+    pageCount: '{pages} von {count}',
+    previousPage: 'Vorherige Seite',
+    nextPage: 'Nächste Seite',
+    contents: 'Inhalt',
+    closeContents: 'Inhalt schließen',
+    sectionRead: 'Gelesen',
+    sectionUnread: 'Ungelesen',
+    'pageType.cover': 'Titelbild',
+    'pageType.quote': 'Zitat',
+    'pageType.text': 'Text',
+    'pageType.title': 'Titelseite',
+    'pageType.image': 'Fotos',
+    'pageType.part': 'Teil',
+    'pageType.email': 'E-Mail',
+    'pageType.media': 'Aufnahme',
+    'pageType.sources': 'Quellen',
+    search: 'Suche',
+    searchPlaceholder: 'Im Archiv suchen',
+    searchHint: '„Anführungszeichen“ für eine genaue Wortfolge',
+    searchResults: 'Treffer: {count}',
+    noResults: 'Keine Treffer für „{query}“',
+    closeSearch: 'Suche schließen',
+    'searchField.caption': 'Bildunterschrift',
+    'searchField.alt': 'Bildbeschreibung',
+    resumeFrom: 'Weiterlesen ab {place}',
+    resumeReading: 'Weiterlesen',
+    dismiss: 'Ausblenden',
+    highlight: 'Markieren',
+    'highlightColor.yellow': 'Gelb markieren',
+    'highlightColor.blue': 'Blau markieren',
+    addNote: 'Notiz hinzufügen',
+    editHighlight: 'Markierung bearbeiten',
+    note: 'Notiz',
+    notePlaceholder: 'Notiz hinzufügen …',
+    deleteHighlight: 'Löschen',
+    done: 'Fertig',
+    notebook: 'Notizbuch',
+    closeNotebook: 'Notizbuch schließen',
+    notebookEmpty: 'Markiere Text im Buch, um ihn hervorzuheben oder eine Notiz hinzuzufügen. Deine Markierungen bleiben auf diesem Gerät.',
+    exportMarkdown: 'Als Markdown exportieren',
+    exportJson: 'Als JSON exportieren',
+    goToHighlight: 'Zur Textstelle',
+    notebookAttribution: 'Markierungen und Notizen aus *{title}*, Steve Jobs Archive. Exportiert am {date}.',
+    notebookLink: 'Im Archiv öffnen',
+    notebookMissing: 'Nicht mehr im Buch',
+    notebookUntitled: 'Anfang',
+    quoteCard: 'Zitatkarte',
+    closeQuoteCard: 'Zitatkarte schließen',
+    cardFormat: 'Format',
+    'cardFormat.square': 'Quadrat',
+    'cardFormat.story': 'Story',
+    'cardFormat.landscape': 'Querformat',
+    cardPhoto: 'Titelfoto',
+    downloadPng: 'PNG herunterladen',
+    downloadSvg: 'SVG herunterladen',
+  },
+  fr: {
+    goToTop: 'Revenir en haut',
+    home: 'Accueil',
+    menu: 'Menu',
+    closeMenu: 'Fermer le menu',
+    library: 'Bibliothèque',
+    language: 'Langue',
+    missingBook: 'Aucun livre ne s’appelle {slug}. Choisissez-en un ci-dessous.',
+    sources: 'Sources',
+    sourceNote: 'Source {number}',
+    originalSource: 'Original',
+    allSources: 'Toutes les sources',
+    backToText: 'Retour au texte',
+    'medium.speech': 'Discours',
+    'medium.email': 'E-mail',
+    'medium.interview': 'Entretien',
+    'medium.oral-history': 'Histoire orale',
+    'medium.letter': 'Lettre',
+    'medium.memo': 'Note interne',
+    'medium.video': 'Vidéo',
+    'medium.article': 'Article',
+    'medium.book': 'Livre',
+    emailFrom: 'De',
+    emailTo: 'À',
+    emailCc: 'Cc',
+    emailDate: 'Date',
+    emailSubject: 'Objet',
+    openImage: 'Agrandir l’image',
+    closeImage: 'Fermer',
+    previousImage: 'Image précédente',
+    nextImage: 'Image suivante',
+    imagePosition: '{index} sur {count}',
+    playFrom: 'Lire à partir de {time}',
+    mediaUnsupported: 'Ce navigateur ne peut pas lire l’enregistrement.',
+    copyLink: 'Copier le lien vers ce passage',
+    linkCopied: 'Lien copié',
+    overview: 'Vue d’ensemble',
+    closeOverview: 'Reprendre la lecture',
+    bookView: 'Vue livre',
+    pageStrip: 'Pages',
+    pageNumber: 'Page {number}',
+    pageCount: '{pages} sur {count}',
+    previousPage: 'Page précédente',
+    nextPage: 'Page suivante',
+    contents: 'Sommaire',
+    closeContents: 'Fermer le sommaire',
+    sectionRead: 'Lu',
+    sectionUnread: 'Non lu',
+    'pageType.cover': 'Couverture',
+    'pageType.quote': 'Citation',
+    'pageType.text': 'Texte',
+    'pageType.title': 'Page de titre',
+    'pageType.image': 'Photographies',
+    'pageType.part': 'Partie',
+    'pageType.email': 'E-mail',
+    'pageType.media': 'Enregistrement',
+    'pageType.sources': 'Sources',
+    search: 'Rechercher',
+    searchPlaceholder: 'Rechercher dans les archives',
+    searchHint: 'Des « guillemets » pour une expression exacte',
+    searchResults: 'Résultats : {count}',
+    noResults: 'Aucun résultat pour « {query} »',
+    closeSearch: 'Fermer la recherche',
+    'searchField.caption': 'Légende',
+    'searchField.alt': 'Description de l’image',
+    resumeFrom: 'Reprendre la lecture à {place}',
+    resumeReading: 'Reprendre la lecture',
+    dismiss: 'Ignorer',
+    highlight: 'Surligner',
+    'highlightColor.yellow': 'Surligner en jaune',
+    'highlightColor.blue': 'Surligner en bleu',
+    addNote: 'Ajouter une note',
+    editHighlight: 'Modifier le surlignage',
+    note: 'Note',
+    notePlaceholder: 'Ajouter une note…',
+    deleteHighlight: 'Supprimer',
+    done: 'Terminé',
+    notebook: 'Carnet',
+    closeNotebook: 'Fermer le carnet',
+    notebookEmpty: 'Sélectionnez du texte dans le livre pour le surligner ou l’annoter. Vos surlignages restent sur cet appareil.',
+    exportMarkdown: 'Exporter en Markdown',
+    exportJson: 'Exporter en JSON',
+    goToHighlight: 'Aller au passage',
+    notebookAttribution: 'Surlignages et notes de *{title}*, Steve Jobs Archive. Exporté le {date}.',
+    notebookLink: 'Ouvrir dans les archives',
+    notebookMissing: 'N’est plus dans le livre',
+    notebookUntitled: 'Début',
+    quoteCard: 'Carte citation',
+    closeQuoteCard: 'Fermer la carte citation',
+    cardFormat: 'Format',
+    'cardFormat.square': 'Carré',
+    'cardFormat.story': 'Story',
+    'cardFormat.landscape': 'Paysage',
+    cardPhoto: 'Photo de couverture',
+    downloadPng: 'Télécharger en PNG',
+    downloadSvg: 'Télécharger en SVG',
+  },
+  ar: {
+    goToTop: 'العودة إلى الأعلى',
+    home: 'الرئيسية',
+    menu: 'القائمة',
+    closeMenu: 'إغلاق القائمة',
+    library: 'المكتبة',
+    language: 'اللغة',
+    missingBook: 'لا يوجد كتاب باسم {slug}. اختر كتابًا من القائمة أدناه.',
+    sources: 'المصادر',
+    sourceNote: 'المصدر {number}',
+    originalSource: 'الأصل',
+    allSources: 'كل المصادر',
+    backToText: 'العودة إلى النص',
+    'medium.speech': 'خطاب',
+    'medium.email': 'بريد إلكتروني',
+    'medium.interview': 'مقابلة',
+    'medium.oral-history': 'تاريخ شفهي',
+    'medium.letter': 'رسالة',
+    'medium.memo': 'مذكرة',
+    'medium.video': 'فيديو',
+    'medium.article': 'مقال',
+    'medium.book': 'كتاب',
+    emailFrom: 'من',
+    emailTo: 'إلى',
+    emailCc: 'نسخة',
+    emailDate: 'التاريخ',
+    emailSubject: 'الموضوع',
+    openImage: 'تكبير الصورة',
+    closeImage: 'إغلاق',
+    previousImage: 'الصورة السابقة',
+    nextImage: 'الصورة التالية',
+    imagePosition: '{index} من {count}',
+    playFrom: 'تشغيل من {time}',
+    mediaUnsupported: 'لا يستطيع هذا المتصفح تشغيل التسجيل.',
+    copyLink: 'نسخ رابط هذا المقطع',
+    linkCopied: 'تم نسخ الرابط',
+    overview: 'نظرة عامة',
+    closeOverview: 'العودة إلى القراءة',
+    bookView: 'عرض الكتاب',
+    pageStrip: 'الصفحات',
+    pageNumber: 'الصفحة {number}',
+    pageCount: '{pages} من {count}',
+    previousPage: 'الصفحة السابقة',
+    nextPage: 'الصفحة التالية',
+    contents: 'المحتويات',
+    closeContents: 'إغلاق المحتويات',
+    sectionRead: 'مقروء',
+    sectionUnread: 'غير مقروء',
+    'pageType.cover': 'الغلاف',
+    'pageType.quote': 'اقتباس',
+    'pageType.text': 'نص',
+    'pageType.title': 'صفحة العنوان',
+    'pageType.image': 'صور',
+    'pageType.part': 'جزء',
+    'pageType.email': 'بريد إلكتروني',
+    'pageType.media': 'تسجيل',
+    'pageType.sources': 'المصادر',
+    search: 'بحث',
+    searchPlaceholder: 'ابحث في الأرشيف',
+    searchHint: 'استخدم «علامات الاقتباس» لعبارة مطابقة',
+    searchResults: 'النتائج: {count}',
+    noResults: 'لا توجد نتائج لـ «{query}»',
+    closeSearch: 'إغلاق البحث',
+    'searchField.caption': 'تعليق الصورة',
+    'searchField.alt': 'وصف الصورة',
+    resumeFrom: 'تابع القراءة من {place}',
+    resumeReading: 'تابع القراءة',
+    dismiss: 'تجاهل',
+    highlight: 'تظليل',
+    'highlightColor.yellow': 'تظليل بالأصفر',
+    'highlightColor.blue': 'تظليل بالأزرق',
+    addNote: 'إضافة ملاحظة',
+    editHighlight: 'تعديل التظليل',
+    note: 'ملاحظة',
+    notePlaceholder: 'أضف ملاحظة…',
+    deleteHighlight: 'حذف',
+    done: 'تم',
+    notebook: 'الدفتر',
+    closeNotebook: 'إغلاق الدفتر',
+    notebookEmpty: 'حدّد نصًا في الكتاب لتظليله أو لإضافة ملاحظة. تُحفظ تظليلاتك على هذا الجهاز.',
+    exportMarkdown: 'تصدير Markdown',
+    exportJson: 'تصدير JSON',
+    goToHighlight: 'الانتقال إلى المقطع',
+    notebookAttribution: 'تظليلات وملاحظات من *{title}*، أرشيف ستيف جوبز. صُدّرت في {date}.',
+    notebookLink: 'فتح في الأرشيف',
+    notebookMissing: 'لم يعد في الكتاب',
+    notebookUntitled: 'البداية',
+    quoteCard: 'بطاقة اقتباس',
+    closeQuoteCard: 'إغلاق بطاقة الاقتباس',
+    cardFormat: 'المقاس',
+    'cardFormat.square': 'مربع',
+    'cardFormat.story': 'قصة',
+    'cardFormat.landscape': 'أفقي',
+    cardPhoto: 'صورة الغلاف',
+    downloadPng: 'تنزيل PNG',
+    downloadSvg: 'تنزيل SVG',
+  },
+};
+
+/**
+ * Look up a UI string
+ * Falls back to the default locale, then to the key itself
+ * @param {string} locale - Locale code
+ * @param {string} key - Message key
+ * @param {Object} [params] - Placeholder values
+ * @returns {string}
+ */
+export function translate(locale, key, params = {}) {
+  const messages = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+  const message = messages[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
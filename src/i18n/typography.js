@@ -0,0 +1,109 @@
+/**
+ * Typography
+ * Locale-aware typesetting of plain text: curly quotes and apostrophes,
+ * and year ranges with an en dash ("1976-85" → "1976–1985").
+ *
+ * Applied to book text by the language of that text (a section's `lang`),
+ * and to UI labels by the interface locale. Inline markup (richText.js)
+ * is left intact: escaped characters and link targets are copied as-is,
+ * and markup delimiters don't count as the character before a quote.
+ */
+
+import { getLocale } from './locales.js';
+
+const APOSTROPHE = '’';
+
+// A quote after these (or at the start) opens; anywhere else it closes
+const OPENING_CONTEXT = /[\s([{—–-]/;
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+const DIGIT = /\d/;
+const MARKUP_CHAR = /[*^]/;
+
+// 1976-1985, 1976 – 1985, 1976-85; not part of a longer run such as a
+// date (2011-10-05)
+const YEAR_RANGE = /(?<!\d-)\b(\d{4})\s*[-–—]\s*(\d{2}|\d{4})\b(?!-\d)/g;
+
+/**
+ * Replace straight quotes with the locale's quote marks
+ * @param {string} text - Plain text
+ * @param {string} locale - Language of the text
+ * @returns {string}
+ */
+export function typeset(text, locale) {
+  const [open, close, openInner, closeInner] = getLocale(locale).quotes;
+  let result = '';
+
+  // Nearest preceding character that isn't an emphasis/small-caps delimiter
+  const charBefore = (index) => {
+    let j = index - 1;
+    while (j >= 0 && MARKUP_CHAR.test(text[j])) j--;
+    return text[j];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    // `\"` stays a straight quote; `[text](url)` keeps its url
+    if (char === '\\' && i + 1 < text.length) {
+      result += char + text[i + 1];
+      i++;
+      continue;
+    }
+    if (char === '(' && text[i - 1] === ']') {
+      const end = text.indexOf(')', i);
+      if (end !== -1) {
+        result += text.slice(i, end + 1);
+        i = end;
+        continue;
+      }
+    }
+
+    const prev = charBefore(i);
+    const next = text[i + 1];
+    const opens = prev === undefined || OPENING_CONTEXT.test(prev);
+
+    if (char === '"') {
+      result += opens ? open : close;
+    } else if (char === "'") {
+      // Contractions, and elided digits at the start of a word ('80s)
+      const inWord = prev && next && WORD_CHAR.test(prev) && WORD_CHAR.test(next);
+      if (inWord || (next && DIGIT.test(next))) {
+        result += APOSTROPHE;
+      } else {
+        result += opens ? openInner : closeInner;
+      }
+    } else {
+      result += char;
+    }
+  }
+
+  return formatRanges(result, locale);
+}
+
+/**
+ * Wrap text in the locale's primary quote marks
+ * @param {string} text - Text to quote
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+export function quote(text, locale) {
+  const [open, close] = getLocale(locale).quotes;
+  return `${open}${text}${close}`;
+}
+
+/**
+ * Set year ranges with an en dash and the locale's digits
+ * @param {string} text - Text containing ranges such as "1976-85"
+ * @param {string} locale - Locale code
+ * @returns {string}
+ */
+export function formatRanges(text, locale) {
+  const format = new Intl.NumberFormat(locale, { useGrouping: false });
+
+  return text.replace(YEAR_RANGE, (match, from, to) => {
+    const end = to.length === 2 ? from.slice(0, 2) + to : to;
+    // Only forward ranges are years; 4155-1234 is some other number
+    if (Number(end) <= Number(from)) return match;
+    return `${format.format(Number(from))}–${format.format(Number(end))}`;
+  });
+}
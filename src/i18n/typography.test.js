@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { typeset, formatRanges } from './typography.js';
+
+test('sets year ranges with an en dash', () => {
+  assert.equal(formatRanges('1976-85', 'en'), '1976–1985');
+  assert.equal(formatRanges('from 1976 – 1985', 'en'), 'from 1976–1985');
+  assert.equal(formatRanges('1997—2011', 'en'), '1997–2011');
+});
+
+test('leaves ISO dates alone', () => {
+  assert.equal(formatRanges('Sent on 2011-10-05', 'en'), 'Sent on 2011-10-05');
+  assert.equal(formatRanges('1985-09-16', 'en'), '1985-09-16');
+});
+
+test('leaves numbers that are not year ranges alone', () => {
+  assert.equal(formatRanges('call 4155-1234', 'en'), 'call 4155-1234');
+  assert.equal(formatRanges('1985-1985', 'en'), '1985-1985');
+  assert.equal(formatRanges('12345-6789', 'en'), '12345-6789');
+  assert.equal(formatRanges('ref 16-1985-86', 'en'), 'ref 16-1985-86');
+});
+
+test('sets an elided apostrophe before digits', () => {
+  assert.equal(typeset("the '80s", 'en'), 'the ’80s');
+  assert.equal(typeset("class of '76", 'en'), 'class of ’76');
+});
+
+test('curls quotes and contractions', () => {
+  assert.equal(typeset(`"It's 'fine'"`, 'en'), '“It’s ‘fine’”');
+});
@@ -0,0 +1,1049 @@
+/**
+ * Navigation Controller
+ * The one owner of moving through a book:
+ * - Section geometry: document offsets of every section, kept current by a
+ *   ResizeObserver (images loading, fonts, rotation)
+ * - The active section (under the middle of the viewport), for subscribers
+ * - Input: wheel gestures (wheelInputService), keys and swipes, handled
+ *   according to the navigation mode
+ * - Programmatic scrolling: every scroll the app starts goes through
+ *   `scrollToY` / `scrollToProgress` / `scrollToSection` /
+ *   `scrollToPassage`, driven entirely by a spring (springPhysicsService)
+ *   that writes the scroll position, so nothing else calls
+ *   `window.scrollTo`. Each returns a Promise that resolves with true when
+ *   the spring settles, or false when reader input (wheel, touch, scrolling
+ *   keys) or another scroll takes over
+ *
+ * Modes:
+ * - free: the browser scrolls as usual; only programmatic scrolls animate
+ * - snap: one section per step; short sections are jumped between, tall
+ *   ones scroll within and hand off at their edges (one transition per
+ *   wheel gesture, after a little travel on a trackpad); swipes follow the
+ *   same rules, and a fling that overshoots an edge settles back onto it
+ * - paged: one page per step and nothing in between; tall sections are
+ *   split into viewport-sized pages, and a scroll that comes to rest
+ *   between pages (scrollbar, find in page) settles onto the nearest one
+ * - book: sections side by side as horizontal pages, two-page spreads on
+ *   wide screens (data/bookPages.js); the same spring turns them (sideways
+ *   swipes, arrow keys, wheel past the end of a page, the page strip) by
+ *   moving the track of pages, and each page scrolls vertically on its own
+ *
+ * The chosen mode is remembered in localStorage.
+ *
+ * React components use it through useNavigation.
+ */
+
+import springPhysicsService from './springPhysicsService';
+import wheelInputService from './wheelInputService';
+import SCROLL_ANIMATION_CONFIG from '../config/scrollAnimationConfig';
+import { passageFragment } from '../data/permalinks';
+import { SPREAD_MEDIA_QUERY, spreadCount, spreadOf, spreadPages } from '../data/bookPages';
+
+export const NAVIGATION_MODES = ['free', 'snap', 'paged', 'book'];
+
+// localStorage key of the chosen mode
+const MODE_STORAGE_KEY = 'sja:navigation-mode';
+
+const SPRING_ID = 'navigation-scroll';
+
+// What the spring moves besides scroll offsets: the track of pages in book
+// mode (its offset in px along the reading direction)
+const TRACK = 'track';
+
+// A transition has arrived once it is this close (px) and slow (px/s)
+const ARRIVAL_DISTANCE = 0.5;
+const ARRIVAL_VELOCITY = 10;
+
+// Scrolling has come to rest after this long without scroll events (ms)
+const REST_DELAY = 100;
+
+// Wheel movement toward the next/previous section needed to go there (px),
+// per input device (see wheelInputService)
+const WHEEL_THRESHOLD = {
+  mouse: 1,
+  trackpad: 30,
+};
+
+// Sections taller than this share of the viewport scroll within (snap mode)
+const LONG_SECTION = 1.1;
+
+// Scroll offsets this close to a section's edge count as at it (px)
+const EDGE_TOLERANCE = 2;
+
+// Pages of a tall section in paged mode are at most this share of the
+// viewport height apart (evenly spaced): the overlap keeps the line at the
+// fold on screen
+const PAGE_STEP = 0.9;
+
+// Movement before a touch counts as a swipe (px)
+const SWIPE_SLOP = 8;
+
+// A released swipe changes section or page past this distance (fraction of
+// the viewport height, or width in book mode) or this velocity (px/ms)
+const SWIPE_DISTANCE = 0.18;
+const SWIPE_VELOCITY = 0.45;
+
+// Velocity is measured over the last part of the swipe (ms)
+const VELOCITY_WINDOW = 100;
+
+// Dragging past the first or last section moves the page this much per px
+const EDGE_RESISTANCE = 0.3;
+
+// A passage scrolled to sits this far down the viewport (fraction of its height)
+const PASSAGE_OFFSET = 0.25;
+
+// Keys that scroll or turn pages: they interrupt a programmatic scroll
+const SCROLL_KEYS = ['ArrowDown', 'ArrowUp', 'ArrowLeft', 'ArrowRight', 'PageDown', 'PageUp', 'Home', 'End', ' '];
+
+// Touches here keep their own gestures
+const TOUCH_IGNORE_SELECTOR = 'audio, video, input, textarea, select, [popover]';
+
+// Document offset of an element, ignoring transforms (the overview scales #main)
+const documentTop = (element) => {
+  let top = 0;
+  for (let node = element; node; node = node.offsetParent) top += node.offsetTop;
+  return top;
+};
+
+// Whether a sideways swipe from here turns the page in book mode: it must
+// start on a page, outside anything that scrolls sideways itself
+const isPageSwipe = (target) => {
+  if (!(target instanceof Element) || !target.closest('.book-section')) return false;
+  for (let node = target; !node.classList.contains('book-section'); node = node.parentElement) {
+    if (node.scrollWidth > node.clientWidth && /auto|scroll/.test(getComputedStyle(node).overflowX)) return false;
+  }
+  return true;
+};
+
+const loadMode = () => {
+  try {
+    const stored = window.localStorage.getItem(MODE_STORAGE_KEY);
+    return NAVIGATION_MODES.includes(stored) ? stored : null;
+  } catch {
+    // Unavailable storage (or no window at all): the configured mode
+    return null;
+  }
+};
+
+const storeMode = (mode) => {
+  try {
+    window.localStorage.setItem(MODE_STORAGE_KEY, mode);
+  } catch {
+    // Not persisted; the mode still holds for this visit
+  }
+};
+
+class NavigationController {
+  constructor() {
+    this.isAttached = false;
+    this.mode = loadMode() || SCROLL_ANIMATION_CONFIG.navigation.mode;
+    this.paused = false;
+
+    // Geometry (populated on attach)
+    this.sections = [];
+    this.geometry = []; // { element, top, bottom, height } per section
+    this.viewportHeight = 0;
+    this.documentHeight = 0;
+    this.activeIndex = 0;
+    this.pages = [0]; // pages on screen (the active section outside book mode)
+    this.anchorIndex = null; // section to keep in view across a switch to or from book mode
+
+    // Book mode layout (populated by measure)
+    this.track = null; // #main, the parent of the pages
+    this.trackOffset = 0;
+    this.spreadWidth = 0; // the viewport width
+    this.perView = 1;
+    this.isRtl = false;
+
+    // Motion state
+    this.animationFrame = null;
+    this.animation = null; // { resolve, interruptible, surface } of the running spring
+    this.touch = null; // one-finger swipe in progress
+    this.settleAfterTouch = false; // a native fling may overshoot a section edge
+    this.isProgrammatic = false; // the scroll coming to rest was started by the app
+
+    this.restTimeout = null;
+    this.measureFrame = null;
+    this.resizeObserver = null;
+
+    this.listeners = new Set();
+    this.layoutListeners = new Set();
+
+    this.handleWheel = this.handleWheel.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleTouchStart = this.handleTouchStart.bind(this);
+    this.handleTouchMove = this.handleTouchMove.bind(this);
+    this.handleTouchEnd = this.handleTouchEnd.bind(this);
+    this.handleScroll = this.handleScroll.bind(this);
+    this.scheduleMeasure = this.scheduleMeasure.bind(this);
+  }
+
+  /**
+   * Take over navigation of a rendered book
+   * @param {Array} sections - Book sections (their ids name the rendered pages)
+   */
+  attach(sections) {
+    if (this.isAttached) this.detach();
+    this.sections = sections;
+    this.measure();
+    this.updateActiveIndex();
+
+    window.addEventListener('wheel', this.handleWheel, { passive: false });
+    window.addEventListener('keydown', this.handleKeyDown);
+    window.addEventListener('touchstart', this.handleTouchStart, { passive: true });
+    window.addEventListener('touchmove', this.handleTouchMove, { passive: false });
+    window.addEventListener('touchend', this.handleTouchEnd);
+    window.addEventListener('touchcancel', this.handleTouchEnd);
+    window.addEventListener('scroll', this.handleScroll, { passive: true });
+    window.addEventListener('resize', this.scheduleMeasure);
+
+    this.resizeObserver = new ResizeObserver(this.scheduleMeasure);
+    this.geometry.forEach(({ element }) => element && this.resizeObserver.observe(element));
+
+    this.isAttached = true;
+  }
+
+  /**
+   * Give navigation back to the browser
+   */
+  detach() {
+    window.removeEventListener('wheel', this.handleWheel);
+    window.removeEventListener('keydown', this.handleKeyDown);
+    window.removeEventListener('touchstart', this.handleTouchStart);
+    window.removeEventListener('touchmove', this.handleTouchMove);
+    window.removeEventListener('touchend', this.handleTouchEnd);
+    window.removeEventListener('touchcancel', this.handleTouchEnd);
+    window.removeEventListener('scroll', this.handleScroll);
+    window.removeEventListener('resize', this.scheduleMeasure);
+
+    if (this.resizeObserver) this.resizeObserver.disconnect();
+    this.resizeObserver = null;
+    cancelAnimationFrame(this.measureFrame);
+    this.measureFrame = null;
+    clearTimeout(this.restTimeout);
+    this.stopAnimation(false);
+
+    this.isAttached = false;
+    this.touch = null;
+    this.settleAfterTouch = false;
+    this.sections = [];
+    this.geometry = [];
+    this.track = null;
+    this.trackOffset = 0;
+    this.anchorIndex = null;
+  }
+
+  // ===== STATE =====
+
+  /**
+   * @returns {{ activeIndex: number, mode: string, pages: Array<number> }} -
+   *   `pages`: the pages on screen in book mode (one, or a spread)
+   */
+  getState() {
+    return { activeIndex: this.activeIndex, mode: this.mode, pages: this.pages };
+  }
+
+  /**
+   * Listen for changes of the active section, the pages on screen or the mode
+   * @param {Function} listener - Called with `getState()`
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const state = this.getState();
+    this.listeners.forEach(listener => listener(state));
+  }
+
+  /**
+   * @returns {number} - Index of the section under the middle of the viewport
+   */
+  getActiveIndex() {
+    return this.activeIndex;
+  }
+
+  /**
+   * Choose how input moves through the book
+   * Switching to or from book mode changes the layout: the book is rendered
+   * anew by subscribers, then `layout()` puts the reader back on their section.
+   * @param {string} mode - One of NAVIGATION_MODES
+   */
+  setMode(mode) {
+    if (!NAVIGATION_MODES.includes(mode)) {
+      console.warn(`⚠️ Unknown navigation mode: ${mode}`);
+      return;
+    }
+    if (mode === this.mode) return;
+
+    const isRelayout = (mode === 'book') !== (this.mode === 'book');
+    this.mode = mode;
+    this.touch = null;
+    this.settleAfterTouch = false;
+    wheelInputService.reset();
+    storeMode(mode);
+    if (isRelayout) {
+      this.stopAnimation(false);
+      if (this.isAttached) this.anchorIndex = this.activeIndex;
+    } else if (this.isAttached && mode === 'paged') {
+      this.settle();
+    }
+    this.notify();
+  }
+
+  /**
+   * Re-measure once the book is rendered for the current mode (after a
+   * switch to or from book mode), back on the section that was being read
+   */
+  layout() {
+    if (!this.isAttached) return;
+    if (this.mode !== 'book') this.setTrackOffset(0);
+    this.measure();
+
+    const index = this.anchorIndex;
+    this.anchorIndex = null;
+    if (index !== null) this.scrollToSection(index, { smooth: false });
+    this.updateActiveIndex();
+  }
+
+  /**
+   * Hand wheel, keys and touch back to the page (e.g. while a dialog is
+   * open) without detaching; programmatic scrolling still works
+   * @param {boolean} paused
+   */
+  setPaused(paused) {
+    this.paused = paused;
+    if (paused) this.touch = null;
+  }
+
+  // ===== GEOMETRY =====
+
+  /**
+   * Measure every section's document offsets
+   */
+  measure() {
+    this.viewportHeight = window.innerHeight;
+    this.documentHeight = document.documentElement.scrollHeight;
+    this.geometry = this.sections.map((section, i) => {
+      const element = document.getElementById(section.id)?.closest('.book-section');
+      if (!element) {
+        console.warn(`⚠️ Section element not found for index ${i}`);
+        return { element: null, top: 0, bottom: 0, height: 0 };
+      }
+      const top = documentTop(element);
+      const height = element.offsetHeight;
+      return { element, top, bottom: top + height, height };
+    });
+    if (this.mode === 'book') this.measureBook();
+  }
+
+  // Book mode: spread width, pages per spread and reading direction; the
+  // track is put back on the active section's spread
+  measureBook() {
+    this.track = this.geometry.find(section => section.element)?.element.parentElement || null;
+    this.spreadWidth = document.documentElement.clientWidth;
+    this.perView = window.matchMedia(SPREAD_MEDIA_QUERY).matches ? 2 : 1;
+    this.isRtl = Boolean(this.track) && getComputedStyle(this.track).direction === 'rtl';
+    if (this.animation && this.animation.surface === TRACK) this.stopAnimation(false);
+    this.setTrackOffset(this.spreadOffset(spreadOf(this.activeIndex, this.perView)));
+  }
+
+  // Re-measure once per frame however many sections resized
+  scheduleMeasure() {
+    if (this.measureFrame) return;
+    this.measureFrame = requestAnimationFrame(() => {
+      this.measureFrame = null;
+      if (!this.isAttached) return;
+      this.measure();
+      this.updateActiveIndex();
+      this.layoutListeners.forEach(listener => listener(this.getGeometry()));
+    });
+  }
+
+  /**
+   * Measured layout
+   * @returns {{ sections: Array<{ top, bottom, height }>, viewportHeight: number, documentHeight: number }}
+   */
+  getGeometry() {
+    return {
+      sections: this.geometry,
+      viewportHeight: this.viewportHeight,
+      documentHeight: this.documentHeight,
+    };
+  }
+
+  /**
+   * Listen for re-measured layout
+   * @param {Function} listener - Called with `getGeometry()`
+   * @returns {Function} - Unsubscribe
+   */
+  onLayout(listener) {
+    this.layoutListeners.add(listener);
+    return () => this.layoutListeners.delete(listener);
+  }
+
+  // Section containing a document offset, or -1
+  findSectionAt(y) {
+    return this.geometry.findIndex(section => y >= section.top && y < section.bottom);
+  }
+
+  // Section under the middle of the viewport (the last one known between
+  // sections); in book mode the first page on screen
+  currentIndex() {
+    const index = this.mode === 'book'
+      ? this.visiblePages()[0] ?? -1
+      : this.findSectionAt(window.scrollY + window.innerHeight / 2);
+    return index === -1 ? this.activeIndex : index;
+  }
+
+  updateActiveIndex() {
+    const index = this.currentIndex();
+    const pages = this.mode === 'book' ? this.visiblePages() : [index];
+    if (index === this.activeIndex && pages.join() === this.pages.join()) return;
+    this.activeIndex = index;
+    this.pages = pages;
+    this.notify();
+  }
+
+  // ===== BOOK MODE LAYOUT =====
+
+  spreadCount() {
+    return spreadCount(this.geometry.length, this.perView);
+  }
+
+  // Track offset of a spread (clamped to the book)
+  spreadOffset(spread) {
+    return Math.max(0, Math.min(spread, this.spreadCount() - 1)) * this.spreadWidth;
+  }
+
+  // Spread mostly on screen
+  currentSpread() {
+    if (!this.spreadWidth) return 0;
+    return Math.max(0, Math.min(Math.round(this.trackOffset / this.spreadWidth), this.spreadCount() - 1));
+  }
+
+  visiblePages() {
+    return spreadPages(this.currentSpread(), this.geometry.length, this.perView);
+  }
+
+  // Move the track of pages (offset along the reading direction, px)
+  setTrackOffset(offset) {
+    this.trackOffset = offset;
+    if (this.track) this.track.style.setProperty('--book-offset', `${this.isRtl ? offset : -offset}px`);
+    if (this.mode === 'book') this.updateActiveIndex();
+  }
+
+  // Page a wheel event happened over (the active one outside the pages)
+  pageAt(target) {
+    const page = target instanceof Element && target.closest('.book-section');
+    return page || this.geometry[this.activeIndex]?.element || null;
+  }
+
+  // Whether a page can scroll further down (forward) or up within itself
+  canScrollPage(page, forward) {
+    if (!page) return false;
+    const maxTop = page.scrollHeight - page.clientHeight;
+    return forward ? page.scrollTop < maxTop - EDGE_TOLERANCE : page.scrollTop > EDGE_TOLERANCE;
+  }
+
+  // Scroll offsets that keep the viewport inside a section
+  restingRange(section) {
+    return [section.top, Math.max(section.top, section.bottom - window.innerHeight)];
+  }
+
+  // Every page of the book in paged mode: { index, top }
+  pageStops() {
+    return this.geometry.flatMap((section, index) => {
+      const [minTop, maxTop] = this.restingRange(section);
+      const count = Math.ceil((maxTop - minTop) / (window.innerHeight * PAGE_STEP));
+      if (count === 0) return [{ index, top: minTop }];
+      return Array.from({ length: count + 1 }, (_, i) => ({ index, top: minTop + ((maxTop - minTop) * i) / count }));
+    });
+  }
+
+  // Index of the page nearest to a scroll offset
+  nearestStop(stops, y) {
+    return stops.reduce((best, stop, i) => (
+      Math.abs(stop.top - y) < Math.abs(stops[best].top - y) ? i : best
+    ), 0);
+  }
+
+  // ===== PROGRAMMATIC SCROLLING =====
+
+  // End the running animation; its promise resolves with `settled`
+  stopAnimation(settled = false) {
+    cancelAnimationFrame(this.animationFrame);
+    this.animationFrame = null;
+    springPhysicsService.removeSpring(SPRING_ID);
+    const { animation } = this;
+    this.animation = null;
+    if (animation) animation.resolve(settled);
+  }
+
+  // Reader input takes over from a programmatic scroll
+  interrupt() {
+    if (!this.animation || !this.animation.interruptible) return;
+    const { surface } = this.animation;
+    this.stopAnimation(false);
+    // Pages do not stop between spreads: the nearest one takes the turn over
+    if (surface === TRACK) this.turnTo(this.currentSpread());
+  }
+
+  // Whether an input transition (section, page, spring-back) is running
+  isTransitioning() {
+    return Boolean(this.animation && !this.animation.interruptible);
+  }
+
+  // Position of what a spring can move: the window's scroll offset, a page's
+  // own scroll offset or the track of pages (book mode)
+  getPosition(surface) {
+    if (surface === TRACK) return this.trackOffset;
+    return surface === window ? window.scrollY : surface.scrollTop;
+  }
+
+  setPosition(surface, value) {
+    if (surface === TRACK) this.setTrackOffset(value);
+    else if (surface === window) window.scrollTo(0, value);
+    else surface.scrollTop = value;
+  }
+
+  getMaxPosition(surface) {
+    if (surface === TRACK) return this.spreadOffset(this.spreadCount() - 1);
+    if (surface === window) return document.documentElement.scrollHeight - window.innerHeight;
+    return surface.scrollHeight - surface.clientHeight;
+  }
+
+  /**
+   * Spring the document scroll offset (or another surface) to `top`
+   * A running animation of the same surface is retargeted, one of another
+   * is stopped (either way its promise resolves with false).
+   * @param {number} top - Scroll offset (px)
+   * @param {Object} options - { velocity: initial (px/s; when retargeting,
+   *   replaces the running spring's unless 0), interruptible: by
+   *   reader input (programmatic scrolls), surface: `window` (default), a
+   *   page element or TRACK (book mode) }
+   * @returns {Promise<boolean>} - true once settled there, false if
+   *   interrupted or replaced
+   */
+  animateTo(top, { velocity = 0, interruptible = false, surface = window } = {}) {
+    const target = Math.max(0, Math.min(top, this.getMaxPosition(surface)));
+    const { k, c } = SCROLL_ANIMATION_CONFIG.navigation.spring;
+
+    if (this.animation && this.animation.surface !== surface) this.stopAnimation(false);
+    const running = springPhysicsService.getSpring(SPRING_ID);
+    if (running) {
+      springPhysicsService.updateTarget(SPRING_ID, target);
+      // A fling during an animation carries its own momentum
+      if (velocity) running.velocity = velocity;
+    } else {
+      const spring = springPhysicsService.createSpring(SPRING_ID, this.getPosition(surface), target, k, c);
+      spring.velocity = velocity;
+      springPhysicsService.startLoop();
+    }
+
+    const previous = this.animation;
+    const settled = new Promise(resolve => {
+      this.animation = { resolve, interruptible, surface };
+    });
+    if (previous) previous.resolve(false);
+
+    if (!this.animationFrame) {
+      const follow = () => {
+        const spring = springPhysicsService.getSpring(SPRING_ID);
+        if (!spring) return;
+        const arrived = Math.abs(spring.value - spring.target) < ARRIVAL_DISTANCE
+          && Math.abs(spring.velocity) < ARRIVAL_VELOCITY;
+        this.setPosition(surface, arrived ? spring.target : spring.value);
+        if (spring.isSettled || arrived) {
+          this.stopAnimation(true);
+        } else {
+          this.animationFrame = requestAnimationFrame(follow);
+        }
+      };
+      this.animationFrame = requestAnimationFrame(follow);
+    }
+    return settled;
+  }
+
+  /**
+   * Scroll to a document offset
+   * Reader input (wheel, touch, scrolling keys) interrupts it. The pages of
+   * book mode have no document offsets: use the other scroll functions.
+   * @param {number} top - Scroll offset (px)
+   * @param {Object} options - { smooth: spring-driven (default) or instant, velocity (px/s) }
+   * @returns {Promise<boolean>} - true once there, false if interrupted or replaced
+   */
+  scrollToY(top, { smooth = true, velocity = 0 } = {}) {
+    if (this.mode === 'book') {
+      console.warn('⚠️ scrollToY has no document offset to go to in book mode');
+      return Promise.resolve(false);
+    }
+    this.isProgrammatic = true;
+    this.settleAfterTouch = false;
+    if (smooth) return this.animateTo(top, { velocity, interruptible: true });
+
+    this.stopAnimation(false);
+    window.scrollTo({ top, behavior: 'instant' });
+    return Promise.resolve(true);
+  }
+
+  /**
+   * Scroll to a share of the whole book
+   * @param {number} progress - 0-1
+   * @param {Object} options - As for `scrollToY`
+   * @returns {Promise<boolean>}
+   */
+  scrollToProgress(progress, options) {
+    const share = Math.max(0, Math.min(1, progress));
+    if (this.mode === 'book') {
+      return this.turnTo(Math.round(share * (this.spreadCount() - 1)), { ...options, interruptible: true });
+    }
+    const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+    return this.scrollToY(share * maxScroll, options);
+  }
+
+  /**
+   * Scroll to a section
+   * @param {number|string} target - Section index or id
+   * @param {Object} options - As for `scrollToY`, plus `top` (a document
+   *   offset inside the section; its start by default, and always in book mode)
+   * @returns {Promise<boolean>} - Also false for a section that does not exist
+   */
+  scrollToSection(target, { top, ...options } = {}) {
+    const index = typeof target === 'string' ? this.sections.findIndex(section => section.id === target) : target;
+    const section = this.geometry[index];
+    if (!section) {
+      console.warn(`⚠️ Unknown section: ${target}`);
+      return Promise.resolve(false);
+    }
+    if (this.mode === 'book') return this.showPage(index, 0, options);
+    return this.scrollToY(top ?? section.top, options);
+  }
+
+  /**
+   * Scroll an element of the book to `offset` px below the top of the
+   * viewport; in book mode, turn to its page and scroll the page instead
+   * @param {Element} element
+   * @param {Object} options - As for `scrollToY`, plus `offset` (px)
+   * @returns {Promise<boolean>}
+   */
+  scrollToElement(element, { offset = 0, ...options } = {}) {
+    if (this.mode !== 'book') return this.scrollToY(documentTop(element) - offset, options);
+
+    const page = element.closest('.book-section');
+    const index = this.geometry.findIndex(section => section.element && section.element === page);
+    if (index === -1) {
+      console.warn('⚠️ Element is not on a page of the book');
+      return Promise.resolve(false);
+    }
+    return this.showPage(index, documentTop(element) - documentTop(page) - offset, options);
+  }
+
+  /**
+   * Scroll a passage (paragraph, subtitle, narration) into reading position,
+   * a little below the top of the viewport
+   * @param {string} sectionId
+   * @param {string} passageId - See data/permalinks.js
+   * @param {Object} options - As for `scrollToY`
+   * @returns {Promise<boolean>} - Also false for a passage that is not on the page
+   */
+  scrollToPassage(sectionId, passageId, options) {
+    const element = document.getElementById(passageFragment(sectionId, passageId));
+    if (!element) {
+      console.warn(`⚠️ Passage not found: ${sectionId}/${passageId}`);
+      return Promise.resolve(false);
+    }
+    return this.scrollToElement(element, { offset: window.innerHeight * PASSAGE_OFFSET, ...options });
+  }
+
+  /**
+   * Turn to the next or previous spread (book mode)
+   * An input transition, like a swipe: reader input does not interrupt it.
+   * @param {number} direction - 1 (forward) or -1
+   * @returns {Promise<boolean>}
+   */
+  turn(direction) {
+    if (this.mode !== 'book') return Promise.resolve(false);
+    return this.turnTo(this.currentSpread() + direction);
+  }
+
+  // Spring the track to a spread (book mode)
+  turnTo(spread, { smooth = true, velocity = 0, interruptible = false } = {}) {
+    if (!smooth) {
+      this.stopAnimation(false);
+      this.setTrackOffset(this.spreadOffset(spread));
+      return Promise.resolve(true);
+    }
+    return this.animateTo(this.spreadOffset(spread), { velocity, interruptible, surface: TRACK });
+  }
+
+  // Book mode: turn to the spread holding a page, with the page scrolled to
+  // `pageTop`; a page already on screen scrolls there itself
+  showPage(index, pageTop, { smooth = true, velocity = 0 } = {}) {
+    const page = this.geometry[index].element;
+    if (!page) return Promise.resolve(false);
+    const spread = spreadOf(index, this.perView);
+    const isOnScreen = this.trackOffset === this.spreadOffset(spread);
+    if (smooth && isOnScreen) {
+      return this.animateTo(pageTop, { velocity, interruptible: true, surface: page });
+    }
+    page.scrollTop = pageTop;
+    return this.turnTo(spread, { smooth, velocity, interruptible: true });
+  }
+
+  // Input transition to a section
+  goToSection(index, { top, velocity } = {}) {
+    const section = this.geometry[index];
+    if (section) this.animateTo(top ?? section.top, { velocity });
+  }
+
+  // Input transition to the next/previous page (paged mode)
+  goToPage(direction) {
+    const y = window.scrollY;
+    const stops = this.pageStops();
+    const stop = direction > 0
+      ? stops.find(candidate => candidate.top > y + EDGE_TOLERANCE)
+      : stops.findLast(candidate => candidate.top < y - EDGE_TOLERANCE);
+    if (stop) this.animateTo(stop.top);
+  }
+
+  // Bring a resting scroll offset back within the rules of the mode
+  settle() {
+    if (this.mode === 'book' || this.paused || this.touch || this.animationFrame) return;
+    let top;
+    if (this.mode === 'paged') {
+      const stops = this.pageStops();
+      if (stops.length === 0) return;
+      top = stops[this.nearestStop(stops, window.scrollY)].top;
+    } else {
+      const section = this.geometry[this.currentIndex()];
+      if (!section) return;
+      const [minTop, maxTop] = this.restingRange(section);
+      top = Math.max(minTop, Math.min(window.scrollY, maxTop));
+    }
+    if (Math.abs(top - window.scrollY) > 1) this.animateTo(top);
+  }
+
+  // ===== INPUT =====
+
+  handleScroll() {
+    // Book mode moves the track, not the window
+    if (this.mode === 'book') return;
+    this.updateActiveIndex();
+    clearTimeout(this.restTimeout);
+    this.restTimeout = setTimeout(() => {
+      // A paged book always rests on a page; a snapping one only after a fling
+      const shouldSettle = this.mode === 'paged' ? !this.isProgrammatic : this.settleAfterTouch;
+      this.isProgrammatic = false;
+      this.settleAfterTouch = false;
+      if (shouldSettle) this.settle();
+    }, REST_DELAY);
+  }
+
+  handleWheel(e) {
+    // Pinches (ctrl+wheel) belong to the overview
+    if (this.paused || e.ctrlKey) return;
+    this.interrupt();
+    if (this.mode === 'free') return;
+
+    const { delta, gesture } = wheelInputService.track(e, { horizontal: this.mode === 'book' });
+    if (!gesture) return;
+
+    // One transition per gesture: the rest of it (an inertia tail) goes
+    // nowhere, nor does a gesture that starts during a transition
+    if (gesture.handled || this.animationFrame) {
+      gesture.handled = true;
+      e.preventDefault();
+      return;
+    }
+
+    // Sideways, forward is along the reading direction
+    const forward = gesture.axis === 'x' && this.isRtl ? delta < 0 : delta > 0;
+
+    if (this.mode === 'book') {
+      // Down and up scroll the page under the pointer natively, turning
+      // only once it is at its end (by a gesture that did not get it there)
+      if (gesture.axis === 'y' && this.canScrollPage(this.pageAt(e.target), forward)) {
+        gesture.scrolledWithin = true;
+        return;
+      }
+    } else if (this.mode === 'snap') {
+      const scrollTop = window.scrollY;
+      const section = this.geometry[this.currentIndex()];
+      if (!section) return;
+      const [minTop, maxTop] = this.restingRange(section);
+      const isLongSection = section.height > window.innerHeight * LONG_SECTION;
+      const atEdge = forward ? scrollTop >= maxTop - EDGE_TOLERANCE : scrollTop <= minTop + EDGE_TOLERANCE;
+
+      if (isLongSection && !atEdge) {
+        // Natural scroll within the section, stopping at its edge; the
+        // gesture that got there ends there
+        gesture.scrolledWithin = true;
+        const next = scrollTop + delta;
+        if (forward ? next > maxTop : next < minTop) {
+          e.preventDefault();
+          window.scrollTo(0, forward ? maxTop : minTop);
+        }
+        return;
+      }
+    }
+
+    // Short section, the edge of a long one, or any page: move on
+    // (sideways, this also keeps browsers from swiping back in history)
+    e.preventDefault();
+    if (gesture.scrolledWithin) return;
+
+    // A trackpad must mean it; a wheel notch always does
+    gesture.accumulated += delta;
+    if (Math.abs(gesture.accumulated) < WHEEL_THRESHOLD[gesture.device]) return;
+
+    gesture.handled = true;
+    if (this.mode === 'book') {
+      this.turn(forward ? 1 : -1);
+    } else if (this.mode === 'paged') {
+      this.goToPage(forward ? 1 : -1);
+    } else {
+      this.goToSection(this.currentIndex() + (forward ? 1 : -1));
+    }
+  }
+
+  handleKeyDown(e) {
+    // Media controls use arrows, space and Home/End themselves
+    if (this.paused || (e.target instanceof Element && e.target.closest('audio, video'))) return;
+    // Form fields and editable text keep their keys
+    if (e.target instanceof Element && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+    if (SCROLL_KEYS.includes(e.key)) this.interrupt();
+    if (this.mode === 'free' || this.isTransitioning()) return;
+    if (this.mode === 'book') {
+      this.handleBookKey(e);
+      return;
+    }
+
+    const paged = this.mode === 'paged';
+    const last = this.geometry.length - 1;
+
+    if (e.key === 'ArrowDown' || e.key === 'PageDown' || e.key === ' ') {
+      e.preventDefault();
+      if (paged) this.goToPage(1);
+      else this.goToSection(this.currentIndex() + 1);
+    } else if (e.key === 'ArrowUp' || e.key === 'PageUp') {
+      e.preventDefault();
+      if (paged) this.goToPage(-1);
+      else this.goToSection(this.currentIndex() - 1);
+    } else if (e.key === 'Home') {
+      e.preventDefault();
+      this.goToSection(0);
+    } else if (e.key === 'End') {
+      e.preventDefault();
+      // The last page of a paged book, the last section's start otherwise
+      this.goToSection(last, paged && this.geometry[last] ? { top: this.restingRange(this.geometry[last])[1] } : {});
+    }
+  }
+
+  // Book mode: arrows along the reading direction turn pages, page keys read
+  // on through a tall page before turning, Home/End go to the covers
+  handleBookKey(e) {
+    const next = this.isRtl ? 'ArrowLeft' : 'ArrowRight';
+    const previous = this.isRtl ? 'ArrowRight' : 'ArrowLeft';
+
+    if (e.key === next || e.key === previous) {
+      e.preventDefault();
+      this.turn(e.key === next ? 1 : -1);
+    } else if (e.key === 'PageDown' || e.key === 'PageUp' || e.key === ' ') {
+      e.preventDefault();
+      const forward = e.key !== 'PageUp';
+      const onScreen = this.visiblePages().map(index => this.geometry[index].element);
+      const page = forward
+        ? onScreen.find(element => this.canScrollPage(element, forward))
+        : onScreen.findLast(element => this.canScrollPage(element, forward));
+      if (page) {
+        const step = page.clientHeight * PAGE_STEP * (forward ? 1 : -1);
+        this.animateTo(page.scrollTop + step, { surface: page });
+      } else {
+        this.turn(forward ? 1 : -1);
+      }
+    } else if (e.key === 'Home' || e.key === 'End') {
+      e.preventDefault();
+      this.turnTo(e.key === 'Home' ? 0 : this.spreadCount() - 1);
+    }
+  }
+
+  handleTouchStart(e) {
+    this.touch = null;
+    if (this.paused || e.touches.length !== 1) return;
+    if (e.target instanceof Element && e.target.closest(TOUCH_IGNORE_SELECTOR)) return;
+
+    // The finger takes over from any running scroll (from a page turn only
+    // once it turns pages itself)
+    if (!this.animation || this.animation.surface !== TRACK) this.stopAnimation(false);
+    this.settleAfterTouch = false;
+    if (this.mode === 'free') return;
+    const touch = e.touches[0];
+    this.touch = {
+      startX: touch.clientX,
+      startY: touch.clientY,
+      startScroll: window.scrollY,
+      index: this.currentIndex(),
+      mode: null, // 'free' (native scroll), 'drag' (page follows the finger) or 'turn' (book mode)
+      samples: [{ x: touch.clientX, y: touch.clientY, time: e.timeStamp }],
+    };
+  }
+
+  // Page follows the finger from here on, from the section or page it is on
+  startDrag(touch) {
+    const gesture = this.touch;
+    gesture.mode = 'drag';
+    gesture.startY = touch.clientY;
+    gesture.startScroll = window.scrollY;
+    if (this.mode === 'paged') {
+      gesture.stops = this.pageStops();
+      gesture.stop = this.nearestStop(gesture.stops, window.scrollY);
+    } else {
+      gesture.index = this.currentIndex();
+    }
+  }
+
+  handleTouchMove(e) {
+    const gesture = this.touch;
+    if (!gesture) return;
+    if (this.paused || e.touches.length !== 1) {
+      this.touch = null;
+      return;
+    }
+    const touch = e.touches[0];
+    const dx = touch.clientX - gesture.startX;
+    const dy = touch.clientY - gesture.startY;
+    const step = touch.clientY - gesture.samples[gesture.samples.length - 1].y || dy; // + = back
+    gesture.samples.push({ x: touch.clientX, y: touch.clientY, time: e.timeStamp });
+    gesture.samples = gesture.samples.filter(sample => e.timeStamp - sample.time <= VELOCITY_WINDOW);
+
+    if (!gesture.mode) {
+      if (Math.abs(dy) < SWIPE_SLOP && Math.abs(dx) < SWIPE_SLOP) return;
+      if (this.mode === 'book') {
+        // Sideways turns the page; up and down scroll it natively
+        if (Math.abs(dx) <= Math.abs(dy) || !isPageSwipe(e.target)) {
+          this.touch = null;
+          return;
+        }
+        this.stopAnimation(false);
+        gesture.mode = 'turn';
+        gesture.startX = touch.clientX;
+        gesture.startOffset = this.trackOffset;
+        gesture.spread = this.currentSpread();
+      } else if (Math.abs(dx) > Math.abs(dy)) {
+        // Horizontal swipes belong to galleries and the like
+        this.touch = null;
+        return;
+      } else if (this.mode === 'paged') {
+        this.startDrag(touch);
+      } else {
+        gesture.mode = 'free';
+      }
+    }
+
+    if (gesture.mode === 'turn') {
+      e.preventDefault();
+      const offset = (touch.clientX - gesture.startX) * (this.isRtl ? -1 : 1); // + = back
+      const atLimit = (offset < 0 && gesture.spread === this.spreadCount() - 1) || (offset > 0 && gesture.spread === 0);
+      this.setTrackOffset(gesture.startOffset - offset * (atLimit ? EDGE_RESISTANCE : 1));
+      return;
+    }
+
+    if (gesture.mode === 'free') {
+      const section = this.geometry[gesture.index];
+      if (!section) return;
+      // Short sections are always dragged; tall ones once their edge is reached
+      const [minTop, maxTop] = this.restingRange(section);
+      const isShort = maxTop === minTop;
+      const pastEnd = step < 0 && window.scrollY >= maxTop - 1;
+      const pastStart = step > 0 && window.scrollY <= minTop + 1;
+      if (!isShort && !pastEnd && !pastStart) {
+        this.settleAfterTouch = true;
+        return;
+      }
+      this.startDrag(touch);
+    }
+
+    e.preventDefault();
+    const offset = touch.clientY - gesture.startY;
+    const [first, last] = this.mode === 'paged'
+      ? [gesture.stop === 0, gesture.stop === gesture.stops.length - 1]
+      : [gesture.index === 0, gesture.index === this.geometry.length - 1];
+    const atLimit = (offset < 0 && last) || (offset > 0 && first);
+    window.scrollTo(0, gesture.startScroll - offset * (atLimit ? EDGE_RESISTANCE : 1));
+  }
+
+  handleTouchEnd(e) {
+    const gesture = this.touch;
+    if (!gesture || e.touches.length > 0) return;
+    this.touch = null;
+    if (gesture.mode === 'turn') {
+      this.endTurn(gesture);
+      return;
+    }
+    if (gesture.mode !== 'drag') return;
+
+    const { samples } = gesture;
+    const last = samples[samples.length - 1];
+    const first = samples[0];
+    const velocity = last.time > first.time ? (last.y - first.y) / (last.time - first.time) : 0; // px/ms, + = back
+    const springVelocity = -velocity * 1000;
+    const threshold = window.innerHeight * SWIPE_DISTANCE;
+    const isFlick = Math.abs(velocity) > SWIPE_VELOCITY;
+
+    // How far the page was dragged out of where it rests (+ = forward)
+    let minTop;
+    let maxTop;
+    if (this.mode === 'paged') {
+      minTop = gesture.stops[gesture.stop].top;
+      maxTop = minTop;
+    } else {
+      [minTop, maxTop] = this.restingRange(this.geometry[gesture.index]);
+    }
+    const y = window.scrollY;
+    const distance = y > maxTop ? y - maxTop : Math.min(0, y - minTop);
+
+    // Only out of the edge it was dragged past; a fast flick goes by its direction
+    const forward = distance > 0 && (isFlick ? velocity < 0 : distance > threshold);
+    const back = distance < 0 && (isFlick ? velocity > 0 : distance < -threshold);
+
+    if (this.mode === 'paged') {
+      const target = gesture.stops[gesture.stop + (forward ? 1 : 0) - (back ? 1 : 0)];
+      const top = target && (forward || back) ? target.top : minTop;
+      this.animateTo(top, { velocity: springVelocity });
+    } else if (forward && gesture.index < this.geometry.length - 1) {
+      this.goToSection(gesture.index + 1, { velocity: springVelocity });
+    } else if (back && gesture.index > 0) {
+      // Back into a tall section: its end, where reading continues
+      const previous = this.restingRange(this.geometry[gesture.index - 1])[1];
+      this.goToSection(gesture.index - 1, { top: previous, velocity: springVelocity });
+    } else {
+      this.animateTo(Math.max(minTop, Math.min(y, maxTop)), { velocity: springVelocity });
+    }
+  }
+
+  // Released page turn: on to the next or previous spread past a distance or
+  // with a flick that way, back onto the spread it started from otherwise
+  endTurn({ samples, spread }) {
+    const last = samples[samples.length - 1];
+    const first = samples[0];
+    const direction = this.isRtl ? -1 : 1;
+    const velocity = last.time > first.time ? (direction * (last.x - first.x)) / (last.time - first.time) : 0; // px/ms, + = back
+    const threshold = this.spreadWidth * SWIPE_DISTANCE;
+    const isFlick = Math.abs(velocity) > SWIPE_VELOCITY;
+    const distance = this.trackOffset - this.spreadOffset(spread); // + = forward
+
+    const forward = distance > 0 && (isFlick ? velocity < 0 : distance > threshold);
+    const back = distance < 0 && (isFlick ? velocity > 0 : distance < -threshold);
+    this.turnTo(spread + (forward ? 1 : 0) - (back ? 1 : 0), { velocity: -velocity * 1000 });
+  }
+}
+
+// Export singleton instance
+const navigationController = new NavigationController();
+export default navigationController;
+
+// Also export class for testing
+export { NavigationController };
@@ -8,10 +8,18 @@
  * 
  * This is the "brain" that ties scroll events to spring physics,
  * creating the buttery-smooth Apple-style interaction layer.
+ *
+ * It follows the scroll position and never sets it: section geometry and
+ * all scrolling belong to navigationController.
  */
 
 import springPhysicsService, { SPRING_PRESETS } from './springPhysicsService';
+import navigationController from './navigationController';
 import SCROLL_ANIMATION_CONFIG from '../config/scrollAnimationConfig';
+import { buildChapters } from '../data/chapters';
+
+// Quiet period before re-measuring after layout changes (ms)
+const LAYOUT_DEBOUNCE = 150;
 
 class ScrollAnimationOrchestrator {
   constructor() {
@@ -22,6 +30,8 @@ class ScrollAnimationOrchestrator {
     // Section data (populated on init)
     this.sections = [];
     this.sectionPositions = []; // { top, height, center }
+    this.chapters = [];
+    this.chapterLayout = []; // chapters + { top, bottom, start, end }
     
     // Scroll state
     this.scrollTarget = 0;
@@ -37,6 +47,7 @@ class ScrollAnimationOrchestrator {
     this.onScrubberUpdate = null;
     this.onLabelUpdate = null;
     this.onContentTransformUpdate = null;
+    this.onChapterLayoutUpdate = null;
     
     // Spring IDs
     this.SPRING_IDS = {
@@ -77,20 +88,24 @@ class ScrollAnimationOrchestrator {
 
   /**
    * Initialize orchestrator with section data
-   * @param {Array} sections - Section elements or data
-   * @param {Object} callbacks - { onScrollProgressUpdate, onScrubberUpdate, onLabelUpdate }
+   * @param {Array} sections - Book sections (measured by navigationController)
+   * @param {Object} callbacks - { onScrollProgressUpdate, onScrubberUpdate, onLabelUpdate,
+   *   onContentTransformUpdate, onChapterLayoutUpdate }
+   * @param {Object} options - { chapters: prebuilt (e.g. localized) chapter registry }
    */
-  init(sections, callbacks = {}) {
+  init(sections, callbacks = {}, options = {}) {
     if (this.isInitialized) {
       console.warn('⚠️ Orchestrator already initialized');
       return;
     }
     
     this.sections = sections;
+    this.chapters = options.chapters || buildChapters(sections);
     this.onScrollProgressUpdate = callbacks.onScrollProgressUpdate;
     this.onScrubberUpdate = callbacks.onScrubberUpdate;
     this.onLabelUpdate = callbacks.onLabelUpdate;
     this.onContentTransformUpdate = callbacks.onContentTransformUpdate;
+    this.onChapterLayoutUpdate = callbacks.onChapterLayoutUpdate;
     
     // Measure sections
     this.measureSections();
@@ -99,7 +114,7 @@ class ScrollAnimationOrchestrator {
     this.createSprings();
     
     // Register spring update callback
-    springPhysicsService.onUpdate(this.handleSpringUpdate.bind(this));
+    this.unsubscribeSpringUpdate = springPhysicsService.onUpdate(this.handleSpringUpdate.bind(this));
     
     this.isInitialized = true;
     
@@ -112,42 +127,62 @@ class ScrollAnimationOrchestrator {
   }
 
   /**
-   * Measure section positions and heights
+   * Take section positions and heights from navigationController
    */
   measureSections() {
-    this.documentHeight = document.documentElement.scrollHeight;
-    this.viewportHeight = window.innerHeight;
+    const { sections, documentHeight, viewportHeight } = navigationController.getGeometry();
+    this.documentHeight = documentHeight;
+    this.viewportHeight = viewportHeight;
     
-    this.sectionPositions = this.sections.map((section, i) => {
-      let element;
-      
-      // Handle both DOM elements and data objects
-      if (section instanceof HTMLElement) {
-        element = section;
-      } else if (section.id) {
-        element = document.getElementById(section.id);
-      }
-      
-      if (!element) {
-        console.warn(`⚠️ Section element not found for index ${i}`);
-        return { top: 0, height: 0, center: 0 };
-      }
-      
-      const rect = element.getBoundingClientRect();
-      const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-      
-      const top = rect.top + scrollTop;
-      const height = rect.height;
-      const center = top + height / 2;
+    this.sectionPositions = sections.map(({ top, height }) => ({ top, height, center: top + height / 2 }));
+    
+    if (this.config.debug) {
+      console.log('📏 Sections measured:', this.sectionPositions);
+    }
+    
+    this.measureChapters();
+  }
+
+  /**
+   * Convert measured section positions into chapter scroll ranges
+   * Each chapter starts at the top of its first section and ends where
+   * the next chapter starts (the last chapter ends at 1)
+   */
+  measureChapters() {
+    const maxScroll = this.documentHeight - this.viewportHeight;
+    const toProgress = (y) => (maxScroll > 0 ? Math.max(0, Math.min(1, y / maxScroll)) : 0);
+    
+    this.chapterLayout = this.chapters.map((chapter, i) => {
+      const first = this.sectionPositions[chapter.firstSectionIndex];
+      const last = this.sectionPositions[chapter.lastSectionIndex];
+      const next = this.chapters[i + 1];
       
-      return { top, height, center };
+      return {
+        ...chapter,
+        top: first.top,
+        bottom: last.top + last.height,
+        start: toProgress(first.top),
+        end: next ? toProgress(this.sectionPositions[next.firstSectionIndex].top) : 1,
+      };
     });
     
+    if (this.onChapterLayoutUpdate) {
+      this.onChapterLayoutUpdate(this.chapterLayout);
+    }
+    
     if (this.config.debug) {
-      console.log('📏 Sections measured:', this.sectionPositions);
+      console.log('📚 Chapters measured:', this.chapterLayout);
     }
   }
 
+  /**
+   * Get measured chapter ranges
+   * @returns {Array}
+   */
+  getChapterLayout() {
+    return this.chapterLayout;
+  }
+
   /**
    * Create animation springs
    */
@@ -211,9 +246,13 @@ class ScrollAnimationOrchestrator {
     this.handleNativeScroll = this.handleNativeScroll.bind(this);
     window.addEventListener('scroll', this.handleNativeScroll, { passive: true });
     
-    // Add resize listener
-    this.handleResize = this.handleResize.bind(this);
-    window.addEventListener('resize', this.handleResize, { passive: true });
+    // Follow re-measured layout (resize, images loading)
+    this.unsubscribeLayout = navigationController.onLayout(this.handleLayout.bind(this));
+    
+    // Start from the current position (e.g. a deep link) instead of animating from the top
+    const progress = this.getProgressForScrollY(window.pageYOffset || document.documentElement.scrollTop);
+    springPhysicsService.setValue(this.SPRING_IDS.SCROLL, progress);
+    springPhysicsService.setValue(this.SPRING_IDS.SCRUBBER_FILL, progress);
     
     if (this.config.debug) {
       console.log('▶️ Orchestrator started');
@@ -230,7 +269,11 @@ class ScrollAnimationOrchestrator {
     springPhysicsService.stopLoop();
     
     window.removeEventListener('scroll', this.handleNativeScroll);
-    window.removeEventListener('resize', this.handleResize);
+    clearTimeout(this.layoutTimeout);
+    if (this.unsubscribeLayout) {
+      this.unsubscribeLayout();
+      this.unsubscribeLayout = null;
+    }
     
     if (this.config.debug) {
       console.log('⏸️ Orchestrator stopped');
@@ -256,17 +299,17 @@ class ScrollAnimationOrchestrator {
   }
 
   /**
-   * Handle window resize
+   * Handle re-measured layout
    */
-  handleResize() {
-    // Debounce resize
-    clearTimeout(this.resizeTimeout);
-    this.resizeTimeout = setTimeout(() => {
+  handleLayout() {
+    // Debounce bursts (resizing, images loading one after another)
+    clearTimeout(this.layoutTimeout);
+    this.layoutTimeout = setTimeout(() => {
       this.measureSections();
       
       // Re-sync scroll position
       this.handleNativeScroll();
-    }, 150);
+    }, LAYOUT_DEBOUNCE);
   }
 
   /**
@@ -310,23 +353,27 @@ class ScrollAnimationOrchestrator {
 
   /**
    * Calculate label animations based on scroll progress
-   * Returns animation data for each label
+   * Returns animation data for each displayed chapter label
    * @param {number} scrollProgress - Current scroll progress (0-1)
    * @returns {Array} - Label animation data
    */
   calculateLabelAnimations(scrollProgress) {
-    if (this.sectionPositions.length === 0) return [];
+    const labels = this.chapterLayout.filter(chapter => chapter.display);
+    if (labels.length === 0) return [];
     
     const maxScroll = this.documentHeight - this.viewportHeight;
     const currentScrollY = scrollProgress * maxScroll;
     
-    return this.sectionPositions.map((position, index) => {
-      // Calculate label's ideal position as percentage
-      const labelProgress = index / (this.sectionPositions.length - 1 || 1);
+    return labels.map((chapter, index) => {
+      // Label sits where its chapter starts
+      const labelProgress = chapter.start;
       
-      // Calculate distance from current scroll to this section
+      // Distance from current scroll to this chapter (0 while inside it)
       // Normalize to 0-1 range based on viewport height
-      const distance = Math.abs(currentScrollY - position.center) / this.viewportHeight;
+      let distancePx = 0;
+      if (currentScrollY < chapter.top) distancePx = chapter.top - currentScrollY;
+      else if (currentScrollY >= chapter.bottom) distancePx = currentScrollY - chapter.bottom;
+      const distance = distancePx / this.viewportHeight;
       
       // Calculate opacity (fades based on distance)
       const opacity = Math.max(0, Math.min(1, 1 - (distance / this.config.labelFadeRange)));
@@ -338,8 +385,8 @@ class ScrollAnimationOrchestrator {
       // Calculate Y offset (moves slightly when active)
       const yOffset = opacity * -this.config.labelYOffsetMax;
       
-      // Determine if this is the active (closest) label
-      const isActive = distance < 0.5; // Within half viewport height
+      // Active while the viewport top is inside the chapter
+      const isActive = distancePx === 0;
       
       return {
         index,
@@ -353,59 +400,14 @@ class ScrollAnimationOrchestrator {
   }
 
   /**
-   * Programmatically scroll to a specific progress value
-   * @param {number} progress - Target progress (0-1)
-   * @param {boolean} smooth - Use spring animation (default: true)
-   */
-  scrollToProgress(progress, smooth = true) {
-    const clampedProgress = Math.max(0, Math.min(1, progress));
-    
-    if (smooth) {
-      // Update spring target
-      springPhysicsService.updateTarget(this.SPRING_IDS.SCROLL, clampedProgress);
-      springPhysicsService.updateTarget(this.SPRING_IDS.SCRUBBER_FILL, clampedProgress);
-      
-      // Also update native scroll (will be smoothed by spring)
-      const maxScroll = this.documentHeight - this.viewportHeight;
-      const targetScrollY = clampedProgress * maxScroll;
-      
-      // Use smooth native scroll as fallback
-      window.scrollTo({
-        top: targetScrollY,
-        behavior: 'smooth',
-      });
-    } else {
-      // Instant jump
-      const maxScroll = this.documentHeight - this.viewportHeight;
-      const targetScrollY = clampedProgress * maxScroll;
-      
-      window.scrollTo({
-        top: targetScrollY,
-        behavior: 'auto',
-      });
-      
-      // Update springs instantly
-      springPhysicsService.setValue(this.SPRING_IDS.SCROLL, clampedProgress);
-      springPhysicsService.setValue(this.SPRING_IDS.SCRUBBER_FILL, clampedProgress);
-    }
-  }
-
-  /**
-   * Scroll to a specific section index
-   * @param {number} sectionIndex - Section index
-   * @param {boolean} smooth - Use spring animation
+   * Progress value of a document scroll offset
+   * (measured against the same cached heights)
+   * @param {number} scrollY - Scroll offset in px
+   * @returns {number} - Progress (0-1)
    */
-  scrollToSection(sectionIndex, smooth = true) {
-    if (sectionIndex < 0 || sectionIndex >= this.sectionPositions.length) {
-      console.warn(`⚠️ Invalid section index: ${sectionIndex}`);
-      return;
-    }
-    
-    const position = this.sectionPositions[sectionIndex];
+  getProgressForScrollY(scrollY) {
     const maxScroll = this.documentHeight - this.viewportHeight;
-    const progress = position.top / maxScroll;
-    
-    this.scrollToProgress(progress, smooth);
+    return maxScroll > 0 ? Math.max(0, Math.min(1, scrollY / maxScroll)) : 0;
   }
 
   /**
@@ -490,16 +492,24 @@ class ScrollAnimationOrchestrator {
       springPhysicsService.removeSpring(id);
     });
     
+    if (this.unsubscribeSpringUpdate) {
+      this.unsubscribeSpringUpdate();
+      this.unsubscribeSpringUpdate = null;
+    }
+    
     // Clear callbacks
     this.onScrollProgressUpdate = null;
     this.onScrubberUpdate = null;
     this.onLabelUpdate = null;
     this.onContentTransformUpdate = null;
+    this.onChapterLayoutUpdate = null;
     
     // Reset state
     this.isInitialized = false;
     this.sections = [];
     this.sectionPositions = [];
+    this.chapters = [];
+    this.chapterLayout = [];
     
     console.log('🗑️ Orchestrator destroyed');
   }
@@ -0,0 +1,134 @@
+/**
+ * Wheel Input Service
+ * Turns raw `wheel` events into gestures for section scrolling
+ *
+ * - Normalizes delta units: pixels, lines (Firefox, some mice) and pages
+ *   all become pixels
+ * - Tells trackpads from wheel mice, per gesture
+ * - Groups events into gestures: a gesture ends after a pause, a change of
+ *   direction, or when a decaying inertia tail (macOS momentum scrolling)
+ *   suddenly speeds up again, which is a new swipe
+ * - Each gesture carries its own accumulator and a `handled` flag, so a
+ *   consumer can act exactly once per gesture however long its tail is
+ * - Vertical by default; with `horizontal`, sideways movement counts too
+ *   (book mode turns pages with it), along whichever axis moves more
+ */
+
+// Pixels per line and per page for DOM_DELTA_LINE / DOM_DELTA_PAGE
+const LINE_HEIGHT = 40;
+const PAGE_FACTOR = 0.9; // of the viewport height
+
+// A pause this long ends a gesture (ms); inertia events arrive every frame
+const GESTURE_GAP = 200;
+
+// Pixel deltas at least this large come from a wheel notch, not a trackpad
+const MOUSE_NOTCH_MIN = 50;
+
+// An inertia tail has decayed once its recent events average below this
+// share of its peak…
+const DECAY_RATIO = 0.5;
+// …and an event this much larger than that average (and at least RISE_MIN
+// px) is a fresh swipe rather than more of the tail
+const RISE_FACTOR = 2;
+const RISE_MIN = 4;
+
+// Events averaged for the decay and rise checks
+const RECENT_EVENTS = 3;
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+class WheelInputService {
+  constructor() {
+    this.gesture = null;
+    this.gestureCount = 0;
+  }
+
+  /**
+   * Delta of a wheel event along an axis in pixels
+   * @param {WheelEvent} e
+   * @param {'x'|'y'} axis
+   * @returns {number}
+   */
+  normalizeDelta(e, axis = 'y') {
+    const delta = axis === 'x' ? e.deltaX : e.deltaY;
+    if (e.deltaMode === 1) return delta * LINE_HEIGHT;
+    if (e.deltaMode === 2) return delta * (axis === 'x' ? window.innerWidth : window.innerHeight) * PAGE_FACTOR;
+    return delta;
+  }
+
+  /**
+   * Input device of a wheel event, from its units and size
+   * @param {WheelEvent} e
+   * @param {number} delta - Normalized delta (px)
+   * @returns {'mouse'|'trackpad'}
+   */
+  classify(e, delta) {
+    if (e.deltaMode !== 0) return 'mouse';
+    if (e.deltaX !== 0) return 'trackpad';
+    return Math.abs(delta) >= MOUSE_NOTCH_MIN && Number.isInteger(delta) ? 'mouse' : 'trackpad';
+  }
+
+  /**
+   * Feed a wheel event
+   * @param {WheelEvent} e
+   * @param {Object} options - { horizontal: sideways movement counts too }
+   * @returns {{ delta: number, gesture: Object|null }} - `gesture` is
+   *   { id, axis, device, direction, accumulated, handled, ... }, shared by
+   *   every event of the same gesture; null for events without movement
+   */
+  track(e, { horizontal = false } = {}) {
+    const axis = horizontal && Math.abs(e.deltaX) > Math.abs(e.deltaY) ? 'x' : 'y';
+    const delta = this.normalizeDelta(e, axis);
+    if (delta === 0) return { delta, gesture: null };
+
+    const magnitude = Math.abs(delta);
+    const direction = Math.sign(delta);
+    const current = this.gesture;
+    const recent = current && average(current.recent);
+    const isNew = !current
+      || e.timeStamp - current.lastTime > GESTURE_GAP
+      || axis !== current.axis
+      || direction !== current.direction
+      || (recent < current.peak * DECAY_RATIO && magnitude > recent * RISE_FACTOR && magnitude >= RISE_MIN);
+
+    if (isNew) {
+      this.gestureCount += 1;
+      this.gesture = {
+        id: this.gestureCount,
+        axis,
+        device: this.classify(e, delta),
+        direction,
+        startTime: e.timeStamp,
+        lastTime: e.timeStamp,
+        recent: [magnitude],
+        peak: magnitude,
+        accumulated: 0,
+        handled: false,
+      };
+    } else {
+      // A small pixel delta gives a trackpad away, whatever came first
+      if (current.device === 'mouse' && e.deltaMode === 0 && magnitude < MOUSE_NOTCH_MIN) {
+        current.device = 'trackpad';
+      }
+      current.lastTime = e.timeStamp;
+      current.recent = [...current.recent, magnitude].slice(-RECENT_EVENTS);
+      current.peak = Math.max(current.peak, magnitude);
+    }
+
+    return { delta, gesture: this.gesture };
+  }
+
+  /**
+   * Forget the current gesture (the next event starts a new one)
+   */
+  reset() {
+    this.gesture = null;
+  }
+}
+
+// Export singleton instance
+const wheelInputService = new WheelInputService();
+export default wheelInputService;
+
+// Also export class for testing
+export { WheelInputService };
@@ -1,9 +1,21 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'node:url'
+import markdownBook from './plugins/markdownBook.js'
+import imageManifest from './plugins/imageManifest.js'
+
+const assetsDir = fileURLToPath(new URL('./src/assets', import.meta.url))
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    markdownBook({
+      contentDir: fileURLToPath(new URL('./src/content', import.meta.url)),
+      assetsDir,
+    }),
+    imageManifest({ assetsDir }),
+  ],
   base: '/',
   build: {
     assetsInlineLimit: 0, // Don't inline any assets, keep them as separate files
@@ -11,7 +23,7 @@ export default defineConfig({
       output: {
         assetFileNames: (assetInfo) => {
           // Keep image file names predictable
-          if (/\.(jpg|jpeg|png|webp|svg|gif)$/.test(assetInfo.name)) {
+          if (/\.(jpg|jpeg|png|webp|avif|svg|gif)$/.test(assetInfo.name)) {
             return 'assets/[name]-[hash][extname]';
           }
           return 'assets/[name]-[hash][extname]';